@@ -2,9 +2,14 @@
  * Clerk Checkout System - JavaScript
  * Handles:
  * - Item entry and cart management
- * - Total calculations with premiums
+ * - Pulling a buyer's invoice (lots recorded as sold to them) into the cart
+ * - Total calculations with premiums (done by the server)
+ * - Split tender: cash, card, check, transfer and store credit payments
+ *   added until the balance is zero
  * - Square payment processing
  * - WebSocket connection for live bid monitoring
+ *
+ * Requires a staff login (js/staff-auth.js) before anything starts.
  */
 
 // ===========================================
@@ -15,54 +20,75 @@ let squarePayments = null;
 let squareCard = null;
 let socket = null;
 
-// Premium rates
-const BUYERS_PREMIUM_RATE = 0.10;
-const CARD_FEE_RATE = 0.03;
+// Totals come from the server, which holds the auction's fee schedule;
+// the counter drops responses that arrive after a newer request
+let totalsRequest = 0;
 
-// Cart state
+// Payment methods from the server: [{ type, label, requires, cardFee }]
+let paymentMethods = [];
+
+// Cart state. tenders are payments added but not yet taken; invoice is a
+// partly paid transaction still waiting on the rest of its balance.
+// auctionId is set when the items came from a buyer's invoice.
+// unanswered is a payment request that may or may not have gone through.
 const cart = {
     buyerNumber: null,
     buyerName: '',
+    auctionId: null,
     items: [],
-    paymentMethod: 'cash'
+    paymentMethod: 'cash',
+    tenders: [],
+    invoice: null,
+    totals: null,
+    unanswered: null
 };
 
 // ===========================================
 // INITIALIZATION
 // ===========================================
-document.addEventListener('DOMContentLoaded', async () => {
-    // Initialize Socket.io connection
-    initializeSocket();
-    
-    // Initialize Square
-    await initializeSquare();
-    
-    // Setup event listeners
-    setupEventListeners();
-    
-    // Focus on lot number field
-    document.getElementById('lot-number').focus();
+document.addEventListener('DOMContentLoaded', () => {
+    StaffAuth.requireLogin(async (user) => {
+        document.getElementById('staff-name').textContent = `${user.name} (${user.role})`;
+        document.getElementById('btn-logout').addEventListener('click', StaffAuth.logout);
+
+        // Initialize Socket.io connection
+        initializeSocket();
+        
+        // Initialize Square
+        await initializeSquare();
+        
+        // Setup event listeners
+        setupEventListeners();
+        
+        // Focus on lot number field
+        document.getElementById('lot-number').focus();
+    });
 });
 
 // ===========================================
 // SOCKET.IO CONNECTION
 // ===========================================
 function initializeSocket() {
-    socket = io();
+    // Token is read on every (re)connect so a fresh login is picked up
+    socket = io({
+        auth: (cb) => cb({ token: StaffAuth.getToken() })
+    });
 
     socket.on('connect', () => {
         updateConnectionStatus(true);
-        // Register as clerk
-        socket.emit('register:clerk', {
-            clerkId: `clerk_${Date.now()}`,
-            name: 'Clerk Terminal'
-        });
+        // Register as clerk (identity comes from the login session)
+        socket.emit('register:clerk');
     });
 
     socket.on('disconnect', () => {
         updateConnectionStatus(false);
     });
 
+    socket.on('connect_error', (error) => {
+        updateConnectionStatus(false);
+        showToast(`Connection refused: ${error.message}`, 'error');
+    });
+
     // Bidder count updates
     socket.on('bidders:count', (count) => {
         document.getElementById('bidder-count').textContent = count;
@@ -75,12 +101,28 @@ function initializeSocket() {
         playBidSound();
     });
 
+    // Absentee bids on the current lot (executed by the server)
+    socket.on('absentee:bids', (absenteeBids) => {
+        renderAbsenteeBids(absenteeBids);
+    });
+
+    // A sale from the block that couldn't go on the buyer's invoice
+    socket.on('sale:error', ({ message }) => {
+        showToast(message, 'error');
+    });
+
+    // Online registration waiting for staff approval
+    socket.on('registration:new', (registration) => {
+        showToast(`Bidder #${registration.bidderNumber} (${registration.name}) is awaiting approval`, 'info');
+    });
+
     // Full auction state (on connect)
     socket.on('auction:fullState', (state) => {
         document.getElementById('bidder-count').textContent = state.connectedClients.bidders;
         if (state.currentLot) {
             updateCurrentLotDisplay(state.currentLot, state.currentBid);
         }
+        renderAbsenteeBids(state.absenteeBids || []);
         // Render any pending bids
         state.onlineBids
             .filter(b => b.status === 'pending')
@@ -105,7 +147,17 @@ function updateConnectionStatus(connected) {
 async function initializeSquare() {
     try {
         const config = await fetch(`${API_BASE}/checkout/config`).then(r => r.json());
-        
+
+        showFeeRates(config);
+        paymentMethods = config.paymentMethods || [];
+
+        // Offline provider: test cards instead of the Square form, nothing is charged
+        if (config.paymentProvider?.name === 'mock') {
+            document.getElementById('training-mode').style.display = 'flex';
+            squarePayments = MockPayments.payments();
+            return;
+        }
+
         if (!config.squareAppId) {
             console.warn('Square not configured');
             return;
@@ -117,6 +169,13 @@ async function initializeSquare() {
     }
 }
 
+function showFeeRates(config) {
+    document.getElementById('premium-rate').textContent = config.premiumDescription;
+    document.querySelectorAll('.card-fee-rate').forEach(el => {
+        el.textContent = config.cardFeeRate;
+    });
+}
+
 async function initializeCardForm() {
     if (!squarePayments) {
         showToast('Square payments not configured', 'error');
@@ -148,13 +207,20 @@ function setupEventListeners() {
     document.getElementById('btn-clear-form').addEventListener('click', clearForm);
 
     // Clear cart button
-    document.getElementById('btn-clear-cart').addEventListener('click', clearCart);
+    document.getElementById('btn-clear-cart').addEventListener('click', handleClearCart);
+
+    // Buyer invoice lookup
+    document.getElementById('invoice-form').addEventListener('submit', handlePullInvoice);
+    document.getElementById('btn-pay-link').addEventListener('click', handlePayLink);
 
     // Payment method selection
     document.querySelectorAll('input[name="payment-method"]').forEach(radio => {
         radio.addEventListener('change', handlePaymentMethodChange);
     });
 
+    // Split tender
+    document.getElementById('btn-add-tender').addEventListener('click', handleAddTender);
+
     // Checkout button
     document.getElementById('btn-checkout').addEventListener('click', handleCheckout);
 
@@ -179,10 +245,16 @@ function setupEventListeners() {
 function handleAddItem(e) {
     e.preventDefault();
 
+    if (cart.invoice) {
+        showToast('Finish taking payment for the open invoice first', 'error');
+        return;
+    }
+
     const form = e.target;
     const item = {
         lotNumber: parseInt(form.lotNumber.value),
-        hammerPrice: parseFloat(form.hammerPrice.value),
+        // Whole cents, so the cart shows exactly what will be charged
+        hammerPrice: Money.fromCents(Money.toCents(form.hammerPrice.value)),
         description: form.description.value || `Lot ${form.lotNumber.value}`,
         isOnline: form.isOnline.checked
     };
@@ -211,7 +283,92 @@ function handleAddItem(e) {
     // Record the sale via API (optional - for lot tracking)
     recordSale(item, buyerNumber, buyerName, item.isOnline);
 
-    showToast(`Lot ${item.lotNumber} added - $${item.hammerPrice.toFixed(2)}`, 'success');
+    showToast(`Lot ${item.lotNumber} added - ${Money.formatDollars(item.hammerPrice)}`, 'success');
+}
+
+/**
+ * Load the unpaid lots on a buyer's invoice into the cart
+ */
+async function handlePullInvoice(e) {
+    e.preventDefault();
+
+    if (cart.invoice) {
+        showToast('Finish taking payment for the open invoice first', 'error');
+        return;
+    }
+
+    const input = document.getElementById('invoice-buyer-number');
+    const summary = document.getElementById('invoice-summary');
+    const buyerNumber = parseInt(input.value);
+
+    if (cart.items.length > 0 && !confirm(`Replace the cart with Buyer #${buyerNumber}'s invoice?`)) {
+        return;
+    }
+
+    try {
+        const response = await StaffAuth.authFetch(`${API_BASE}/checkout/invoice/${buyerNumber}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Could not load invoice');
+
+        const { invoice } = result;
+        const paidCount = invoice.lots.filter(lot => lot.paid).length;
+        summary.textContent = `Buyer #${buyerNumber}: ${invoice.lots.length} lot(s), ${paidCount} paid, ${invoice.items.length} unpaid`;
+
+        if (invoice.items.length === 0) {
+            showToast(`Buyer #${buyerNumber} has nothing left to pay`, 'info');
+            return;
+        }
+
+        clearCart();
+        cart.buyerNumber = buyerNumber;
+        cart.buyerName = invoice.buyer.name;
+        cart.auctionId = invoice.auctionId;
+        cart.items = invoice.items;
+
+        renderCart();
+        updateTotals();
+        input.value = '';
+
+        showToast(`Invoice loaded - ${invoice.items.length} unpaid lot(s)`, 'success');
+    } catch (error) {
+        console.error('Invoice error:', error);
+        summary.textContent = '';
+        showToast(error.message || 'Could not load invoice', 'error');
+    }
+}
+
+// Link for a buyer who isn't at the counter to pay their invoice by card
+async function handlePayLink() {
+    const buyerNumber = parseInt(document.getElementById('invoice-buyer-number').value);
+    const summary = document.getElementById('invoice-summary');
+
+    if (!buyerNumber) {
+        showToast('Enter a buyer number first', 'error');
+        return;
+    }
+
+    try {
+        const response = await StaffAuth.authFetch(`${API_BASE}/checkout/invoice/${buyerNumber}/payment-link`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Could not create payment link');
+
+        const url = new URL(result.url, window.location.origin).href;
+        summary.textContent = `Buyer #${buyerNumber} pays online at ${url}`;
+
+        try {
+            await navigator.clipboard.writeText(url);
+            showToast('Payment link copied', 'success');
+        } catch (clipboardError) {
+            showToast('Payment link ready - copy it from below', 'info');
+        }
+    } catch (error) {
+        console.error('Payment link error:', error);
+        showToast(error.message || 'Could not create payment link', 'error');
+    }
 }
 
 function renderCart() {
@@ -234,17 +391,22 @@ function renderCart() {
                 <span class="cart-item__desc">${item.description}</span>
                 ${item.isOnline ? '<span class="cart-item__badge badge--online">Online</span>' : ''}
             </div>
-            <div class="cart-item__price">$${item.hammerPrice.toFixed(2)}</div>
+            <div class="cart-item__price">${Money.formatDollars(item.hammerPrice)}</div>
             <button type="button" class="cart-item__remove" onclick="removeItem(${index})" title="Remove">
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6 6 18M6 6l12 12"/></svg>
             </button>
         </div>
     `).join('');
 
-    document.getElementById('btn-checkout').disabled = false;
+    updateCheckoutButton();
 }
 
 function removeItem(index) {
+    if (cart.invoice) {
+        showToast('Items on a partly paid invoice can\'t be changed', 'error');
+        return;
+    }
+
     cart.items.splice(index, 1);
     if (cart.items.length === 0) {
         cart.buyerNumber = null;
@@ -254,10 +416,21 @@ function removeItem(index) {
     updateTotals();
 }
 
+function handleClearCart() {
+    if (cart.invoice && !confirm(`Invoice ${cart.invoice.id} still has ${Money.formatDollars(cart.invoice.totals.balanceDue)} due. Clear it from the screen? It stays open.`)) {
+        return;
+    }
+    clearCart();
+}
+
 function clearCart() {
     cart.buyerNumber = null;
     cart.buyerName = '';
+    cart.auctionId = null;
     cart.items = [];
+    cart.tenders = [];
+    cart.invoice = null;
+    clearPaymentDetails();
     renderCart();
     updateTotals();
 }
@@ -279,27 +452,68 @@ function clearForm() {
 // ===========================================
 // TOTALS CALCULATION
 // ===========================================
-function updateTotals() {
-    const isCard = cart.paymentMethod === 'card';
-    const hammerTotal = cart.items.reduce((sum, item) => sum + item.hammerPrice, 0);
-    const premium = hammerTotal * BUYERS_PREMIUM_RATE;
-    const subtotal = hammerTotal + premium;
-    const cardFee = isCard ? subtotal * CARD_FEE_RATE : 0;
-    const total = subtotal + cardFee;
-
-    document.getElementById('subtotal-hammer').textContent = `$${hammerTotal.toFixed(2)}`;
-    document.getElementById('buyers-premium').textContent = `$${premium.toFixed(2)}`;
-    document.getElementById('card-fee').textContent = `$${cardFee.toFixed(2)}`;
-    document.getElementById('grand-total').textContent = `$${total.toFixed(2)}`;
+async function updateTotals() {
+    const request = ++totalsRequest;
+
+    // A changed cart is a different sale, not a retry of the last one
+    cart.unanswered = null;
+    let totals = { hammerPrice: 0, buyersPremium: 0, tax: 0, taxRate: '', cardFee: 0, total: 0, amountPaid: 0, balanceDue: 0, tenders: [] };
+
+    if (cart.invoice) {
+        totals = cart.invoice.totals;
+    } else if (cart.items.length > 0) {
+        // Until tenders are added, preview paying it all with the selected method
+        const tenders = cart.tenders.length
+            ? cart.tenders.map(({ type, amount }) => ({ type, amount }))
+            : [{ type: cart.paymentMethod }];
+
+        try {
+            const response = await fetch(`${API_BASE}/checkout/calculate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ items: cart.items, tenders, buyerNumber: cart.buyerNumber, auctionId: cart.auctionId || undefined })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to calculate totals');
+            ({ totals } = result);
+        } catch (error) {
+            console.error('Error calculating totals:', error);
+            showToast(error.message || 'Could not calculate totals', 'error');
+            return;
+        }
+    }
 
-    // Show/hide card fee row
-    document.getElementById('card-fee-row').style.display = isCard ? 'flex' : 'none';
+    if (request !== totalsRequest) return;
+    cart.totals = totals;
+
+    document.getElementById('subtotal-hammer').textContent = Money.formatDollars(totals.hammerPrice);
+    document.getElementById('buyers-premium').textContent = Money.formatDollars(totals.buyersPremium);
+    document.getElementById('tax-label').textContent = totals.taxExemptCertificate
+        ? `Sales Tax (exempt #${totals.taxExemptCertificate}):`
+        : `Sales Tax${totals.taxRate ? ` (${totals.taxRate})` : ''}:`;
+    document.getElementById('sales-tax').textContent = Money.formatDollars(totals.tax);
+    document.getElementById('card-fee').textContent = Money.formatDollars(totals.cardFee);
+    document.getElementById('grand-total').textContent = Money.formatDollars(totals.total);
+    document.getElementById('amount-paid').textContent = Money.formatDollars(totals.amountPaid);
+    document.getElementById('balance-due').textContent = Money.formatDollars(totals.balanceDue);
+
+    // Show/hide card fee row, and the paid/balance rows once the payment is split
+    const splitting = cart.tenders.length > 0 || Boolean(cart.invoice);
+    document.getElementById('card-fee-row').style.display = totals.cardFee > 0 ? 'flex' : 'none';
+    document.getElementById('amount-paid-row').style.display = splitting ? 'flex' : 'none';
+    document.getElementById('balance-due-row').style.display = splitting ? 'flex' : 'none';
+
+    renderTenders(totals);
 }
 
 function handlePaymentMethodChange(e) {
     cart.paymentMethod = e.target.value;
     updateTotals();
 
+    const requires = requiredDetails(e.target.value);
+    document.getElementById('payment-detail-check').style.display = requires.includes('checkNumber') ? 'block' : 'none';
+    document.getElementById('payment-detail-reference').style.display = requires.includes('reference') ? 'block' : 'none';
+
     const cardFormContainer = document.getElementById('card-form-container');
     if (e.target.value === 'card') {
         cardFormContainer.style.display = 'block';
@@ -309,74 +523,278 @@ function handlePaymentMethodChange(e) {
     }
 }
 
+function requiredDetails(type) {
+    const method = paymentMethods.find(m => m.type === type);
+    return method ? method.requires : [];
+}
+
+function methodLabel(type) {
+    const method = paymentMethods.find(m => m.type === type);
+    return method ? method.label : type.toUpperCase();
+}
+
+/**
+ * Check number or transfer reference for the selected method
+ * @throws {Error} When the method needs one and it's blank
+ */
+function paymentDetails() {
+    const requires = requiredDetails(cart.paymentMethod);
+    const checkNumber = document.getElementById('check-number').value.trim();
+    const reference = document.getElementById('transfer-reference').value.trim();
+
+    if (requires.includes('checkNumber')) {
+        if (!checkNumber) throw new Error('Enter the check number');
+        return { checkNumber };
+    }
+    if (requires.includes('reference')) {
+        if (!reference) throw new Error('Enter the transfer reference');
+        return { reference };
+    }
+    return {};
+}
+
+function clearPaymentDetails() {
+    document.getElementById('check-number').value = '';
+    document.getElementById('transfer-reference').value = '';
+}
+
+// ===========================================
+// SPLIT TENDER
+// ===========================================
+
+// What's left to cover (cents): the open invoice's balance, or the cart's
+// amount due less the tenders added so far
+function balanceDueCents() {
+    if (cart.invoice) return Money.toCents(cart.invoice.totals.balanceDue);
+    if (!cart.totals || cart.items.length === 0) return 0;
+
+    const amountDue = Money.toCents(cart.totals.total) - Money.toCents(cart.totals.cardFee);
+    return amountDue - Money.sum(cart.tenders.map(tender => Money.toCents(tender.amount)));
+}
+
+async function handleAddTender() {
+    if (cart.items.length === 0) {
+        showToast('Cart is empty', 'error');
+        return;
+    }
+
+    const input = document.getElementById('tender-amount');
+    const balance = balanceDueCents();
+    const amount = input.value ? Money.toCents(input.value) : balance;
+
+    if (!(amount > 0)) {
+        showToast(balance > 0 ? 'Enter an amount' : 'Nothing left to pay', 'error');
+        return;
+    }
+    if (amount > balance) {
+        showToast(`Only ${Money.format(balance)} is due`, 'error');
+        return;
+    }
+
+    const button = document.getElementById('btn-add-tender');
+    button.disabled = true;
+
+    try {
+        const tender = {
+            type: cart.paymentMethod,
+            amount: Money.fromCents(amount),
+            ...paymentDetails(),
+            sourceId: cart.paymentMethod === 'card' ? await tokenizeCard() : null
+        };
+
+        if (cart.invoice) {
+            await payInvoice(tender);
+        } else {
+            cart.tenders.push(tender);
+            updateTotals();
+        }
+
+        input.value = '';
+        clearPaymentDetails();
+
+        // A fresh card form for the next card
+        if (tender.type === 'card' && cart.items.length > 0) {
+            await initializeCardForm();
+        }
+    } catch (error) {
+        console.error('Tender error:', error);
+        showToast(error.message || 'Could not add tender', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function removeTender(index) {
+    cart.tenders.splice(index, 1);
+    updateTotals();
+}
+
+function renderTenders(totals) {
+    const listEl = document.getElementById('tender-list');
+    const taken = Boolean(cart.invoice);
+    const tenders = taken ? cart.invoice.tenders : cart.tenders.map((tender, index) => totals.tenders[index] || tender);
+
+    listEl.innerHTML = tenders.map((tender, index) => `
+        <div class="tender-item${taken ? ' tender-item--taken' : ''}">
+            <span class="tender-item__type">${methodLabel(tender.type)}${tenderReference(tender)}</span>
+            ${tender.cardFee > 0 ? `<span class="tender-item__fee">+${Money.formatDollars(tender.cardFee)} fee</span>` : ''}
+            <span class="tender-item__amount">${Money.formatDollars(tender.charge ?? tender.amount)}</span>
+            ${taken ? '' : `
+                <button type="button" class="cart-item__remove" onclick="removeTender(${index})" title="Remove">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6 6 18M6 6l12 12"/></svg>
+                </button>
+            `}
+        </div>
+    `).join('');
+}
+
+// " #1042" for a check or transfer
+function tenderReference(tender) {
+    const reference = tender.checkNumber || tender.reference;
+    return reference ? ` #${reference}` : '';
+}
+
+/**
+ * Take a tender against the open invoice straight away
+ */
+async function payInvoice(tender) {
+    const response = await sendPayment(`/checkout/transactions/${encodeURIComponent(cart.invoice.id)}/tenders`, async () => tender);
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.details || result.error || 'Payment failed');
+    }
+
+    if (result.transaction.status === 'completed') {
+        completeSale(result.transaction);
+    } else {
+        cart.invoice = result.transaction;
+        showToast(result.message, 'info');
+        updateTotals();
+    }
+}
+
 // ===========================================
 // CHECKOUT PROCESSING
 // ===========================================
+async function tokenizeCard() {
+    if (!squareCard) {
+        throw new Error('Card form not initialized');
+    }
+    const tokenResult = await squareCard.tokenize();
+    if (tokenResult.status !== 'OK') {
+        throw new Error(tokenResult.errors?.[0]?.message || 'Card tokenization failed');
+    }
+    return tokenResult.token;
+}
+
+function updateCheckoutButton() {
+    document.getElementById('btn-checkout').disabled = cart.items.length === 0 || Boolean(cart.invoice);
+}
+
 async function handleCheckout() {
     if (cart.items.length === 0) {
         showToast('Cart is empty', 'error');
         return;
     }
 
+    // Tenders that don't cover the invoice leave it open for the rest
+    const balance = balanceDueCents();
+    if (cart.tenders.length > 0 && balance > 0
+        && !confirm(`${Money.format(balance)} will still be due. Take these tenders as a partial payment?`)) {
+        return;
+    }
+
     const checkoutBtn = document.getElementById('btn-checkout');
     checkoutBtn.disabled = true;
     checkoutBtn.textContent = 'Processing...';
 
     try {
-        let sourceId = null;
-
-        // Get card token if card payment
-        if (cart.paymentMethod === 'card') {
-            if (!squareCard) {
-                throw new Error('Card form not initialized');
-            }
-            const tokenResult = await squareCard.tokenize();
-            if (tokenResult.status !== 'OK') {
-                throw new Error(tokenResult.errors?.[0]?.message || 'Card tokenization failed');
-            }
-            sourceId = tokenResult.token;
-        }
-
         // Process checkout via API
-        const response = await fetch(`${API_BASE}/checkout/process`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                items: cart.items,
-                buyer: {
-                    buyerNumber: cart.buyerNumber,
-                    name: cart.buyerName
-                },
-                paymentType: cart.paymentMethod,
-                sourceId
-            })
-        });
+        const response = await sendPayment('/checkout/process', async () => ({
+            items: cart.items,
+            buyer: {
+                buyerNumber: cart.buyerNumber,
+                name: cart.buyerName
+            },
+            auctionId: cart.auctionId || undefined,
+            // With no tenders added, the selected method pays the whole invoice
+            tenders: cart.tenders.length
+                ? cart.tenders
+                : [{ type: cart.paymentMethod, ...paymentDetails(), sourceId: cart.paymentMethod === 'card' ? await tokenizeCard() : null }]
+        }));
 
         const result = await response.json();
 
         if (!response.ok) {
-            throw new Error(result.error || 'Checkout failed');
+            throw new Error(result.details || result.error || 'Checkout failed');
         }
 
-        // Success!
-        showToast(`Sale complete! Transaction: ${result.transaction.id}`, 'success');
-        
-        // Show receipt
-        showReceipt(result.transaction);
+        if (result.transaction.status === 'partial') {
+            // Keep the invoice on screen until the balance is paid
+            cart.invoice = result.transaction;
+            cart.tenders = [];
+            clearPaymentDetails();
+            showToast(result.message, result.declined ? 'error' : 'info');
+            updateTotals();
+            return;
+        }
 
-        // Clear cart
-        clearCart();
-        clearForm();
+        completeSale(result.transaction);
 
     } catch (error) {
         console.error('Checkout error:', error);
         showToast(error.message || 'Checkout failed', 'error');
     } finally {
-        checkoutBtn.disabled = false;
         checkoutBtn.textContent = 'Complete Sale';
+        updateCheckoutButton();
     }
 }
 
+/**
+ * POST a payment under a checkout key, so the server takes it at most once.
+ * If no answer comes back (the connection dropped, or the server failed part
+ * way) the next try resends the very same request, key and card token
+ * included, and gets the first result instead of charging again.
+ * @param {Function} buildPayment - Makes the request body; only called for a new payment
+ */
+async function sendPayment(path, buildPayment) {
+    if (cart.unanswered?.path !== path) {
+        const payment = await buildPayment();
+        cart.unanswered = { path, body: JSON.stringify({ ...payment, checkoutKey: crypto.randomUUID() }) };
+    }
+
+    let response;
+    try {
+        response = await StaffAuth.authFetch(`${API_BASE}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: cart.unanswered.body
+        });
+    } catch (error) {
+        console.error('Payment request failed:', error);
+        throw new Error('No answer from the server. Try again: the buyer will not be charged twice.');
+    }
+
+    // 409 is the first request still running; anything else below 500 is final
+    if (response.status < 500 && response.status !== 409) {
+        cart.unanswered = null;
+    }
+    return response;
+}
+
+function completeSale(transaction) {
+    // Success!
+    showToast(`Sale complete! Transaction: ${transaction.id}`, 'success');
+
+    // Show receipt
+    showReceipt(transaction);
+
+    // Clear cart
+    clearCart();
+    clearForm();
+}
+
 // ===========================================
 // ONLINE BIDS MANAGEMENT
 // ===========================================
@@ -395,9 +813,9 @@ function addOnlineBid(bid) {
     bidEl.className = 'online-bid online-bid--new';
     bidEl.innerHTML = `
         <div class="online-bid__info">
-            <span class="online-bid__amount">$${bid.amount}</span>
-            <span class="online-bid__bidder">${bid.bidderName}</span>
-            <span class="online-bid__lot">Lot ${bid.lotNumber}</span>
+            <span class="online-bid__amount">$${escapeHtml(bid.amount)}</span>
+            <span class="online-bid__bidder">${escapeHtml(bid.bidderName)}</span>
+            <span class="online-bid__lot">Lot ${escapeHtml(bid.lotNumber)}</span>
         </div>
         <div class="online-bid__actions">
             <button class="btn btn--sm btn--success" onclick="acceptBid('${bid.id}')">Accept</button>
@@ -436,6 +854,34 @@ function removeBidFromUI(bidId) {
     }
 }
 
+// ===========================================
+// ABSENTEE BIDS
+// ===========================================
+function renderAbsenteeBids(absenteeBids) {
+    const container = document.getElementById('absentee-bids');
+
+    if (absenteeBids.length === 0) {
+        container.innerHTML = '<p class="bids-empty">No absentee bids</p>';
+        return;
+    }
+
+    const sorted = [...absenteeBids].sort((a, b) => b.maxAmount - a.maxAmount);
+    container.innerHTML = sorted.map(absentee => {
+        const isLeading = absentee.status === 'active' && absentee.currentAmount !== null;
+        const isOut = ['outbid', 'lost'].includes(absentee.status);
+        const modifier = isLeading ? 'absentee-bid--leading' : (isOut ? 'absentee-bid--out' : '');
+        const status = isLeading ? `Bidding $${absentee.currentAmount}` : absentee.status;
+
+        return `
+            <div class="absentee-bid ${modifier}">
+                <span class="absentee-bid__max">Max $${escapeHtml(absentee.maxAmount)}</span>
+                <span class="absentee-bid__bidder">#${escapeHtml(absentee.bidderNumber)} ${escapeHtml(absentee.bidderName)}</span>
+                <span class="absentee-bid__status">${escapeHtml(status)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
 // ===========================================
 // LOT MANAGEMENT
 // ===========================================
@@ -466,13 +912,9 @@ function updateCurrentLotDisplay(lot, currentBid) {
 }
 
 function handleMarkSold() {
-    // This would be triggered when auctioneer says "SOLD"
-    // For now, just clear the current lot
-    socket.emit('auction:sold', {
-        amount: 0, // Would come from current bid
-        winner: 'Floor Bidder',
-        isOnline: false
-    });
+    // Triggered when the auctioneer says "SOLD". The server sells the lot
+    // to the high bidder at the current bid and puts it on their invoice.
+    socket.emit('auction:sold', {});
 
     document.getElementById('current-lot-display').innerHTML = '<p class="no-lot">No lot active</p>';
     document.getElementById('btn-sold').disabled = true;
@@ -488,17 +930,24 @@ function closeLotModal() {
 // ===========================================
 async function recordSale(item, buyerNumber, buyerName, isOnline) {
     try {
-        await fetch(`${API_BASE}/auction/record-sale`, {
+        const response = await StaffAuth.authFetch(`${API_BASE}/auction/record-sale`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 lotNumber: item.lotNumber,
                 winningBid: item.hammerPrice,
+                description: item.description,
                 buyerNumber,
                 buyerName,
                 isOnline
             })
         });
+
+        // A lot another buyer already paid for isn't moved to this one
+        if (response.status === 409) {
+            const result = await response.json();
+            showToast(result.error, 'error');
+        }
     } catch (error) {
         console.warn('Failed to record sale:', error);
     }
@@ -523,13 +972,16 @@ function showReceipt(transaction) {
                 <p><strong>Date:</strong> ${new Date(transaction.timestamp).toLocaleString()}</p>
                 <p><strong>Buyer:</strong> #${transaction.buyer.buyerNumber} ${transaction.buyer.name || ''}</p>
                 <p><strong>Payment:</strong> ${transaction.paymentType.toUpperCase()}</p>
+                ${['voided', 'refunded', 'partially_refunded'].includes(transaction.status) ? `
+                    <p><strong>Status:</strong> ${transaction.status.replace('_', ' ').toUpperCase()}</p>
+                ` : ''}
             </div>
             <div class="receipt__divider"></div>
             <div class="receipt__items">
                 ${transaction.items.map(item => `
                     <div class="receipt__item">
                         <span>Lot ${item.lotNumber}: ${item.description}</span>
-                        <span>$${item.hammerPrice.toFixed(2)}</span>
+                        <span>${Money.formatDollars(item.hammerPrice)}</span>
                     </div>
                 `).join('')}
             </div>
@@ -537,24 +989,61 @@ function showReceipt(transaction) {
             <div class="receipt__totals">
                 <div class="receipt__row">
                     <span>Subtotal:</span>
-                    <span>$${transaction.totals.hammerPrice.toFixed(2)}</span>
+                    <span>${Money.formatDollars(transaction.totals.hammerPrice)}</span>
                 </div>
                 <div class="receipt__row">
-                    <span>Buyer's Premium (10%):</span>
-                    <span>$${transaction.totals.buyersPremium.toFixed(2)}</span>
+                    <span>Buyer's Premium (${transaction.totals.buyersPremiumRate}):</span>
+                    <span>${Money.formatDollars(transaction.totals.buyersPremium)}</span>
                 </div>
+                ${transaction.totals.taxExemptCertificate ? `
+                    <div class="receipt__row">
+                        <span>Sales Tax (exempt, cert #${transaction.totals.taxExemptCertificate}):</span>
+                        <span>$0.00</span>
+                    </div>
+                ` : transaction.totals.tax > 0 ? `
+                    <div class="receipt__row">
+                        <span>Sales Tax (${transaction.totals.taxRate}):</span>
+                        <span>${Money.formatDollars(transaction.totals.tax)}</span>
+                    </div>
+                ` : ''}
                 ${transaction.totals.cardFee > 0 ? `
                     <div class="receipt__row">
-                        <span>Card Fee (3%):</span>
-                        <span>$${transaction.totals.cardFee.toFixed(2)}</span>
+                        <span>Card Fee (${transaction.totals.cardFeeRate}):</span>
+                        <span>${Money.formatDollars(transaction.totals.cardFee)}</span>
                     </div>
                 ` : ''}
                 <div class="receipt__row receipt__row--total">
                     <span>TOTAL:</span>
-                    <span>$${transaction.totals.total.toFixed(2)}</span>
+                    <span>${Money.formatDollars(transaction.totals.total)}</span>
                 </div>
             </div>
             <div class="receipt__divider"></div>
+            <div class="receipt__totals">
+                ${transaction.tenders.map(tender => `
+                    <div class="receipt__row">
+                        <span>${methodLabel(tender.type)}${tenderReference(tender)}${tender.cardFee > 0 ? ` (incl. ${Money.formatDollars(tender.cardFee)} fee)` : ''}:</span>
+                        <span>${Money.formatDollars(tender.charge)}</span>
+                    </div>
+                `).join('')}
+                ${transaction.totals.balanceDue > 0 ? `
+                    <div class="receipt__row">
+                        <span>Balance Due:</span>
+                        <span>${Money.formatDollars(transaction.totals.balanceDue)}</span>
+                    </div>
+                ` : ''}
+            </div>
+            ${transaction.refunds && transaction.refunds.length > 0 ? `
+                <div class="receipt__divider"></div>
+                <div class="receipt__totals">
+                    ${transaction.refunds.map(refund => `
+                        <div class="receipt__row">
+                            <span>${refund.kind === 'void' ? 'Voided' : 'Refund'} to ${methodLabel(refund.type).toLowerCase()}${refund.lotNumbers.length ? ` (lot ${refund.lotNumbers.join(', ')})` : ''}:</span>
+                            <span>-${Money.formatDollars(refund.amount)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <div class="receipt__divider"></div>
             <div class="receipt__footer">
                 <p>Thank you for bidding with Almost Heaven Auctions!</p>
             </div>
@@ -572,6 +1061,18 @@ function printReceipt() {
     window.print();
 }
 
+// ===========================================
+// HTML ESCAPING
+// ===========================================
+// Bidder names and the like come from the public registration form, so
+// they're escaped before going into innerHTML
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+}
+
 // ===========================================
 // TOAST NOTIFICATIONS
 // ===========================================
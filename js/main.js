@@ -59,15 +59,21 @@ function performSearch(query) {
 
   // Encode the search query and redirect to auctions page
   const encodedQuery = encodeURIComponent(query.trim());
-  window.location.href = `pages/auctions.html?search=${encodedQuery}`;
+  window.location.href = pagePath(`auctions.html?search=${encodedQuery}`);
+}
+
+// Link to a file in /pages from either the site root or a page inside it
+function pagePath(page) {
+  const isInSubdirectory = window.location.pathname.includes("/pages/");
+  return isInSubdirectory ? page : `pages/${page}`;
 }
 
 // ==============================================
 // LOT CARDS FUNCTIONALITY
 // ==============================================
-function initLotCards() {
+function initLotCards(root = document) {
   // Initialize favorite buttons
-  const favoriteButtons = document.querySelectorAll(".lot-card__favorite");
+  const favoriteButtons = root.querySelectorAll(".lot-card__favorite");
 
   favoriteButtons.forEach((btn) => {
     btn.addEventListener("click", function (e) {
@@ -91,7 +97,7 @@ function initLotCards() {
   });
 
   // Make entire lot card clickable (except for favorite button)
-  const lotCards = document.querySelectorAll(".lot-card");
+  const lotCards = root.querySelectorAll(".lot-card");
 
   lotCards.forEach((card) => {
     card.addEventListener("click", function (e) {
@@ -100,11 +106,11 @@ function initLotCards() {
         return;
       }
 
+      // Catalog cards carry the lot's id; static cards fall back to the lot number
       const lotNumber = this.querySelector(".lot-card__lot-number")?.textContent;
-      if (lotNumber) {
-        // Extract lot ID and navigate to lot detail page
-        const lotId = lotNumber.replace("Lot #", "").trim();
-        window.location.href = `pages/lot.html?id=${lotId}`;
+      const lotId = this.dataset.lotId || lotNumber?.replace("Lot #", "").trim();
+      if (lotId) {
+        window.location.href = pagePath(`lot.html?id=${lotId}`);
       }
     });
   });
@@ -113,24 +119,25 @@ function initLotCards() {
 // ==============================================
 // COUNTDOWN TIMERS
 // ==============================================
-function initCountdownTimers() {
-  // This would be connected to real auction end times from the backend
-  // For now, we'll just set up the structure
-
-  const timeElements = document.querySelectorAll(".lot-card__time-left span:last-child");
-
-  // In production, these would have data attributes with actual end times
-  // Example: <span data-end-time="2026-01-15T18:00:00Z">2d 14h left</span>
+function initCountdownTimers(root = document) {
+  // Lot close times come from the timed-auction API (/api/timed) as ISO
+  // timestamps, e.g. <span data-end-time="2026-01-15T18:00:00Z">2d 14h left</span>
+  const timeElements = root.querySelectorAll(".lot-card__time-left [data-end-time], [data-countdown][data-end-time]");
 
   timeElements.forEach((element) => {
-    const endTime = element.dataset.endTime;
-    if (endTime) {
-      updateCountdown(element, new Date(endTime));
-    }
+    updateCountdown(element, new Date(element.dataset.endTime));
   });
 }
 
 function updateCountdown(element, endTime) {
+  // One timer per element, even if a page re-initializes its cards
+  clearTimeout(element._countdownTimer);
+
+  // Soft close extensions rewrite data-end-time, so it wins over the argument
+  if (element.dataset.endTime) {
+    endTime = new Date(element.dataset.endTime);
+  }
+
   const now = new Date();
   const diff = endTime - now;
 
@@ -143,6 +150,7 @@ function updateCountdown(element, endTime) {
   const days = Math.floor(diff / (1000 * 60 * 60 * 24));
   const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
   const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+  const seconds = Math.floor((diff % (1000 * 60)) / 1000);
 
   let timeString = "";
 
@@ -151,15 +159,24 @@ function updateCountdown(element, endTime) {
   } else if (hours > 0) {
     timeString = `${hours}h ${minutes}m left`;
   } else {
-    timeString = `${minutes}m left`;
+    timeString = `${minutes}m ${seconds}s left`;
     element.parentElement.classList.add("lot-card__time-left--urgent");
   }
 
   element.textContent = timeString;
 
-  // Update every minute (or every second if less than an hour)
-  const updateInterval = hours > 0 ? 60000 : 1000;
-  setTimeout(() => updateCountdown(element, endTime), updateInterval);
+  // Update every minute (or every second in the final hour)
+  const updateInterval = days > 0 || hours > 0 ? 60000 : 1000;
+  element._countdownTimer = setTimeout(() => updateCountdown(element, endTime), updateInterval);
+}
+
+/**
+ * Move a countdown to a new close time (soft close extension)
+ */
+function setCountdownEndTime(element, endTime) {
+  element.dataset.endTime = endTime;
+  element.parentElement.classList.remove("lot-card__time-left--ended", "lot-card__time-left--urgent");
+  updateCountdown(element, new Date(endTime));
 }
 
 // ==============================================
@@ -185,5 +202,9 @@ window.AuctionSite = {
   formatCurrency,
   formatNumber,
   performSearch,
+  pagePath,
+  initLotCards,
+  initCountdownTimers,
   updateCountdown,
+  setCountdownEndTime,
 };
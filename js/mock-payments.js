@@ -0,0 +1,57 @@
+/**
+ * Mock Payments
+ * Stand-in for the Square Web Payments SDK when the server's payment
+ * provider is 'mock' (development and clerk training). Same shape as
+ * Square.payments(): card() gives an object to attach() and tokenize(),
+ * but the "card" is a pick of Square's sandbox test nonces and nothing
+ * is ever charged.
+ */
+const MockPayments = (() => {
+    const TEST_CARDS = [
+        { nonce: 'cnon:card-nonce-ok', label: 'Approved' },
+        { nonce: 'cnon:card-nonce-declined', label: 'Declined' },
+        { nonce: 'cnon:card-nonce-rejected-cvv', label: 'Declined - CVV' },
+        { nonce: 'cnon:card-nonce-rejected-postalcode', label: 'Declined - postal code' },
+        { nonce: 'cnon:card-nonce-rejected-expiration', label: 'Declined - expired card' }
+    ];
+
+    function card() {
+        let container = null;
+
+        return {
+            async attach(selector) {
+                container = document.querySelector(selector);
+                container.innerHTML = `
+                    <div class="mock-card">
+                        <p class="mock-card__note">Training mode - no card is charged</p>
+                        <label class="mock-card__label">
+                            Test card
+                            <select class="mock-card__select">
+                                ${TEST_CARDS.map(c => `<option value="${c.nonce}">${c.label}</option>`).join('')}
+                            </select>
+                        </label>
+                    </div>
+                `;
+            },
+
+            async tokenize() {
+                const select = container && container.querySelector('.mock-card__select');
+                if (!select) {
+                    return { status: 'Invalid', errors: [{ message: 'Card form not initialized' }] };
+                }
+                return { status: 'OK', token: select.value };
+            },
+
+            async destroy() {
+                if (container) container.innerHTML = '';
+                container = null;
+            }
+        };
+    }
+
+    return {
+        payments: () => ({ card })
+    };
+})();
+
+window.MockPayments = MockPayments;
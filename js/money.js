@@ -0,0 +1,76 @@
+/**
+ * Money - JavaScript
+ * Shared by the server (require) and the clerk terminal (<script>) so
+ * amounts round the same way on both sides:
+ * - Amounts are held as integer cents; dollars only at the edges (API, display)
+ * - Half a cent always rounds away from zero
+ */
+
+const Money = (() => {
+    /**
+     * Dollars (number or numeric string) to integer cents
+     * @returns {number} Cents, or NaN when the amount isn't a number
+     */
+    function toCents(amount) {
+        const value = Number(amount);
+        if (amount === null || amount === '' || !Number.isFinite(value)) return NaN;
+
+        // Shift the decimal point in the text form so 1.005 is 100.5 cents,
+        // not the 100.49999... that value * 100 gives
+        const shifted = Number(`${Math.abs(value)}e2`);
+        const cents = roundHalfUp(Number.isFinite(shifted) ? shifted : Math.abs(value) * 100);
+        return value < 0 ? -cents : cents;
+    }
+
+    function fromCents(cents) {
+        return (cents || 0) / 100;
+    }
+
+    /**
+     * A percentage of an amount, in whole cents
+     * @param {number} cents
+     * @param {number} rate - Percent, e.g. 10 for 10%
+     */
+    function percentOf(cents, rate) {
+        const exact = cents * rate / 100;
+        return exact < 0 ? -roundHalfUp(-exact) : roundHalfUp(exact);
+    }
+
+    function sum(amounts) {
+        return amounts.reduce((total, cents) => total + cents, 0);
+    }
+
+    // "$1,234.50" (or "-$5.00")
+    function format(cents) {
+        const text = (Math.abs(cents || 0) / 100).toLocaleString('en-US', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        });
+        return `${cents < 0 ? '-' : ''}$${text}`;
+    }
+
+    function formatDollars(amount) {
+        return format(toCents(amount));
+    }
+
+    // Products like 1500 * 2.3 / 100 come out a hair under the true .5;
+    // the nudge is far below a cent so it only settles those ties
+    function roundHalfUp(value) {
+        return Math.round(value + 1e-9);
+    }
+
+    return {
+        toCents,
+        fromCents,
+        percentOf,
+        sum,
+        format,
+        formatDollars
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Money;
+} else {
+    window.Money = Money;
+}
@@ -0,0 +1,134 @@
+/**
+ * Staff Authentication - JavaScript
+ * Shared by the clerk terminal and admin pages:
+ * - Login form handling (#login-modal / #login-form)
+ * - Session token storage
+ * - fetch wrapper that sends the Authorization header
+ */
+
+const StaffAuth = (() => {
+    const TOKEN_KEY = 'staffToken';
+    const USER_KEY = 'staffUser';
+
+    function getToken() {
+        return sessionStorage.getItem(TOKEN_KEY);
+    }
+
+    function getUser() {
+        const saved = sessionStorage.getItem(USER_KEY);
+        return saved ? JSON.parse(saved) : null;
+    }
+
+    function clearSession() {
+        sessionStorage.removeItem(TOKEN_KEY);
+        sessionStorage.removeItem(USER_KEY);
+    }
+
+    async function login(username, password) {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Login failed');
+        }
+
+        sessionStorage.setItem(TOKEN_KEY, result.token);
+        sessionStorage.setItem(USER_KEY, JSON.stringify(result.user));
+        return result.user;
+    }
+
+    async function logout() {
+        try {
+            await authFetch('/api/auth/logout', { method: 'POST' });
+        } finally {
+            clearSession();
+            window.location.reload();
+        }
+    }
+
+    /**
+     * fetch() with the session token attached.
+     * A 401 means the session expired, so show the login form again.
+     */
+    async function authFetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        const token = getToken();
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const response = await fetch(url, { ...options, headers });
+
+        if (response.status === 401 && !url.endsWith('/auth/logout')) {
+            clearSession();
+            showLoginModal('Your session has expired. Please log in again.');
+        }
+        return response;
+    }
+
+    /**
+     * Run onReady once a staff user is logged in, prompting if needed.
+     * The login form stays wired up so an expired session can log back in.
+     * @param {Function} onReady - Called once with the logged-in user
+     */
+    async function requireLogin(onReady) {
+        let ready = false;
+
+        document.getElementById('login-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const submitBtn = form.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+
+            try {
+                const user = await login(form.username.value.trim(), form.password.value);
+                hideLoginModal();
+                form.reset();
+                if (!ready) {
+                    ready = true;
+                    onReady(user);
+                }
+            } catch (error) {
+                showLoginModal(error.message);
+            } finally {
+                submitBtn.disabled = false;
+            }
+        });
+
+        if (getToken()) {
+            const response = await authFetch('/api/auth/me');
+            if (response.ok) {
+                const { user } = await response.json();
+                ready = true;
+                onReady(user);
+                return;
+            }
+        }
+
+        showLoginModal();
+    }
+
+    function showLoginModal(message = '') {
+        document.getElementById('login-modal').style.display = 'flex';
+        document.getElementById('login-error').textContent = message;
+        document.getElementById('login-username').focus();
+    }
+
+    function hideLoginModal() {
+        document.getElementById('login-modal').style.display = 'none';
+    }
+
+    return {
+        getToken,
+        getUser,
+        authFetch,
+        requireLogin,
+        logout
+    };
+})();
+
+window.StaffAuth = StaffAuth;
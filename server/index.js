@@ -14,14 +14,24 @@ const path = require('path');
 
 // Database
 const db = require('./services/databaseService');
+const { ensureInitialAdmin } = require('./services/authService');
 
 // Routes
 const checkoutRoutes = require('./routes/checkout');
 const auctionRoutes = require('./routes/auction');
 const scheduleRoutes = require('./routes/schedule');
+const bidderRoutes = require('./routes/bidders');
+const authRoutes = require('./routes/auth');
+const timedRoutes = require('./routes/timed');
+const catalogRoutes = require('./routes/catalog');
+const consignorRoutes = require('./routes/consignors');
+const webhookRoutes = require('./routes/webhooks');
 
 // Services
 const { initializeSocket } = require('./services/socketService');
+const { UPLOAD_DIR, PUBLIC_PATH } = require('./services/imageService');
+const timedAuctions = require('./services/timedAuctionService');
+const { getPaymentProviderInfo } = require('./services/squareService');
 
 const app = express();
 const server = http.createServer(app);
@@ -29,6 +39,7 @@ const server = http.createServer(app);
 // Initialize database
 db.initDatabase();
 db.seedSampleData(); // Seed sample data for development
+ensureInitialAdmin();
 
 // Socket.io setup with CORS
 const io = new Server(server, {
@@ -40,16 +51,29 @@ const io = new Server(server, {
 
 // Middleware
 app.use(cors());
+app.use('/api/webhooks', webhookRoutes); // Before express.json: signatures cover the raw body
 app.use(express.json());
-app.use(express.static(path.join(__dirname, '..'))); // Serve static files from root
+
+// Only the site's own pages and assets are public: data/ (the database),
+// server/ and the rest of the repo are never served
+const SITE_ROOT = path.join(__dirname, '..');
+const PUBLIC_DIRS = ['pages', 'js', 'css', 'assets', 'components'];
+PUBLIC_DIRS.forEach(dir => app.use(`/${dir}`, express.static(path.join(SITE_ROOT, dir))));
+app.get(['/', '/index.html'], (req, res) => res.sendFile(path.join(SITE_ROOT, 'index.html')));
+app.use(PUBLIC_PATH, express.static(UPLOAD_DIR)); // Uploaded lot photos
 
 // Make io available to routes
 app.set('io', io);
 
 // API Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/checkout', checkoutRoutes);
 app.use('/api/auction', auctionRoutes);
 app.use('/api/schedule', scheduleRoutes);
+app.use('/api/bidders', bidderRoutes);
+app.use('/api/timed', timedRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/consignors', consignorRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -63,6 +87,12 @@ app.get('/api/health', (req, res) => {
 // Initialize WebSocket handlers
 initializeSocket(io);
 
+// Close timed-auction lots as they end
+timedAuctions.startScheduler(io);
+
+// Card payments provider (fails fast on an unknown PAYMENT_PROVIDER)
+const payments = getPaymentProviderInfo();
+
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
@@ -72,7 +102,7 @@ server.listen(PORT, () => {
 ╠═══════════════════════════════════════════════════════════╣
 ║  Server:     http://localhost:${PORT}                        ║
 ║  WebSocket:  ws://localhost:${PORT}                          ║
-║  Square:     ${process.env.SQUARE_ACCESS_TOKEN ? 'Configured' : 'Not configured'}                                   ║
+║  Payments:   ${payments.label}${payments.configured ? '' : ' - not configured'}                                   ║
 ╚═══════════════════════════════════════════════════════════╝
     `);
 });
@@ -0,0 +1,41 @@
+/**
+ * Auth Middleware
+ * Bearer-token authentication and role checks for Express routes
+ */
+
+const { getUserByToken, hasRole } = require('../services/authService');
+
+/**
+ * Pull the session token from "Authorization: Bearer <token>"
+ */
+function getToken(req) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Require a logged-in staff user with one of the given roles.
+ * Admins pass every role check.
+ * @param {...string} roles - Allowed roles (none = any staff)
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const user = getUserByToken(getToken(req));
+
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        if (roles.length > 0 && !hasRole(user, roles)) {
+            return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+        }
+
+        req.user = user;
+        next();
+    };
+}
+
+module.exports = {
+    getToken,
+    requireRole
+};
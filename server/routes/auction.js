@@ -5,11 +5,40 @@
 
 const express = require('express');
 const router = express.Router();
-const { auctionState } = require('../services/socketService');
+const { auctionState, formatBid, formatAbsenteeBid } = require('../services/socketService');
+const db = require('../services/databaseService');
+const { requireRole } = require('../middleware/auth');
+const bidding = require('../services/biddingService');
+const fees = require('../services/feeService');
+const tax = require('../services/taxService');
+const invoices = require('../services/invoiceService');
+const lotImages = require('../services/imageService');
+const lotImport = require('../services/importService');
+const multer = require('multer');
+const Money = require('../../js/money');
+
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Where a lot can be: not yet up, up for bidding, sold, passed (no sale),
+// or returned by the buyer for a refund
+const LOT_STATUSES = ['pending', 'active', 'sold', 'passed', 'returned'];
+
+// Photos are held in memory just long enough to resize them
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 15 * 1024 * 1024, files: MAX_IMAGES_PER_UPLOAD },
+    fileFilter: (req, file, cb) => {
+        if (!file.mimetype.startsWith('image/')) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    }
+}).array('images', MAX_IMAGES_PER_UPLOAD);
 
-// In-memory storage for lots (replace with DB in production)
-const lots = [];
-let currentAuction = null;
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+}).single('file');
 
 /**
  * GET /api/auction/status
@@ -20,6 +49,8 @@ router.get('/status', (req, res) => {
         isLive: auctionState.isLive,
         currentLot: auctionState.currentLot,
         currentBid: auctionState.currentBid,
+        bidIncrement: auctionState.bidIncrement,
+        nextBid: bidding.getNextValidBid(auctionState.currentBid, auctionState.incrementTable),
         onlineBidders: auctionState.connectedClients.bidders,
         pendingBids: auctionState.onlineBids.filter(b => b.status === 'pending').length
     });
@@ -30,148 +61,692 @@ router.get('/status', (req, res) => {
  * Get all lots for current auction
  */
 router.get('/lots', (req, res) => {
-    res.json({
-        auction: currentAuction,
-        lots: lots,
-        totalLots: lots.length
-    });
+    try {
+        const auction = db.getCurrentAuction();
+        const lots = auction ? db.getLotsByAuction(auction.id).map(formatLot) : [];
+
+        res.json({
+            auction: formatAuction(auction),
+            lots,
+            totalLots: lots.length
+        });
+    } catch (error) {
+        console.error('Error fetching lots:', error);
+        res.status(500).json({ error: 'Failed to fetch lots' });
+    }
 });
 
 /**
  * POST /api/auction/lots
  * Add a new lot
  */
-router.post('/lots', (req, res) => {
-    const { number, description, startingBid, estimate, category, images } = req.body;
+router.post('/lots', requireRole('admin'), (req, res) => {
+    const { number, description, startingBid, estimate, category, images, incrementTable, consignorId } = req.body;
 
     if (!number || !description) {
         return res.status(400).json({ error: 'Lot number and description are required' });
     }
+    if (consignorId && !db.getConsignorById(consignorId)) {
+        return res.status(400).json({ error: 'Consignor not found' });
+    }
 
-    const lot = {
-        id: `lot_${Date.now()}`,
-        number,
-        description,
-        startingBid: startingBid || 0,
-        estimate: estimate || null,
-        category: category || 'General',
-        images: images || [],
-        status: 'pending', // pending, active, sold, passed
-        winningBid: null,
-        winner: null,
-        createdAt: new Date().toISOString()
-    };
+    let increments;
+    try {
+        increments = incrementTable ? bidding.normalizeIncrementTable(incrementTable) : null;
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-    lots.push(lot);
+    try {
+        const auction = db.getCurrentAuction();
+        if (!auction) {
+            return res.status(400).json({ error: 'No active auction. Create an auction first' });
+        }
 
-    res.json({
-        success: true,
-        lot
-    });
+        const lot = db.createLot({
+            auction_id: auction.id,
+            lot_number: number,
+            description,
+            starting_bid: Money.toCents(startingBid) || 0,
+            estimate,
+            category,
+            images,
+            increment_table: increments,
+            consignor_id: consignorId
+        });
+
+        res.json({
+            success: true,
+            lot: formatLot(lot)
+        });
+    } catch (error) {
+        console.error('Error creating lot:', error);
+        res.status(500).json({ error: 'Failed to create lot' });
+    }
 });
 
 /**
  * POST /api/auction/lots/bulk
  * Add multiple lots at once
  */
-router.post('/lots/bulk', (req, res) => {
+router.post('/lots/bulk', requireRole('admin'), (req, res) => {
     const { items } = req.body;
 
     if (!items || !Array.isArray(items)) {
         return res.status(400).json({ error: 'Items array is required' });
     }
 
-    const addedLots = items.map((item, index) => ({
-        id: `lot_${Date.now()}_${index}`,
-        number: item.number || (lots.length + index + 1),
-        description: item.description || 'No description',
-        startingBid: item.startingBid || 0,
-        estimate: item.estimate || null,
-        category: item.category || 'General',
-        images: item.images || [],
-        status: 'pending',
-        winningBid: null,
-        winner: null,
-        createdAt: new Date().toISOString()
-    }));
+    let increments;
+    try {
+        increments = items.map(item => item.incrementTable ? bidding.normalizeIncrementTable(item.incrementTable) : null);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-    lots.push(...addedLots);
+    try {
+        const auction = db.getCurrentAuction();
+        if (!auction) {
+            return res.status(400).json({ error: 'No active auction. Create an auction first' });
+        }
 
-    res.json({
-        success: true,
-        added: addedLots.length,
-        lots: addedLots
+        const nextNumber = db.getNextLotNumber(auction.id);
+        const addedLots = db.createLots(items.map((item, index) => ({
+            auction_id: auction.id,
+            lot_number: item.number || (nextNumber + index),
+            description: item.description || 'No description',
+            starting_bid: Money.toCents(item.startingBid) || 0,
+            estimate: item.estimate,
+            category: item.category,
+            images: item.images,
+            consignor_id: item.consignorId,
+            increment_table: increments[index]
+        }))).map(formatLot);
+
+        res.json({
+            success: true,
+            added: addedLots.length,
+            lots: addedLots
+        });
+    } catch (error) {
+        console.error('Error creating lots:', error);
+        res.status(500).json({ error: 'Failed to create lots' });
+    }
+});
+
+/**
+ * POST /api/auction/lots/import/preview
+ * Dry run of a CSV lot import. Send the file as multipart field "file" or
+ * JSON { csv }. Optional: mapping ({ number, description, startingBid,
+ * estimate, category } -> column header), auctionId (defaults to the
+ * current auction) and consignorId for every lot in the file.
+ * Nothing is saved until the preview is committed.
+ */
+router.post('/lots/import/preview', requireRole('admin'), (req, res) => {
+    csvUpload(req, res, (uploadError) => {
+        if (uploadError) {
+            return res.status(400).json({ error: uploadError.code === 'LIMIT_FILE_SIZE' ? 'CSV files must be 5MB or smaller' : uploadError.message });
+        }
+
+        const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+        if (!csv) {
+            return res.status(400).json({ error: 'Upload a CSV file in the "file" field or send csv text' });
+        }
+
+        let mapping = req.body.mapping || {};
+        if (typeof mapping === 'string') {
+            try {
+                mapping = JSON.parse(mapping);
+            } catch (error) {
+                return res.status(400).json({ error: 'Mapping must be a JSON object' });
+            }
+        }
+
+        try {
+            const auction = req.body.auctionId ? db.getAuctionById(req.body.auctionId) : db.getCurrentAuction();
+            if (!auction) {
+                return res.status(400).json({ error: 'No active auction. Create an auction first' });
+            }
+
+            const consignorId = req.body.consignorId ? parseInt(req.body.consignorId) : null;
+            if (consignorId && !db.getConsignorById(consignorId)) {
+                return res.status(400).json({ error: 'Consignor not found' });
+            }
+
+            let preview;
+            try {
+                preview = lotImport.createPreview({ csv, mapping, auctionId: auction.id, consignorId, userId: req.user.id });
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            res.json({
+                success: true,
+                preview: formatImportPreview(preview)
+            });
+        } catch (error) {
+            console.error('Error previewing lot import:', error);
+            res.status(500).json({ error: 'Failed to preview import' });
+        }
     });
 });
 
+/**
+ * GET /api/auction/lots/import/:importId
+ * Fetch a pending import preview
+ */
+router.get('/lots/import/:importId', requireRole('admin'), (req, res) => {
+    const preview = lotImport.getPreview(req.params.importId);
+
+    if (!preview) {
+        return res.status(410).json({ error: 'Import preview not found or expired. Upload the file again' });
+    }
+
+    res.json({ preview: formatImportPreview(preview) });
+});
+
+/**
+ * POST /api/auction/lots/import/:importId/commit
+ * Accept a preview and create its lots. Refuses if any row has errors
+ * unless { skipInvalid: true } is sent.
+ */
+router.post('/lots/import/:importId/commit', requireRole('admin'), (req, res) => {
+    try {
+        const result = lotImport.commitPreview(req.params.importId, { skipInvalid: req.body.skipInvalid === true });
+
+        if (result.error) {
+            return res.status(result.rows ? 422 : 410).json({ error: result.error, rows: result.rows });
+        }
+
+        res.status(201).json({
+            success: true,
+            added: result.lots.length,
+            skipped: result.skipped.map(r => r.row),
+            lots: result.lots.map(formatLot)
+        });
+    } catch (error) {
+        console.error('Error committing lot import:', error);
+        res.status(500).json({ error: 'Failed to import lots' });
+    }
+});
+
+/**
+ * DELETE /api/auction/lots/import/:importId
+ * Throw away a preview without importing
+ */
+router.delete('/lots/import/:importId', requireRole('admin'), (req, res) => {
+    if (!lotImport.discardPreview(req.params.importId)) {
+        return res.status(410).json({ error: 'Import preview not found or expired. Upload the file again' });
+    }
+    res.json({ success: true });
+});
+
 /**
  * PUT /api/auction/lots/:lotId
  * Update a lot
  */
-router.put('/lots/:lotId', (req, res) => {
-    const lotIndex = lots.findIndex(l => l.id === req.params.lotId);
+router.put('/lots/:lotId', requireRole('admin'), (req, res) => {
+    try {
+        const existing = db.getLotById(req.params.lotId);
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Lot not found' });
+        }
+
+        const { number, description, startingBid, estimate, category, images, status, winningBid, incrementTable, endsAt, consignorId } = req.body;
+
+        if (status !== undefined && !LOT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${LOT_STATUSES.join(', ')}` });
+        }
+        if (endsAt && isNaN(new Date(endsAt).getTime())) {
+            return res.status(400).json({ error: 'endsAt must be a valid date and time' });
+        }
+        if (consignorId && !db.getConsignorById(consignorId)) {
+            return res.status(400).json({ error: 'Consignor not found' });
+        }
+
+        let increments;
+        try {
+            increments = incrementTable ? bidding.normalizeIncrementTable(incrementTable) : incrementTable;
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const lot = db.updateLot(existing.id, {
+            lot_number: number,
+            description,
+            starting_bid: startingBid === undefined ? undefined : Money.toCents(startingBid) || 0,
+            estimate,
+            category,
+            images,
+            status,
+            winning_bid: winningBid === undefined ? undefined : Money.toCents(winningBid) || 0,
+            increment_table: increments,
+            ends_at: endsAt ? new Date(endsAt).toISOString() : undefined,
+            consignor_id: consignorId
+        });
+
+        // Uploaded photos dropped from the list no longer need their files
+        if (Array.isArray(images)) {
+            const kept = images.map(lotImages.imageKey);
+            existing.images
+                .filter(image => !kept.includes(lotImages.imageKey(image)))
+                .forEach(image => lotImages.deleteLotImage(existing.id, image));
+        }
 
-    if (lotIndex === -1) {
-        return res.status(404).json({ error: 'Lot not found' });
+        res.json({
+            success: true,
+            lot: formatLot(lot)
+        });
+    } catch (error) {
+        console.error('Error updating lot:', error);
+        res.status(500).json({ error: 'Failed to update lot' });
     }
+});
 
-    const updates = req.body;
-    lots[lotIndex] = { ...lots[lotIndex], ...updates };
+/**
+ * GET /api/auction/lots/:lotId/bids
+ * Full bid history for a lot (online and floor)
+ */
+router.get('/lots/:lotId/bids', requireRole(), (req, res) => {
+    try {
+        const lot = db.getLotById(req.params.lotId);
 
-    res.json({
-        success: true,
-        lot: lots[lotIndex]
+        if (!lot) {
+            return res.status(404).json({ error: 'Lot not found' });
+        }
+
+        const bids = db.getBidsForLot(lot.auction_id, lot.lot_number).map(formatBid);
+
+        res.json({
+            lot: formatLot(lot),
+            bids,
+            totalBids: bids.length
+        });
+    } catch (error) {
+        console.error('Error fetching lot bids:', error);
+        res.status(500).json({ error: 'Failed to fetch bids' });
+    }
+});
+
+/**
+ * GET /api/auction/lots/:lotId/absentee-bids
+ * Absentee (max) bids left on a lot, highest first
+ */
+router.get('/lots/:lotId/absentee-bids', requireRole(), (req, res) => {
+    try {
+        const lot = db.getLotById(req.params.lotId);
+
+        if (!lot) {
+            return res.status(404).json({ error: 'Lot not found' });
+        }
+
+        const absenteeBids = db.getAbsenteeBidsForLot(lot.auction_id, lot.lot_number)
+            .map(formatAbsenteeBid)
+            .sort((a, b) => b.maxAmount - a.maxAmount);
+
+        res.json({
+            lot: formatLot(lot),
+            absenteeBids
+        });
+    } catch (error) {
+        console.error('Error fetching absentee bids:', error);
+        res.status(500).json({ error: 'Failed to fetch absentee bids' });
+    }
+});
+
+/**
+ * POST /api/auction/lots/:lotId/images
+ * Upload photos (multipart field "images"). Each is stored as a web-sized
+ * version and a thumbnail, and appended to the lot's images.
+ */
+router.post('/lots/:lotId/images', requireRole('admin'), (req, res) => {
+    upload(req, res, async (uploadError) => {
+        if (uploadError) {
+            const message = uploadError.code === 'LIMIT_FILE_SIZE'
+                ? 'Each image must be 15MB or smaller'
+                : uploadError.code === 'LIMIT_UNEXPECTED_FILE'
+                    ? `Upload up to ${MAX_IMAGES_PER_UPLOAD} image files in the "images" field`
+                    : uploadError.message;
+            return res.status(400).json({ error: message });
+        }
+
+        try {
+            const lot = db.getLotById(req.params.lotId);
+
+            if (!lot) {
+                return res.status(404).json({ error: 'Lot not found' });
+            }
+            if (!req.files || req.files.length === 0) {
+                return res.status(400).json({ error: 'No images uploaded' });
+            }
+
+            const saved = [];
+            for (const file of req.files) {
+                try {
+                    saved.push(await lotImages.saveLotImage(lot.id, file.buffer));
+                } catch (error) {
+                    saved.forEach(image => lotImages.deleteLotImage(lot.id, image));
+                    return res.status(400).json({ error: `${file.originalname} is not a readable image` });
+                }
+            }
+
+            // Re-read in case another upload finished while these were resizing
+            const current = db.getLotById(lot.id);
+            const updated = db.updateLot(lot.id, { images: [...current.images, ...saved] });
+
+            res.status(201).json({
+                success: true,
+                uploaded: lotImages.formatImages(saved),
+                images: lotImages.formatImages(updated.images)
+            });
+        } catch (error) {
+            console.error('Error uploading lot images:', error);
+            res.status(500).json({ error: 'Failed to upload images' });
+        }
     });
 });
 
+/**
+ * PUT /api/auction/lots/:lotId/images/order
+ * Reorder a lot's images. Body: { order: [imageId, ...] }, using the URL
+ * for linked images. The first image is the lot's main photo.
+ */
+router.put('/lots/:lotId/images/order', requireRole('admin'), (req, res) => {
+    const { order } = req.body;
+
+    if (!Array.isArray(order)) {
+        return res.status(400).json({ error: 'Order array is required' });
+    }
+
+    try {
+        const lot = db.getLotById(req.params.lotId);
+
+        if (!lot) {
+            return res.status(404).json({ error: 'Lot not found' });
+        }
+
+        const keys = lot.images.map(lotImages.imageKey);
+        if (order.length !== keys.length || !keys.every(key => order.includes(key))) {
+            return res.status(400).json({ error: 'Order must list every image on the lot exactly once' });
+        }
+
+        const reordered = order.map(key => lot.images[keys.indexOf(key)]);
+        const updated = db.updateLot(lot.id, { images: reordered });
+
+        res.json({
+            success: true,
+            images: lotImages.formatImages(updated.images)
+        });
+    } catch (error) {
+        console.error('Error reordering lot images:', error);
+        res.status(500).json({ error: 'Failed to reorder images' });
+    }
+});
+
+/**
+ * DELETE /api/auction/lots/:lotId/images/:imageId
+ * Remove one image (and its files) from a lot
+ */
+router.delete('/lots/:lotId/images/:imageId', requireRole('admin'), (req, res) => {
+    try {
+        const lot = db.getLotById(req.params.lotId);
+
+        if (!lot) {
+            return res.status(404).json({ error: 'Lot not found' });
+        }
+
+        const image = lot.images.find(img => lotImages.imageKey(img) === req.params.imageId);
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const updated = db.updateLot(lot.id, { images: lot.images.filter(img => img !== image) });
+        lotImages.deleteLotImage(lot.id, image);
+
+        res.json({
+            success: true,
+            images: lotImages.formatImages(updated.images)
+        });
+    } catch (error) {
+        console.error('Error deleting lot image:', error);
+        res.status(500).json({ error: 'Failed to delete image' });
+    }
+});
+
 /**
  * DELETE /api/auction/lots/:lotId
  * Delete a lot
  */
-router.delete('/lots/:lotId', (req, res) => {
-    const lotIndex = lots.findIndex(l => l.id === req.params.lotId);
+router.delete('/lots/:lotId', requireRole('admin'), (req, res) => {
+    try {
+        const deleted = db.getLotById(req.params.lotId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Lot not found' });
+        }
 
-    if (lotIndex === -1) {
-        return res.status(404).json({ error: 'Lot not found' });
+        db.deleteLot(deleted.id);
+        lotImages.deleteAllLotImages(deleted.id);
+
+        res.json({
+            success: true,
+            deleted: formatLot(deleted)
+        });
+    } catch (error) {
+        console.error('Error deleting lot:', error);
+        res.status(500).json({ error: 'Failed to delete lot' });
     }
+});
 
-    const deleted = lots.splice(lotIndex, 1)[0];
+/**
+ * GET /api/auction/increments
+ * Bid increment table for the current auction
+ */
+router.get('/increments', (req, res) => {
+    try {
+        const auction = db.getCurrentAuction();
 
-    res.json({
-        success: true,
-        deleted
-    });
+        res.json({
+            incrementTable: bidding.resolveIncrementTable(auction, null),
+            isDefault: !auction || !auction.increment_table_json
+        });
+    } catch (error) {
+        console.error('Error fetching increments:', error);
+        res.status(500).json({ error: 'Failed to fetch increments' });
+    }
 });
 
 /**
- * POST /api/auction/create
- * Create a new auction
+ * PUT /api/auction/increments
+ * Set the current auction's increment table (null restores the default)
  */
-router.post('/create', (req, res) => {
-    const { title, date, startTime, description, livestreamUrl } = req.body;
+router.put('/increments', requireRole('admin'), (req, res) => {
+    const { incrementTable } = req.body;
 
-    if (!title || !date) {
-        return res.status(400).json({ error: 'Title and date are required' });
+    const auction = db.getCurrentAuction();
+    if (!auction) {
+        return res.status(400).json({ error: 'No active auction. Create an auction first' });
     }
 
-    currentAuction = {
-        id: `auction_${Date.now()}`,
-        title,
-        date,
-        startTime: startTime || '10:00 AM',
-        description: description || '',
-        livestreamUrl: livestreamUrl || '',
-        status: 'scheduled', // scheduled, live, completed
-        createdAt: new Date().toISOString()
-    };
+    let increments;
+    try {
+        increments = incrementTable ? bidding.normalizeIncrementTable(incrementTable) : null;
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-    // Clear previous lots
-    lots.length = 0;
+    try {
+        const updated = db.updateAuction(auction.id, {
+            increment_table_json: increments ? JSON.stringify(increments) : null
+        });
 
-    res.json({
-        success: true,
-        auction: currentAuction
-    });
+        res.json({
+            success: true,
+            auction: formatAuction(updated)
+        });
+    } catch (error) {
+        console.error('Error updating increments:', error);
+        res.status(500).json({ error: 'Failed to update increments' });
+    }
+});
+
+/**
+ * GET /api/auction/fees
+ * Buyer's premium and card fee schedule for the current auction
+ */
+router.get('/fees', (req, res) => {
+    try {
+        const auction = db.getCurrentAuction();
+        const feeSchedule = fees.getFeeSchedule(auction);
+
+        res.json({
+            feeSchedule,
+            premiumDescription: fees.describePremiumTiers(feeSchedule),
+            isDefault: !auction || !auction.fee_schedule_json
+        });
+    } catch (error) {
+        console.error('Error fetching fees:', error);
+        res.status(500).json({ error: 'Failed to fetch fees' });
+    }
+});
+
+/**
+ * PUT /api/auction/fees
+ * Set the current auction's fee schedule (null restores the default)
+ */
+router.put('/fees', requireRole('admin'), (req, res) => {
+    const { feeSchedule } = req.body;
+
+    const auction = db.getCurrentAuction();
+    if (!auction) {
+        return res.status(400).json({ error: 'No active auction. Create an auction first' });
+    }
+
+    let schedule;
+    try {
+        schedule = feeSchedule ? fees.normalizeFeeSchedule(feeSchedule) : null;
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const updated = db.updateAuction(auction.id, {
+            fee_schedule_json: schedule ? JSON.stringify(schedule) : null
+        });
+
+        res.json({
+            success: true,
+            auction: formatAuction(updated)
+        });
+    } catch (error) {
+        console.error('Error updating fees:', error);
+        res.status(500).json({ error: 'Failed to update fees' });
+    }
+});
+
+/**
+ * GET /api/auction/tax-rates
+ * Sales tax rate for each auction location
+ */
+router.get('/tax-rates', requireRole('admin'), (req, res) => {
+    try {
+        res.json({ taxRates: db.getTaxRates().map(formatTaxRate) });
+    } catch (error) {
+        console.error('Error fetching tax rates:', error);
+        res.status(500).json({ error: 'Failed to fetch tax rates' });
+    }
+});
+
+/**
+ * PUT /api/auction/tax-rates
+ * Set the tax rate for a location: { location, rate } (rate is a percent)
+ */
+router.put('/tax-rates', requireRole('admin'), (req, res) => {
+    const { location, rate } = req.body;
+
+    if (!location || !String(location).trim()) {
+        return res.status(400).json({ error: 'Location is required' });
+    }
+
+    let value;
+    try {
+        value = tax.normalizeTaxRate(rate);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        res.json({
+            success: true,
+            taxRate: formatTaxRate(db.saveTaxRate(String(location).trim(), value))
+        });
+    } catch (error) {
+        console.error('Error saving tax rate:', error);
+        res.status(500).json({ error: 'Failed to save tax rate' });
+    }
+});
+
+/**
+ * DELETE /api/auction/tax-rates/:id
+ * Remove a location's tax rate (sales there become untaxed)
+ */
+router.delete('/tax-rates/:id', requireRole('admin'), (req, res) => {
+    try {
+        if (!db.deleteTaxRate(parseInt(req.params.id))) {
+            return res.status(404).json({ error: 'Tax rate not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting tax rate:', error);
+        res.status(500).json({ error: 'Failed to delete tax rate' });
+    }
+});
+
+/**
+ * POST /api/auction/create
+ * Create a new auction, or make an existing scheduled auction current
+ * by passing its auctionId
+ */
+router.post('/create', requireRole('admin'), (req, res) => {
+    const { auctionId, title, date, startTime, description, livestreamUrl } = req.body;
+
+    try {
+        let auction;
+
+        if (auctionId) {
+            auction = db.getAuctionById(auctionId);
+            if (!auction) {
+                return res.status(404).json({ error: 'Auction not found' });
+            }
+            if (livestreamUrl !== undefined) {
+                auction = db.updateAuction(auction.id, { livestream_url: livestreamUrl });
+            }
+        } else {
+            if (!title || !date) {
+                return res.status(400).json({ error: 'Title and date are required' });
+            }
+
+            const created = db.createAuction({
+                title,
+                auction_date: date,
+                start_time: startTime || '10:00',
+                description: description || '',
+                livestream_url: livestreamUrl || '',
+                status: 'upcoming'
+            });
+            auction = db.getAuctionById(created.id);
+        }
+
+        db.setCurrentAuction(auction.id);
+
+        res.json({
+            success: true,
+            auction: formatAuction(auction)
+        });
+    } catch (error) {
+        console.error('Error creating auction:', error);
+        res.status(500).json({ error: 'Failed to create auction' });
+    }
 });
 
 /**
@@ -179,22 +754,31 @@ router.post('/create', (req, res) => {
  * Get current auction details
  */
 router.get('/current', (req, res) => {
-    if (!currentAuction) {
-        return res.status(404).json({ error: 'No active auction' });
-    }
+    try {
+        const auction = db.getCurrentAuction();
 
-    res.json({
-        auction: currentAuction,
-        lotCount: lots.length,
-        soldCount: lots.filter(l => l.status === 'sold').length
-    });
+        if (!auction) {
+            return res.status(404).json({ error: 'No active auction' });
+        }
+
+        const lots = db.getLotsByAuction(auction.id);
+
+        res.json({
+            auction: formatAuction(auction),
+            lotCount: lots.length,
+            soldCount: lots.filter(l => l.status === 'sold').length
+        });
+    } catch (error) {
+        console.error('Error fetching current auction:', error);
+        res.status(500).json({ error: 'Failed to fetch current auction' });
+    }
 });
 
 /**
  * GET /api/auction/online-bids
  * Get pending online bids (for clerk view)
  */
-router.get('/online-bids', (req, res) => {
+router.get('/online-bids', requireRole(), (req, res) => {
     res.json({
         pendingBids: auctionState.onlineBids.filter(b => b.status === 'pending'),
         allBids: auctionState.onlineBids
@@ -205,26 +789,37 @@ router.get('/online-bids', (req, res) => {
  * POST /api/auction/record-sale
  * Record a completed sale
  */
-router.post('/record-sale', (req, res) => {
-    const { lotNumber, winningBid, buyerNumber, buyerName, isOnline } = req.body;
+router.post('/record-sale', requireRole('clerk', 'auctioneer'), (req, res) => {
+    const { lotNumber, winningBid, buyerNumber, buyerName, isOnline, description } = req.body;
 
     if (!lotNumber || !winningBid || !buyerNumber) {
         return res.status(400).json({ 
             error: 'Lot number, winning bid, and buyer number are required' 
         });
     }
+    if (!(Money.toCents(winningBid) > 0)) {
+        return res.status(400).json({ error: 'Winning bid must be a dollar amount' });
+    }
 
-    // Find and update the lot
-    const lot = lots.find(l => l.number == lotNumber);
-    if (lot) {
-        lot.status = 'sold';
-        lot.winningBid = winningBid;
-        lot.winner = {
+    // Find and update the lot (or record it if it was never catalogued)
+    // and put it on the buyer's invoice
+    try {
+        const auction = db.getCurrentAuction();
+        const result = invoices.recordSale({
+            auctionId: auction ? auction.id : null,
+            lotNumber,
+            winningBid: Money.toCents(winningBid),
             buyerNumber,
-            name: buyerName || `Buyer #${buyerNumber}`,
-            isOnline: isOnline || false
-        };
-        lot.soldAt = new Date().toISOString();
+            buyerName,
+            isOnline,
+            description
+        });
+        if (result.error) {
+            return res.status(result.statusCode).json({ error: result.error });
+        }
+    } catch (error) {
+        console.error('Error recording sale:', error);
+        return res.status(500).json({ error: 'Failed to record sale' });
     }
 
     // Broadcast via socket if available
@@ -251,4 +846,75 @@ router.post('/record-sale', (req, res) => {
     });
 });
 
+// ===========================================
+// HELPERS
+// ===========================================
+
+function formatAuction(auction) {
+    if (!auction) return null;
+    return {
+        id: auction.id,
+        title: auction.title,
+        date: auction.auction_date,
+        startTime: auction.start_time,
+        description: auction.description || '',
+        livestreamUrl: auction.livestream_url || '',
+        incrementTable: bidding.resolveIncrementTable(auction, null),
+        feeSchedule: fees.getFeeSchedule(auction),
+        taxRate: tax.getTaxRate(auction),
+        auctionType: auction.auction_type || 'live', // live or timed
+        softCloseMinutes: auction.soft_close_minutes,
+        location: auction.location,
+        status: auction.status,
+        createdAt: auction.created_at
+    };
+}
+
+function formatTaxRate(row) {
+    return {
+        id: row.id,
+        location: row.location,
+        rate: row.rate,
+        updatedAt: row.updated_at
+    };
+}
+
+function formatImportPreview(preview) {
+    return {
+        id: preview.id,
+        auctionId: preview.auctionId,
+        consignorId: preview.consignorId,
+        columns: preview.columns,
+        mapping: preview.mapping,
+        summary: preview.summary,
+        rows: preview.rows,
+        expiresAt: preview.expiresAt
+    };
+}
+
+function formatLot(lot) {
+    return {
+        id: lot.id,
+        auctionId: lot.auction_id,
+        number: lot.lot_number,
+        description: lot.description,
+        startingBid: Money.fromCents(lot.starting_bid),
+        estimate: lot.estimate,
+        category: lot.category || 'General',
+        images: lotImages.formatImages(lot.images),
+        incrementTable: lot.increment_table,
+        consignorId: lot.consignor_id,
+        status: lot.status, // pending, active, sold, passed
+        winningBid: lot.winning_bid === null ? null : Money.fromCents(lot.winning_bid),
+        winner: lot.winner_bidder_number ? {
+            buyerNumber: lot.winner_bidder_number,
+            name: lot.winner_name,
+            isOnline: Boolean(lot.is_online)
+        } : null,
+        endsAt: lot.ends_at,
+        soldAt: lot.sold_at,
+        createdAt: lot.created_at
+    };
+}
+
 module.exports = router;
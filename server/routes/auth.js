@@ -0,0 +1,119 @@
+/**
+ * Auth Routes
+ * Staff login/logout and account management
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../services/authService');
+const db = require('../services/databaseService');
+const { getToken, requireRole } = require('../middleware/auth');
+
+/**
+ * POST /api/auth/login
+ * Exchange username/password for a session token
+ */
+router.post('/login', (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    try {
+        const session = auth.login(username, password);
+
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        res.json({
+            success: true,
+            ...session
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/logout', (req, res) => {
+    const token = getToken(req);
+    if (token) {
+        auth.logout(token);
+    }
+    res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/me
+ * Current logged-in user
+ */
+router.get('/me', requireRole(), (req, res) => {
+    res.json({ user: req.user });
+});
+
+/**
+ * GET /api/auth/users
+ * List staff accounts (admin)
+ */
+router.get('/users', requireRole('admin'), (req, res) => {
+    res.json({
+        users: db.getAllUsers().map(auth.toPublicUser)
+    });
+});
+
+/**
+ * POST /api/auth/users
+ * Create a staff account (admin)
+ */
+router.post('/users', requireRole('admin'), (req, res) => {
+    const { username, name, password, role } = req.body;
+
+    if (!username || !password || !role) {
+        return res.status(400).json({ error: 'Username, password, and role are required' });
+    }
+    if (!auth.ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${auth.ROLES.join(', ')}` });
+    }
+    if (db.getUserByUsername(username)) {
+        return res.status(400).json({ error: 'Username already exists' });
+    }
+
+    try {
+        const user = auth.createUser({ username, name, password, role });
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+/**
+ * PUT /api/auth/users/:id
+ * Update name, role, password or active flag (admin)
+ */
+router.put('/users/:id', requireRole('admin'), (req, res) => {
+    const { name, password, role, active } = req.body;
+
+    if (!db.getUserById(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    if (role !== undefined && !auth.ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${auth.ROLES.join(', ')}` });
+    }
+
+    try {
+        const user = auth.updateUser(req.params.id, { name, password, role, active });
+        res.json({ success: true, user });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+module.exports = router;
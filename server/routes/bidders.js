@@ -0,0 +1,333 @@
+/**
+ * Bidder Routes
+ * Online bidder registration, staff approval, absentee bids and bid history
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { auctionState, formatBid, formatAbsenteeBid } = require('../services/socketService');
+const db = require('../services/databaseService');
+const invoices = require('../services/invoiceService');
+const { getToken, requireRole } = require('../middleware/auth');
+const Money = require('../../js/money');
+
+// First paddle number handed to online bidders in each auction
+const ONLINE_BIDDER_START = parseInt(process.env.ONLINE_BIDDER_START) || 500;
+
+/**
+ * POST /api/bidders/register
+ * Register for an auction online (defaults to the current auction).
+ * Returns the paddle number and the access token the live page bids with.
+ * An email that already has a contact record can only register again with
+ * one of that contact's bidder tokens (Authorization: Bearer <token>), so
+ * nobody can take a paddle under someone else's email.
+ */
+router.post('/register', (req, res) => {
+    const { name, email, phone, address, auctionId } = req.body;
+
+    if (!name || !email || !phone) {
+        return res.status(400).json({ error: 'Name, email, and phone are required' });
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    try {
+        const auction = auctionId ? db.getAuctionById(auctionId) : db.getCurrentAuction();
+        if (!auction) {
+            return res.status(404).json({ error: 'No auction is open for registration' });
+        }
+
+        // One contact record per email address
+        let bidder = db.getBidderByEmail(email);
+        if (!bidder) {
+            bidder = db.createBidder({
+                bidder_number: `ONL-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+                name,
+                email,
+                phone,
+                address
+            });
+        } else {
+            const signedIn = db.getRegistrationByToken(getToken(req) || '');
+            if (!signedIn || signedIn.bidder_id !== bidder.id) {
+                return res.status(409).json({
+                    error: 'This email already has a bidder account. Sign in on the device you registered with, or contact us to register for this auction.'
+                });
+            }
+            bidder = db.updateBidderContact(bidder.id, { name, phone, address });
+        }
+
+        if (db.getRegistrationForBidder(auction.id, bidder.id)) {
+            return res.status(409).json({
+                error: 'This email is already registered for this auction. Please contact us for help signing in.'
+            });
+        }
+
+        const registration = db.createRegistration({
+            auction_id: auction.id,
+            bidder_id: bidder.id,
+            status: auction.require_bidder_approval ? 'pending' : 'approved',
+            access_token: crypto.randomBytes(32).toString('hex'),
+            firstNumber: ONLINE_BIDDER_START
+        });
+
+        // Let clerks know someone is waiting for approval
+        const io = req.app.get('io');
+        if (io && registration.status === 'pending') {
+            io.to('clerks').emit('registration:new', formatRegistration(registration));
+        }
+
+        res.status(201).json({
+            success: true,
+            registration: formatRegistration(registration),
+            token: registration.access_token
+        });
+    } catch (error) {
+        console.error('Error registering bidder:', error);
+        res.status(500).json({ error: 'Registration failed' });
+    }
+});
+
+/**
+ * GET /api/bidders/registration
+ * The caller's own registration (Authorization: Bearer <bidder token>)
+ */
+router.get('/registration', (req, res) => {
+    const registration = db.getRegistrationByToken(getToken(req) || '');
+
+    if (!registration) {
+        return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    res.json({ registration: formatRegistration(registration) });
+});
+
+/**
+ * GET /api/bidders/invoice
+ * The caller's invoice for the auction they registered for, with the link
+ * to pay it online. 404 until they've won a lot.
+ */
+router.get('/invoice', (req, res) => {
+    const registration = db.getRegistrationByToken(getToken(req) || '');
+
+    if (!registration) {
+        return res.status(401).json({ error: 'Registration not found' });
+    }
+
+    try {
+        const found = invoices.getInvoice(registration.auction_id, registration.bidder_number);
+        if (!found) {
+            return res.status(404).json({ error: 'No purchases yet' });
+        }
+
+        res.json({
+            invoice: {
+                id: found.invoice.id,
+                status: found.invoice.status,
+                lotCount: found.lots.filter(lot => lot.status === 'sold').length,
+                unpaidCount: found.unpaidLots.length,
+                payUrl: invoices.payUrlFor(invoices.getPayToken(found.invoice))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching bidder invoice:', error);
+        res.status(500).json({ error: 'Failed to fetch invoice' });
+    }
+});
+
+/**
+ * POST /api/bidders/absentee-bids
+ * Leave a maximum bid on a lot before it opens (Authorization: Bearer <bidder token>).
+ * Posting again for the same lot replaces the max.
+ */
+router.post('/absentee-bids', (req, res) => {
+    const { lotNumber, maxBid } = req.body;
+    const registration = db.getRegistrationByToken(getToken(req) || '');
+
+    if (!registration) {
+        return res.status(401).json({ error: 'Registration not found' });
+    }
+    if (registration.status !== 'approved') {
+        return res.status(403).json({ error: 'Your registration must be approved before you can bid' });
+    }
+    if (!lotNumber || !(Number(maxBid) > 0)) {
+        return res.status(400).json({ error: 'Lot number and a maximum bid are required' });
+    }
+
+    try {
+        const lot = db.getLotByNumber(registration.auction_id, lotNumber);
+        if (!lot) {
+            return res.status(404).json({ error: 'Lot not found' });
+        }
+        if (lot.status === 'sold' || isLotOpen(registration.auction_id, lot.lot_number)) {
+            return res.status(409).json({ error: 'This lot is no longer taking absentee bids' });
+        }
+
+        const maxAmount = Money.toCents(maxBid);
+        if (maxAmount < lot.starting_bid) {
+            return res.status(400).json({ error: `Maximum bid must be at least the starting bid of ${Money.format(lot.starting_bid)}` });
+        }
+
+        const absentee = db.saveAbsenteeBid({
+            auction_id: registration.auction_id,
+            lot_number: lot.lot_number,
+            registration_id: registration.id,
+            max_amount: maxAmount
+        });
+
+        res.status(201).json({ success: true, absenteeBid: formatAbsenteeBid(absentee) });
+    } catch (error) {
+        console.error('Error saving absentee bid:', error);
+        res.status(500).json({ error: 'Failed to save absentee bid' });
+    }
+});
+
+/**
+ * GET /api/bidders/absentee-bids
+ * The caller's absentee bids and how each turned out
+ */
+router.get('/absentee-bids', (req, res) => {
+    const registration = db.getRegistrationByToken(getToken(req) || '');
+
+    if (!registration) {
+        return res.status(401).json({ error: 'Registration not found' });
+    }
+
+    res.json({
+        absenteeBids: db.getAbsenteeBidsByRegistration(registration.id).map(formatAbsenteeBid)
+    });
+});
+
+/**
+ * DELETE /api/bidders/absentee-bids/:id
+ * Withdraw an absentee bid before its lot opens
+ */
+router.delete('/absentee-bids/:id', (req, res) => {
+    const registration = db.getRegistrationByToken(getToken(req) || '');
+    const absentee = db.getAbsenteeBidById(req.params.id);
+
+    if (!registration || !absentee || absentee.registration_id !== registration.id) {
+        return res.status(404).json({ error: 'Absentee bid not found' });
+    }
+    if (absentee.status !== 'active' || isLotOpen(absentee.auction_id, absentee.lot_number)) {
+        return res.status(409).json({ error: 'This absentee bid can no longer be withdrawn' });
+    }
+
+    try {
+        const cancelled = db.updateAbsenteeBid(absentee.id, { status: 'cancelled' });
+        res.json({ success: true, absenteeBid: formatAbsenteeBid(cancelled) });
+    } catch (error) {
+        console.error('Error cancelling absentee bid:', error);
+        res.status(500).json({ error: 'Failed to cancel absentee bid' });
+    }
+});
+
+/**
+ * GET /api/bidders/registrations
+ * Registrations for an auction (staff). Filters: auctionId, status
+ */
+router.get('/registrations', requireRole(), (req, res) => {
+    try {
+        const auction = req.query.auctionId ? db.getAuctionById(req.query.auctionId) : db.getCurrentAuction();
+        if (!auction) {
+            return res.status(404).json({ error: 'Auction not found' });
+        }
+
+        const registrations = db.getRegistrationsByAuction(auction.id, req.query.status || null);
+
+        res.json({
+            auction: { id: auction.id, title: auction.title, requireApproval: Boolean(auction.require_bidder_approval) },
+            registrations: registrations.map(formatRegistration)
+        });
+    } catch (error) {
+        console.error('Error fetching registrations:', error);
+        res.status(500).json({ error: 'Failed to fetch registrations' });
+    }
+});
+
+/**
+ * PUT /api/bidders/registrations/:id
+ * Approve or reject a registration (staff)
+ */
+router.put('/registrations/:id', requireRole('clerk', 'auctioneer'), (req, res) => {
+    const { status } = req.body;
+
+    if (!['approved', 'rejected', 'pending'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be approved, rejected, or pending' });
+    }
+
+    try {
+        if (!db.getRegistrationById(req.params.id)) {
+            return res.status(404).json({ error: 'Registration not found' });
+        }
+
+        const registration = formatRegistration(
+            db.updateRegistrationStatus(req.params.id, status, req.user.id)
+        );
+
+        // Tell the bidder's open live-auction page right away
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`registration:${registration.id}`).emit('registration:updated', registration);
+        }
+
+        res.json({ success: true, registration });
+    } catch (error) {
+        console.error('Error updating registration:', error);
+        res.status(500).json({ error: 'Failed to update registration' });
+    }
+});
+
+/**
+ * GET /api/bidders/:number/bids
+ * Every bid a bidder has placed, newest first
+ */
+router.get('/:number/bids', requireRole(), (req, res) => {
+    try {
+        const bidder = db.getBidderByNumber(req.params.number);
+        const bids = db.getBidsByBidder(req.params.number).map(formatBid);
+
+        if (!bidder && bids.length === 0) {
+            return res.status(404).json({ error: 'Bidder not found' });
+        }
+
+        res.json({
+            bidder: bidder ? {
+                bidderNumber: bidder.bidder_number,
+                name: bidder.name
+            } : { bidderNumber: req.params.number, name: bids[0].bidderName },
+            bids,
+            totalBids: bids.length
+        });
+    } catch (error) {
+        console.error('Error fetching bidder bids:', error);
+        res.status(500).json({ error: 'Failed to fetch bids' });
+    }
+});
+
+// True while the lot is on the block in the live sale
+function isLotOpen(auctionId, lotNumber) {
+    const current = db.getCurrentAuction();
+    return auctionState.isLive
+        && Boolean(current) && current.id === auctionId
+        && Number(auctionState.currentLot?.number) === Number(lotNumber);
+}
+
+function formatRegistration(row) {
+    return {
+        id: row.id,
+        auctionId: row.auction_id,
+        bidderNumber: row.bidder_number,
+        status: row.status, // pending, approved, rejected
+        name: row.name,
+        email: row.email,
+        phone: row.phone,
+        address: row.address,
+        createdAt: row.created_at,
+        reviewedAt: row.reviewed_at
+    };
+}
+
+module.exports = router;
@@ -0,0 +1,171 @@
+/**
+ * Catalog Routes
+ * Public lot catalog: full-text search, filters and pagination
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../services/databaseService');
+const { formatImages } = require('../services/imageService');
+const Money = require('../../js/money');
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+const SORTS = ['relevance', 'lot', 'price_asc', 'price_desc', 'ending'];
+
+/**
+ * GET /api/catalog/lots
+ * Search lots. Query: search, auctionId, category, minPrice, maxPrice,
+ * sort (relevance, lot, price_asc, price_desc, ending), page, pageSize
+ */
+router.get('/lots', (req, res) => {
+    const { search, auctionId, category, minPrice, maxPrice, sort } = req.query;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    if (sort && !SORTS.includes(sort)) {
+        return res.status(400).json({ error: `Sort must be one of: ${SORTS.join(', ')}` });
+    }
+    if ((minPrice && isNaN(Money.toCents(minPrice))) || (maxPrice && isNaN(Money.toCents(maxPrice)))) {
+        return res.status(400).json({ error: 'Price range must be numbers' });
+    }
+
+    try {
+        const { lots, total } = db.searchLots({
+            search: toMatchQuery(search),
+            auctionId: auctionId ? parseInt(auctionId) : null,
+            category: category || null,
+            minPrice: minPrice ? Money.toCents(minPrice) : undefined,
+            maxPrice: maxPrice ? Money.toCents(maxPrice) : undefined,
+            sort: sort || (search ? 'relevance' : 'lot'),
+            limit: pageSize,
+            offset: (page - 1) * pageSize
+        });
+
+        res.json({
+            lots: lots.map(formatCatalogLot),
+            pagination: {
+                page,
+                pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize)
+            }
+        });
+    } catch (error) {
+        console.error('Error searching catalog:', error);
+        res.status(500).json({ error: 'Failed to search catalog' });
+    }
+});
+
+/**
+ * GET /api/catalog/lots/:lotId
+ * One lot with its auction
+ */
+router.get('/lots/:lotId', (req, res) => {
+    try {
+        const lot = db.getLotById(req.params.lotId);
+
+        if (!lot) {
+            return res.status(404).json({ error: 'Lot not found' });
+        }
+
+        const auction = lot.auction_id ? db.getAuctionById(lot.auction_id) : null;
+
+        res.json({
+            lot: formatCatalogLot({
+                ...lot,
+                auction_title: auction?.title,
+                auction_date: auction?.auction_date,
+                auction_type: auction?.auction_type
+            }),
+            auction: auction ? {
+                id: auction.id,
+                title: auction.title,
+                date: auction.auction_date,
+                startTime: auction.start_time,
+                location: auction.location,
+                auctionType: auction.auction_type || 'live'
+            } : null
+        });
+    } catch (error) {
+        console.error('Error fetching catalog lot:', error);
+        res.status(500).json({ error: 'Failed to fetch lot' });
+    }
+});
+
+/**
+ * GET /api/catalog/categories
+ * Categories with lot counts (optionally for one auction)
+ */
+router.get('/categories', (req, res) => {
+    try {
+        const auctionId = req.query.auctionId ? parseInt(req.query.auctionId) : null;
+        res.json({ categories: db.getLotCategories(auctionId) });
+    } catch (error) {
+        console.error('Error fetching categories:', error);
+        res.status(500).json({ error: 'Failed to fetch categories' });
+    }
+});
+
+/**
+ * GET /api/catalog/auctions
+ * Auctions that have lots in the catalog
+ */
+router.get('/auctions', (req, res) => {
+    try {
+        res.json({
+            auctions: db.getAuctionsWithLots().map(auction => ({
+                id: auction.id,
+                title: auction.title,
+                date: auction.auction_date,
+                auctionType: auction.auction_type || 'live',
+                lotCount: auction.lot_count
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching catalog auctions:', error);
+        res.status(500).json({ error: 'Failed to fetch auctions' });
+    }
+});
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Turn free text into an FTS5 query: every word must match, as a prefix.
+ * Quoting each word keeps FTS syntax characters in user input harmless.
+ */
+function toMatchQuery(search) {
+    const terms = String(search || '')
+        .split(/\s+/)
+        .map(term => term.replace(/[^\p{L}\p{N}]/gu, ''))
+        .filter(Boolean);
+
+    return terms.length ? terms.map(term => `"${term}"*`).join(' ') : null;
+}
+
+function formatCatalogLot(lot) {
+    const price = lot.winning_bid ?? lot.current_bid ?? lot.starting_bid;
+
+    return {
+        id: lot.id,
+        auctionId: lot.auction_id,
+        auctionTitle: lot.auction_title || null,
+        auctionDate: lot.auction_date || null,
+        auctionType: lot.auction_type || 'live',
+        number: lot.lot_number,
+        description: lot.description,
+        category: lot.category || 'General',
+        estimate: lot.estimate,
+        images: formatImages(lot.images),
+        startingBid: Money.fromCents(lot.starting_bid),
+        price: Money.fromCents(price),
+        bidCount: lot.bid_count || 0,
+        endsAt: lot.ends_at,
+        status: lot.status // pending, active, sold, passed, returned
+    };
+}
+
+module.exports = router;
@@ -3,49 +3,101 @@
  * Handles clerk checkout operations and payment processing
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
 const {
+    PAYMENT_METHODS,
+    calculateCharges,
     calculateTotals,
+    toDollarTotals,
     createOrder,
+    invoiceReference,
     processCardPayment,
-    recordCashPayment,
+    fetchCardPayment,
+    recordOfflinePayment,
+    refundCardPayment,
     getSquareAppId,
-    getSquareLocationId
+    getSquareLocationId,
+    getPaymentProviderInfo
 } = require('../services/squareService');
-
-// In-memory storage for transactions (replace with DB in production)
-const transactions = [];
-const buyers = new Map();
+const db = require('../services/databaseService');
+const fees = require('../services/feeService');
+const tax = require('../services/taxService');
+const invoices = require('../services/invoiceService');
+const { FAILED_PAYMENT_STATUSES, FAILED_REFUND_STATUSES } = require('../services/squareWebhookService');
+const squareSync = require('../services/squareSyncService');
+const Money = require('../../js/money');
+const { requireRole } = require('../middleware/auth');
 
 /**
  * GET /api/checkout/config
- * Get Square configuration for frontend
+ * Get Square configuration for frontend. paymentProvider 'mock' means cards
+ * are never really charged (development and training): use a test nonce
+ * such as cnon:card-nonce-ok instead of the Square card form.
  */
 router.get('/config', (req, res) => {
+    const feeSchedule = fees.getCurrentFeeSchedule();
+
     res.json({
+        paymentProvider: getPaymentProviderInfo(),
         squareAppId: getSquareAppId(),
         squareLocationId: getSquareLocationId(),
         environment: process.env.NODE_ENV === 'production' ? 'production' : 'sandbox',
-        premiumRate: '10%',
-        cardFeeRate: '3%'
+        premiumRate: fees.describePremium(feeSchedule),
+        premiumDescription: fees.describePremiumTiers(feeSchedule),
+        cardFeeRate: fees.describeCardFee(feeSchedule),
+        taxRate: tax.describeTaxRate(tax.getCurrentTaxRate()),
+        feeSchedule,
+        paymentMethods: Object.entries(PAYMENT_METHODS).map(([type, method]) => ({
+            type,
+            label: method.label,
+            requires: method.requires,
+            cardFee: Boolean(method.cardFee)
+        }))
     });
 });
 
 /**
  * POST /api/checkout/calculate
- * Calculate totals for a purchase
+ * Calculate totals for a purchase. Pass buyerNumber to apply the
+ * buyer's tax exemption, and tenders ([{ type, amount }]) to see card
+ * fees and the balance left for a split payment.
  */
 router.post('/calculate', (req, res) => {
-    const { items, isCardPayment } = req.body;
+    const { items, isCardPayment, buyerNumber, auctionId } = req.body;
+    const tenders = req.body.tenders || (isCardPayment ? [{ type: 'card' }] : []);
 
     if (!items || !Array.isArray(items) || items.length === 0) {
         return res.status(400).json({ error: 'Items array is required' });
     }
+    if (!hasValidPrices(items)) {
+        return res.status(400).json({ error: 'Each item needs a hammer price of zero or more' });
+    }
+
+    const tenderError = tenders.length ? validateTenders(tenders, { requireDetails: false }) : null;
+    if (tenderError) {
+        return res.status(400).json({ error: tenderError });
+    }
+
+    if (auctionId && !db.getAuctionById(auctionId)) {
+        return res.status(404).json({ error: 'Auction not found' });
+    }
+
+    const links = buyerNumber ? checkoutLinks(items, buyerNumber, auctionId) : null;
+    const foreignError = links && describeForeignItems(items, buyerNumber, links.auctionId);
+    if (foreignError) {
+        return res.status(400).json({ error: foreignError });
+    }
 
-    // Calculate totals for each item and sum
-    const totalHammer = items.reduce((sum, item) => sum + (item.hammerPrice || 0), 0);
-    const totals = calculateTotals(totalHammer, isCardPayment);
+    const totals = calculateTotals(items, tenders, {
+        ...invoiceRates(links?.invoice, links?.auctionId ?? auctionId),
+        taxExemptCertificate: getTaxExemptCertificate(buyerNumber)
+    });
+    if (totals.balanceDue < 0) {
+        return res.status(400).json({ error: `Tenders add up to more than the ${Money.formatDollars(totals.total - totals.cardFee)} due` });
+    }
 
     res.json({
         items,
@@ -56,204 +108,982 @@ router.post('/calculate', (req, res) => {
 
 /**
  * POST /api/checkout/process
- * Process a complete checkout
+ * Process a checkout. Pay the whole invoice with one paymentType (and
+ * sourceId for card), or split it across tenders:
+ * [{ type, amount, sourceId, checkNumber, reference }]. type is cash, card,
+ * check (needs checkNumber), ach or wire (need reference) or credit (from
+ * the buyer's store credit). The card fee is charged on card tenders only.
+ * If the tenders leave a balance, or a card is declined part way through,
+ * the invoice is saved as 'partial' and the rest is taken with
+ * POST /api/checkout/transactions/:id/tenders.
+ * checkoutKey, made up by the terminal once per sale, makes a retry safe:
+ * the same key returns the first result instead of charging again.
  */
-router.post('/process', async (req, res) => {
-    const { items, buyer, paymentType, sourceId } = req.body;
+router.post('/process', requireRole('clerk'), async (req, res) => {
+    const { buyer, paymentType, sourceId, checkNumber, reference, auctionId, checkoutKey } = req.body;
+    const tenders = req.body.tenders || (paymentType ? [{ type: paymentType, sourceId, checkNumber, reference }] : []);
 
     // Validate required fields
-    if (!items || items.length === 0) {
+    if (!Array.isArray(req.body.items) || req.body.items.length === 0) {
         return res.status(400).json({ error: 'Items are required' });
     }
+    if (!hasValidPrices(req.body.items)) {
+        return res.status(400).json({ error: 'Each item needs a hammer price of zero or more' });
+    }
     if (!buyer || !buyer.buyerNumber) {
         return res.status(400).json({ error: 'Buyer information is required' });
     }
-    if (!paymentType || !['cash', 'card'].includes(paymentType)) {
-        return res.status(400).json({ error: 'Payment type must be cash or card' });
+
+    const tenderError = validateTenders(tenders);
+    if (tenderError) {
+        return res.status(400).json({ error: tenderError });
+    }
+    if (!isValidCheckoutKey(checkoutKey)) {
+        return res.status(400).json({ error: INVALID_CHECKOUT_KEY });
     }
 
-    const isCardPayment = paymentType === 'card';
-    const totalHammer = items.reduce((sum, item) => sum + item.hammerPrice, 0);
-    const totals = calculateTotals(totalHammer, isCardPayment);
+    // Hammer prices are whole cents from here on, so the stored items
+    // match the amounts charged for them
+    const items = req.body.items.map(item => ({
+        ...item,
+        hammerPrice: Money.fromCents(Money.toCents(item.hammerPrice))
+    }));
 
-    try {
-        let result;
+    if (auctionId && !db.getAuctionById(auctionId)) {
+        return res.status(404).json({ error: 'Auction not found' });
+    }
 
-        if (isCardPayment) {
-            if (!sourceId) {
-                return res.status(400).json({ error: 'Card payment source is required' });
-            }
+    const links = checkoutLinks(items, buyer.buyerNumber, auctionId);
+    const foreignError = describeForeignItems(items, buyer.buyerNumber, links.auctionId);
+    if (foreignError) {
+        return res.status(400).json({ error: foreignError });
+    }
+
+    const rates = invoiceRates(links.invoice, links.auctionId);
+    const taxExemptCertificate = getTaxExemptCertificate(buyer.buyerNumber);
+    const charges = calculateCharges(items, tenders, { ...rates, taxExemptCertificate });
+
+    if (charges.balanceDue < 0) {
+        return res.status(400).json({ error: `Tenders add up to more than the ${Money.format(charges.amountDue)} due` });
+    }
+
+    const creditError = checkStoreCredit(buyer.buyerNumber, charges.tenders);
+    if (creditError) {
+        return res.status(400).json({ error: creditError });
+    }
+
+    const claim = claimCheckout(checkoutKey || uuidv4());
+    if (claim.error) {
+        return res.status(409).json({ error: claim.error });
+    }
+    if (claim.replay) {
+        return res.json(replayCheckout(claim.replay));
+    }
+    const { checkout } = claim;
+
+    // Checked after the replay: a retry of a checkout that went through
+    // finds its own lots paid
+    const paidLots = invoices.getPaidLots(items, buyer.buyerNumber, links.auctionId);
+    if (paidLots.length > 0) {
+        releaseCheckout(checkout);
+        return res.status(409).json({ error: describePaidLots(paidLots) });
+    }
+    if (!holdCheckoutLots(checkout, links.lots)) {
+        releaseCheckout(checkout);
+        return res.status(409).json({ error: LOTS_HELD });
+    }
+
+    // One tender for the whole invoice keeps its own id and, for cards, an
+    // itemised Square order. Split tenders are payments against our invoice.
+    const singleTender = tenders.length === 1 && charges.balanceDue === 0;
+
+    try {
+        let orderId = null;
 
+        if (singleTender && tenders[0].type === 'card') {
             // Create Square order first
-            const orderResult = await createOrder(items, { ...buyer, isCardPayment }, getSquareLocationId());
-            
+            const orderResult = await createOrder(items, { ...buyer, isCardPayment: true, taxExemptCertificate }, getSquareLocationId(), {
+                ...links,
+                ...rates,
+                idempotencyKey: providerKey(checkout, 'order'),
+                referenceId: squareReference(links.invoice?.id, checkout)
+            });
+
             if (!orderResult.success) {
+                releaseCheckout(checkout);
                 return res.status(500).json({ error: 'Failed to create order', details: orderResult.error });
             }
+            orderId = orderResult.order.id;
+        }
 
-            // Process the card payment
-            const paymentResult = await processCardPayment(
-                sourceId,
-                totals.total,
-                orderResult.order.id,
-                buyer
-            );
-
-            if (!paymentResult.success) {
-                return res.status(400).json({ error: 'Payment failed', details: paymentResult.error });
+        // Take tenders in order, stopping at the first decline
+        const taken = [];
+        let declined = null;
+        for (const [index, tender] of tenders.entries()) {
+            const result = await takeTender(tender, charges.tenders[index], {
+                items,
+                buyer,
+                orderId,
+                idempotencyKey: providerKey(checkout, `tender:${index}`),
+                referenceId: squareReference(links.invoice?.id, checkout, buyer.buyerNumber)
+            });
+            if (!result.success) {
+                declined = result.error;
+                break;
             }
+            taken.push({ ...charges.tenders[index], ...result, reference: tenderReference(tender) });
+        }
 
-            result = {
-                success: true,
-                transactionId: paymentResult.payment.id,
-                orderId: orderResult.order.id,
-                paymentType: 'card',
-                receipt: paymentResult.payment.receiptUrl
-            };
-        } else {
-            // Cash payment - just record it
-            result = recordCashPayment(items, buyer, totals);
+        if (taken.length === 0) {
+            releaseCheckout(checkout);
+            return res.status(400).json({ error: 'Payment failed', details: declined });
         }
 
-        // Store transaction
-        const transaction = {
-            id: result.transactionId,
-            orderId: result.orderId,
-            buyer,
+        // Card fees are only owed on tenders that went through
+        const paid = declined
+            ? calculateCharges(items, tenders.slice(0, taken.length), { ...rates, taxExemptCertificate })
+            : charges;
+        const transactionId = singleTender ? taken[0].paymentId : `INV-${Date.now()}`;
+
+        // Store transaction (amounts in integer cents)
+        db.createBidder({
+            bidder_number: String(buyer.buyerNumber),
+            name: buyer.name || `Buyer #${buyer.buyerNumber}`,
+            email: buyer.email,
+            phone: buyer.phone
+        });
+
+        db.saveTransaction({
+            transaction_id: transactionId,
+            bidder_number: String(buyer.buyerNumber),
+            buyer_name: buyer.name,
+            subtotal: paid.hammerPrice,
+            buyers_premium: paid.buyersPremium,
+            card_fee: paid.cardFee,
+            total: paid.total,
+            amount_paid: paid.amountPaid,
+            payment_method: paymentMethodOf(taken.map(t => t.type)),
+            square_payment_id: singleTender ? taken[0].squarePaymentId : null,
+            order_id: orderId,
+            receipt_url: singleTender ? taken[0].receiptUrl : null,
+            status: paid.balanceDue > 0 ? 'partial' : 'completed',
             items,
-            totals,
-            paymentType,
-            timestamp: new Date().toISOString(),
-            receiptUrl: result.receipt
-        };
-        transactions.push(transaction);
+            premium_rate: paid.buyersPremiumRate,
+            card_fee_rate: paid.isCardPayment ? paid.cardFeeRate : null,
+            tax: paid.tax,
+            tax_rate: paid.taxRate,
+            tax_exempt_certificate: taxExemptCertificate,
+            auction_id: links.invoice?.auction_id || links.auctionId,
+            invoice_id: links.invoice?.id
+        });
 
-        // Update buyer record
-        if (!buyers.has(buyer.buyerNumber)) {
-            buyers.set(buyer.buyerNumber, {
-                ...buyer,
-                transactions: [],
-                totalSpent: 0
+        taken.forEach(tender => saveTender(transactionId, buyer.buyerNumber, tender, req.user.id));
+
+        const saved = db.getTransactionById(transactionId);
+        if (saved.status === 'completed') {
+            invoices.markPaid(saved);
+        }
+
+        res.json(completeCheckout(checkout, saved, {
+            declined,
+            message: declined
+                ? `Card declined: ${declined}. ${Money.format(paid.balanceDue)} still due`
+                : paid.balanceDue > 0
+                    ? `Payment of ${Money.format(paid.amountPaid)} taken. ${Money.format(paid.balanceDue)} still due`
+                    : `Payment of ${Money.format(paid.total)} processed successfully`
+        }));
+
+    } catch (error) {
+        console.error('Checkout error:', error);
+        interruptCheckout(checkout);
+        res.status(500).json({ error: 'Checkout failed', details: error.message });
+    }
+});
+
+/**
+ * POST /api/checkout/transactions/:id/tenders
+ * Take another payment toward a partly paid invoice:
+ * { type, amount, sourceId, checkNumber, reference, checkoutKey }.
+ * amount defaults to the balance due. checkoutKey works as for
+ * /process, once per payment.
+ */
+router.post('/transactions/:id/tenders', requireRole('clerk'), async (req, res) => {
+    const { type, amount, sourceId, checkNumber, reference, checkoutKey } = req.body;
+    const tender = { type, amount, sourceId, checkNumber, reference };
+
+    if (!db.getTransactionById(req.params.id)) {
+        return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const tenderError = validateTenders([tender]);
+    if (tenderError) {
+        return res.status(400).json({ error: tenderError });
+    }
+    if (!isValidCheckoutKey(checkoutKey)) {
+        return res.status(400).json({ error: INVALID_CHECKOUT_KEY });
+    }
+
+    const claim = claimCheckout(checkoutKey || uuidv4());
+    if (claim.error) {
+        return res.status(409).json({ error: claim.error });
+    }
+    if (claim.replay) {
+        return res.json(replayCheckout(claim.replay));
+    }
+    const { checkout } = claim;
+
+    // Held until the payment is recorded, so two payments (or a payment and
+    // a refund) can't both be taken against the same balance
+    if (!db.holdTransaction(req.params.id, CHECKOUT_STALE_MS / 1000)) {
+        releaseCheckout(checkout);
+        return res.status(409).json({ error: 'Another payment, refund or void is being processed on this transaction' });
+    }
+
+    try {
+        const row = db.getTransactionById(req.params.id);
+        if (row.status !== 'partial') {
+            releaseCheckout(checkout);
+            return res.status(400).json({ error: 'This invoice has no balance due' });
+        }
+
+        const balanceDue = row.total - amountPaidOf(row);
+        const applied = amount === undefined || amount === null || amount === '' ? balanceDue : Money.toCents(amount);
+        if (applied > balanceDue) {
+            releaseCheckout(checkout);
+            return res.status(400).json({ error: `Only ${Money.format(balanceDue)} is due on this invoice` });
+        }
+
+        // The card fee is the one from the auction the invoice is for
+        const { feeSchedule } = invoiceRates(row.invoice_id ? db.getInvoiceById(row.invoice_id) : null, row.auction_id);
+        const cardFee = PAYMENT_METHODS[type].cardFee ? fees.calculateCardFee(applied, feeSchedule) : 0;
+        const line = { type, amount: applied, cardFee, charge: applied + cardFee };
+        const buyer = { buyerNumber: row.bidder_number, name: row.buyer_name };
+
+        const creditError = checkStoreCredit(row.bidder_number, [line]);
+        if (creditError) {
+            releaseCheckout(checkout);
+            return res.status(400).json({ error: creditError });
+        }
+
+        const result = await takeTender(tender, line, {
+            items: row.items || [],
+            buyer,
+            orderId: null,
+            idempotencyKey: providerKey(checkout, 'tender'),
+            referenceId: squareReference(row.invoice_id, checkout, row.bidder_number)
+        });
+        if (!result.success) {
+            releaseCheckout(checkout);
+            return res.status(400).json({ error: 'Payment failed', details: result.error });
+        }
+
+        saveTender(row.transaction_id, row.bidder_number, { ...line, ...result, reference: tenderReference(tender) }, req.user.id);
+
+        const total = row.total + cardFee;
+        const amountPaid = amountPaidOf(row) + line.charge;
+        const methods = db.getTenders([row.transaction_id]).map(t => t.method);
+
+        const updated = db.updateTransaction(row.transaction_id, {
+            card_fee: row.card_fee + cardFee,
+            card_fee_rate: cardFee ? fees.describeCardFee(feeSchedule) : undefined,
+            total,
+            amount_paid: amountPaid,
+            payment_method: paymentMethodOf(methods),
+            status: amountPaid >= total ? 'completed' : 'partial'
+        });
+        if (updated.status === 'completed') {
+            invoices.markPaid(updated);
+        }
+
+        res.json(completeCheckout(checkout, updated, {
+            message: amountPaid >= total
+                ? 'Invoice paid in full'
+                : `Payment of ${Money.format(line.charge)} taken. ${Money.format(total - amountPaid)} still due`
+        }));
+    } catch (error) {
+        console.error('Error adding tender:', error);
+        interruptCheckout(checkout);
+        res.status(500).json({ error: 'Failed to take payment', details: error.message });
+    } finally {
+        db.releaseTransaction(req.params.id);
+    }
+});
+
+/**
+ * POST /api/checkout/transactions/:id/void
+ * Undo a checkout that shouldn't have happened: every tender is given
+ * back in full, card fees included. The lots stay sold to the buyer,
+ * back on their invoice as unpaid. refundKey works as checkoutKey does
+ * for /process, once per void.
+ */
+router.post('/transactions/:id/void', requireRole('clerk'), async (req, res) => {
+    const { reason, refundKey } = req.body;
+
+    if (!db.getTransactionById(req.params.id)) {
+        return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (!isValidCheckoutKey(refundKey)) {
+        return res.status(400).json({ error: INVALID_REFUND_KEY });
+    }
+
+    const claim = claimReversal(req.params.id, 'void', refundKey);
+    if (claim.error) {
+        return res.status(409).json({ error: claim.error });
+    }
+    if (claim.replay) {
+        return res.json(replayCheckout(claim.replay));
+    }
+    const { checkout } = claim;
+
+    try {
+        const row = db.getTransactionById(req.params.id);
+        if (['voided', 'refunded'].includes(row.status)) {
+            releaseCheckout(checkout);
+            return res.status(400).json({ error: `This transaction is already ${row.status}` });
+        }
+
+        const result = await reverseTenders(row, null, {
+            kind: 'void',
+            reason,
+            clerkId: req.user.id,
+            checkout
+        });
+
+        // Webhooks may have changed the row while Square was refunding
+        const current = db.getTransactionById(row.transaction_id);
+        const updated = db.updateTransaction(row.transaction_id, {
+            amount_refunded: (current.amount_refunded || 0) + result.refunded,
+            status: result.error ? undefined : 'voided'
+        });
+
+        if (result.error) {
+            releaseCheckout(checkout);
+            return res.status(400).json({
+                error: 'Refund failed',
+                details: result.error,
+                transaction: formatTransaction(updated)
             });
         }
-        const buyerRecord = buyers.get(buyer.buyerNumber);
-        buyerRecord.transactions.push(transaction.id);
-        buyerRecord.totalSpent += totals.total;
+
+        invoices.markUnpaid(updated);
+
+        res.json(completeCheckout(checkout, updated, {
+            message: `Transaction voided. ${Money.format(result.refunded)} returned to the buyer`
+        }));
+    } catch (error) {
+        console.error('Error voiding transaction:', error);
+        interruptCheckout(checkout);
+        res.status(500).json({ error: 'Failed to void transaction', details: error.message });
+    } finally {
+        db.releaseTransaction(req.params.id);
+    }
+});
+
+/**
+ * POST /api/checkout/transactions/:id/refund
+ * Refund a paid transaction: { lotNumbers, amount, reason, refundKey }.
+ * lotNumbers returns those lots, refunding their hammer, premium and tax;
+ * amount refunds a set sum without returning any lots; with neither, every
+ * lot is returned. Card fees aren't refunded. Card tenders are refunded
+ * through Square and cash is paid out of the drawer, latest tender first.
+ * refundKey works as checkoutKey does for /process, once per refund.
+ */
+router.post('/transactions/:id/refund', requireRole('clerk'), async (req, res) => {
+    const { lotNumbers, amount, reason, refundKey } = req.body;
+
+    if (!db.getTransactionById(req.params.id)) {
+        return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (!isValidCheckoutKey(refundKey)) {
+        return res.status(400).json({ error: INVALID_REFUND_KEY });
+    }
+
+    const claim = claimReversal(req.params.id, 'refund', refundKey);
+    if (claim.error) {
+        return res.status(409).json({ error: claim.error });
+    }
+    if (claim.replay) {
+        return res.json(replayCheckout(claim.replay));
+    }
+    const { checkout } = claim;
+
+    try {
+        // Read under the hold, so what's refundable can't change before it's recorded
+        const row = db.getTransactionById(req.params.id);
+        const plan = planRefund(row, lotNumbers, amount);
+        if (plan.error) {
+            releaseCheckout(checkout);
+            return res.status(400).json({ error: plan.error });
+        }
+        const { lots, refundAmount } = plan;
+
+        const result = await reverseTenders(row, refundAmount, {
+            kind: 'refund',
+            reason,
+            lotNumbers: lots,
+            clerkId: req.user.id,
+            checkout
+        });
+
+        // Lots only go back once the whole refund is through
+        if (!result.error) {
+            const paidLots = db.getLotsPaidBy(row.transaction_id);
+            const returnedLots = lots
+                .map(lotNumber => paidLots.find(lot => lot.lot_number === lotNumber)
+                    || db.getSoldLotForBuyer(row.auction_id, lotNumber, row.bidder_number))
+                .filter(Boolean);
+
+            returnedLots.forEach(lot => db.updateLot(lot.id, { status: 'returned' }));
+            invoices.refreshInvoices(returnedLots);
+        }
+
+        // Webhooks may have changed the row while Square was refunding
+        const current = db.getTransactionById(row.transaction_id);
+        const amountRefunded = (current.amount_refunded || 0) + result.refunded;
+        const updated = db.updateTransaction(row.transaction_id, {
+            amount_refunded: amountRefunded,
+            status: result.refunded === 0
+                ? undefined
+                : refundableOf({ ...current, amount_refunded: amountRefunded }) === 0 ? 'refunded' : 'partially_refunded'
+        });
+
+        if (result.error) {
+            releaseCheckout(checkout);
+            return res.status(400).json({
+                error: 'Refund failed',
+                details: result.error,
+                transaction: formatTransaction(updated)
+            });
+        }
+
+        res.json(completeCheckout(checkout, updated, {
+            message: `Refund of ${Money.format(result.refunded)} processed${lots.length ? ` (lot ${lots.join(', ')} returned)` : ''}`
+        }));
+    } catch (error) {
+        console.error('Error refunding transaction:', error);
+        interruptCheckout(checkout);
+        res.status(500).json({ error: 'Failed to refund transaction', details: error.message });
+    } finally {
+        db.releaseTransaction(req.params.id);
+    }
+});
+
+/**
+ * GET /api/checkout/invoices
+ * Buyer invoices for an auction (default: the current one). Filter with status (open, paid).
+ */
+router.get('/invoices', requireRole('clerk'), (req, res) => {
+    const { status } = req.query;
+    const auctionId = req.query.auctionId ? parseInt(req.query.auctionId) : db.getCurrentAuction()?.id ?? null;
+
+    try {
+        const rows = db.getInvoices({ auctionId, status });
 
         res.json({
-            success: true,
-            transaction,
-            message: `Payment of $${totals.total.toFixed(2)} processed successfully`
+            auctionId,
+            invoices: rows.map(row => {
+                const lots = db.getLotsForBuyer(row.auction_id, row.bidder_number);
+                const unpaid = lots.filter(invoices.isOwed);
+                return {
+                    id: row.id,
+                    buyerNumber: row.bidder_number,
+                    status: row.status,
+                    lotCount: lots.filter(lot => lot.status === 'sold').length,
+                    unpaidCount: unpaid.length,
+                    unpaidHammer: Money.fromCents(Money.sum(unpaid.map(lot => lot.winning_bid || 0)))
+                };
+            })
         });
+    } catch (error) {
+        console.error('Error fetching invoices:', error);
+        res.status(500).json({ error: 'Failed to fetch invoices' });
+    }
+});
+
+/**
+ * GET /api/checkout/invoice/:buyerNumber
+ * A buyer's invoice for an auction (default: the current one): every lot
+ * sold to them, marked paid or unpaid, with the unpaid lots as checkout
+ * items and their totals
+ */
+router.get('/invoice/:buyerNumber', requireRole('clerk'), (req, res) => {
+    const auctionId = req.query.auctionId ? parseInt(req.query.auctionId) : db.getCurrentAuction()?.id ?? null;
+
+    try {
+        const found = invoices.getInvoice(auctionId, req.params.buyerNumber);
+        if (!found) {
+            return res.status(404).json({ error: `No sales recorded for buyer #${req.params.buyerNumber}` });
+        }
 
+        res.json({ invoice: formatInvoice(found) });
     } catch (error) {
-        console.error('Checkout error:', error);
-        res.status(500).json({ error: 'Checkout failed', details: error.message });
+        console.error('Error fetching invoice:', error);
+        res.status(500).json({ error: 'Failed to fetch invoice' });
     }
 });
 
 /**
- * GET /api/checkout/transactions
- * Get all transactions (for clerk dashboard)
+ * POST /api/checkout/invoice/:buyerNumber/payment-link
+ * Link a buyer can pay their invoice with online (default: the current
+ * auction's). The same link is returned each time; { rotate: true }
+ * issues a new one and the old link stops working.
+ */
+router.post('/invoice/:buyerNumber/payment-link', requireRole('clerk'), (req, res) => {
+    const auctionId = req.body.auctionId ? parseInt(req.body.auctionId) : db.getCurrentAuction()?.id ?? null;
+
+    try {
+        const found = invoices.getInvoice(auctionId, req.params.buyerNumber);
+        if (!found) {
+            return res.status(404).json({ error: `No sales recorded for buyer #${req.params.buyerNumber}` });
+        }
+
+        const token = invoices.getPayToken(found.invoice, { rotate: Boolean(req.body.rotate) });
+        res.json({
+            invoiceId: found.invoice.id,
+            status: found.invoice.status,
+            url: invoices.payUrlFor(token)
+        });
+    } catch (error) {
+        console.error('Error creating payment link:', error);
+        res.status(500).json({ error: 'Failed to create payment link' });
+    }
+});
+
+// ===========================================
+// REMOTE PAYMENT (public, by invoice pay token)
+// ===========================================
+
+/**
+ * GET /api/checkout/pay/:token
+ * The invoice behind a payment link, with card totals for its unpaid lots
+ * and the Square settings the payment page needs
+ */
+router.get('/pay/:token', (req, res) => {
+    try {
+        const found = invoices.getInvoiceByPayToken(req.params.token);
+        if (!found) {
+            return res.status(404).json({ error: 'Invoice not found. Please contact us for a new payment link.' });
+        }
+
+        const auction = invoiceAuction(found.invoice);
+
+        res.json({
+            invoice: formatInvoice(found, [{ type: 'card' }]),
+            auction: auction ? { title: auction.title, date: auction.auction_date } : null,
+            paymentProvider: getPaymentProviderInfo(),
+            squareAppId: getSquareAppId(),
+            squareLocationId: getSquareLocationId(),
+            environment: process.env.NODE_ENV === 'production' ? 'production' : 'sandbox'
+        });
+    } catch (error) {
+        console.error('Error fetching invoice for payment:', error);
+        res.status(500).json({ error: 'Failed to fetch invoice' });
+    }
+});
+
+/**
+ * POST /api/checkout/pay/:token
+ * Pay every unpaid lot on the invoice by card: { sourceId } from the
+ * Square Web Payments SDK. The card fee applies as at the counter.
+ * checkoutKey works as for /process, once per page load.
  */
-router.get('/transactions', (req, res) => {
-    const { date, buyerNumber } = req.query;
-    
-    let filtered = [...transactions];
+router.post('/pay/:token', async (req, res) => {
+    const { sourceId, checkoutKey } = req.body;
+    const found = invoices.getInvoiceByPayToken(req.params.token);
 
-    if (date) {
-        filtered = filtered.filter(t => t.timestamp.startsWith(date));
+    if (!found) {
+        return res.status(404).json({ error: 'Invoice not found. Please contact us for a new payment link.' });
     }
-    if (buyerNumber) {
-        filtered = filtered.filter(t => t.buyer.buyerNumber === parseInt(buyerNumber));
+    if (!String(sourceId ?? '').trim()) {
+        return res.status(400).json({ error: MISSING_DETAIL.sourceId });
+    }
+    if (!isValidCheckoutKey(checkoutKey)) {
+        return res.status(400).json({ error: INVALID_CHECKOUT_KEY });
     }
 
-    // Summary stats
-    const totalRevenue = filtered.reduce((sum, t) => sum + t.totals.total, 0);
-    const totalPremiums = filtered.reduce((sum, t) => sum + t.totals.buyersPremium + t.totals.cardFee, 0);
-    const cashCount = filtered.filter(t => t.paymentType === 'cash').length;
-    const cardCount = filtered.filter(t => t.paymentType === 'card').length;
+    const claim = claimCheckout(checkoutKey || uuidv4());
+    if (claim.error) {
+        return res.status(409).json({ error: claim.error });
+    }
+    if (claim.replay) {
+        return res.json(replayCheckout(claim.replay));
+    }
+    const { checkout } = claim;
 
-    res.json({
-        transactions: filtered,
-        summary: {
-            count: filtered.length,
-            totalRevenue: roundToTwo(totalRevenue),
-            totalPremiums: roundToTwo(totalPremiums),
-            cashTransactions: cashCount,
-            cardTransactions: cardCount
+    if (found.unpaidLots.length === 0) {
+        releaseCheckout(checkout);
+        return res.status(409).json({ error: 'This invoice is already paid' });
+    }
+    if (!holdCheckoutLots(checkout, found.unpaidLots)) {
+        releaseCheckout(checkout);
+        return res.status(409).json({ error: 'This invoice is already being paid. Please wait a moment and refresh the page' });
+    }
+
+    const { invoice } = found;
+    const buyer = invoiceBuyer(found);
+    const items = found.unpaidLots.map(toCheckoutItem);
+    const taxExemptCertificate = getTaxExemptCertificate(invoice.bidder_number);
+    const rates = invoiceRates(invoice);
+    const tender = { type: 'card', sourceId };
+    const charges = calculateCharges(items, [tender], { ...rates, taxExemptCertificate });
+
+    try {
+        const orderResult = await createOrder(items, { ...buyer, isCardPayment: true, taxExemptCertificate }, getSquareLocationId(), {
+            ...rates,
+            invoice,
+            auction: invoiceAuction(invoice),
+            lots: found.unpaidLots,
+            idempotencyKey: providerKey(checkout, 'order'),
+            referenceId: invoiceReference(invoice.id)
+        });
+        if (!orderResult.success) {
+            releaseCheckout(checkout);
+            return res.status(500).json({ error: 'Failed to create order', details: orderResult.error });
         }
-    });
+
+        const result = await takeTender(tender, charges.tenders[0], {
+            items,
+            buyer,
+            orderId: orderResult.order.id,
+            idempotencyKey: providerKey(checkout, 'tender:0'),
+            referenceId: invoiceReference(invoice.id)
+        });
+        if (!result.success) {
+            releaseCheckout(checkout);
+            return res.status(400).json({ error: 'Payment failed', details: result.error });
+        }
+
+        db.saveTransaction({
+            transaction_id: result.paymentId,
+            bidder_number: invoice.bidder_number,
+            buyer_name: buyer.name,
+            subtotal: charges.hammerPrice,
+            buyers_premium: charges.buyersPremium,
+            card_fee: charges.cardFee,
+            total: charges.total,
+            amount_paid: charges.amountPaid,
+            payment_method: 'card',
+            square_payment_id: result.squarePaymentId,
+            order_id: orderResult.order.id,
+            receipt_url: result.receiptUrl,
+            status: 'completed',
+            items,
+            premium_rate: charges.buyersPremiumRate,
+            card_fee_rate: charges.cardFeeRate,
+            tax: charges.tax,
+            tax_rate: charges.taxRate,
+            tax_exempt_certificate: taxExemptCertificate,
+            auction_id: invoice.auction_id,
+            invoice_id: invoice.id
+        });
+
+        // Paid online, so no clerk took it
+        saveTender(result.paymentId, invoice.bidder_number, { ...charges.tenders[0], ...result, reference: null }, null);
+
+        const saved = db.getTransactionById(result.paymentId);
+        invoices.markPaid(saved);
+
+        res.json(completeCheckout(checkout, saved, {
+            message: `Payment of ${Money.format(charges.total)} processed successfully`
+        }));
+    } catch (error) {
+        console.error('Remote payment error:', error);
+        interruptCheckout(checkout);
+        res.status(500).json({ error: 'Payment failed', details: error.message });
+    }
+});
+
+/**
+ * GET /api/checkout/transactions
+ * Get all transactions (for clerk dashboard). Filter with date, buyerNumber
+ * and method (any payment method; split payments match each of theirs).
+ */
+router.get('/transactions', requireRole('clerk'), (req, res) => {
+    const { date, buyerNumber, method } = req.query;
+
+    if (method && !PAYMENT_METHODS[method]) {
+        return res.status(400).json({ error: `Method must be one of: ${Object.keys(PAYMENT_METHODS).join(', ')}` });
+    }
+
+    try {
+        const rows = db.getTransactions({ date, bidderNumber: buyerNumber, method });
+        const ids = rows.map(row => row.transaction_id);
+        const tenders = byTransaction(rows, db.getTenders(ids));
+        const refunds = byTransaction(rows, db.getRefunds(ids));
+
+        // Voided and fully refunded sales don't count toward premiums or tax
+        const kept = rows.filter(t => !['voided', 'refunded'].includes(t.status));
+
+        // Summary stats (summed in cents)
+        const totalRevenue = rows.reduce((sum, t) => sum + amountPaidOf(t) - (t.amount_refunded || 0), 0);
+        const totalRefunds = rows.reduce((sum, t) => sum + (t.amount_refunded || 0), 0);
+        const balanceDue = rows.reduce((sum, t) => sum + balanceDueOf(t), 0);
+        const totalPremiums = kept.reduce((sum, t) => sum + t.buyers_premium + t.card_fee, 0);
+        const totalTax = kept.reduce((sum, t) => sum + (t.tax || 0), 0);
+        const cashCount = rows.filter(t => t.payment_method === 'cash').length;
+        const cardCount = rows.filter(t => t.payment_method === 'card').length;
+        const allTenders = [...tenders.values()].flat();
+        const allRefunds = [...refunds.values()].flat();
+        const tenderTotal = method => Money.sum(allTenders.filter(t => t.method === method).map(t => t.amount + t.card_fee));
+        const refundTotal = method => Money.sum(allRefunds.filter(r => r.method === method).map(r => r.amount));
+
+        res.json({
+            transactions: rows.map(row => formatTransaction(row, tenders.get(row.transaction_id), refunds.get(row.transaction_id))),
+            summary: {
+                count: rows.length,
+                totalRevenue: Money.fromCents(totalRevenue),
+                totalPremiums: Money.fromCents(totalPremiums),
+                totalTax: Money.fromCents(totalTax),
+                totalRefunds: Money.fromCents(totalRefunds),
+                taxExemptTransactions: rows.filter(t => t.tax_exempt_certificate).length,
+                balanceDue: Money.fromCents(balanceDue),
+                cashTransactions: cashCount,
+                cardTransactions: cardCount,
+                splitTransactions: rows.filter(t => t.payment_method === 'split').length,
+                partialTransactions: rows.filter(t => t.status === 'partial').length,
+                refundedTransactions: rows.filter(t => ['refunded', 'partially_refunded'].includes(t.status)).length,
+                voidedTransactions: rows.filter(t => t.status === 'voided').length,
+                cashTendered: Money.fromCents(tenderTotal('cash')),
+                cardTendered: Money.fromCents(tenderTotal('card')),
+                tenderedByMethod: Object.fromEntries(Object.keys(PAYMENT_METHODS)
+                    .map(type => [type, Money.fromCents(tenderTotal(type))])),
+                cashRefunded: Money.fromCents(refundTotal('cash')),
+                cardRefunded: Money.fromCents(refundTotal('card'))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching transactions:', error);
+        res.status(500).json({ error: 'Failed to fetch transactions' });
+    }
 });
 
 /**
  * GET /api/checkout/buyer/:buyerNumber
  * Get buyer information and their purchases
  */
-router.get('/buyer/:buyerNumber', (req, res) => {
-    const buyerNumber = parseInt(req.params.buyerNumber);
-    const buyer = buyers.get(buyerNumber);
+router.get('/buyer/:buyerNumber', requireRole('clerk'), (req, res) => {
+    try {
+        const bidder = db.getBidderByNumber(req.params.buyerNumber);
 
-    if (!buyer) {
-        return res.status(404).json({ error: 'Buyer not found' });
-    }
+        if (!bidder) {
+            return res.status(404).json({ error: 'Buyer not found' });
+        }
 
-    // Get their transactions
-    const buyerTransactions = transactions.filter(
-        t => t.buyer.buyerNumber === buyerNumber
-    );
+        // Get their transactions
+        const rows = db.getTransactionsByBidder(bidder.bidder_number);
+        const ids = rows.map(row => row.transaction_id);
+        const tenders = byTransaction(rows, db.getTenders(ids));
+        const refunds = byTransaction(rows, db.getRefunds(ids));
+        const buyerTransactions = rows.map(row => formatTransaction(row, tenders.get(row.transaction_id), refunds.get(row.transaction_id)));
+        const totalSpent = Money.sum(rows.map(row => amountPaidOf(row) - (row.amount_refunded || 0)));
 
-    res.json({
-        buyer,
-        transactions: buyerTransactions,
-        itemsWon: buyerTransactions.reduce((sum, t) => sum + t.items.length, 0)
-    });
+        res.json({
+            buyer: {
+                ...formatBuyer(bidder),
+                transactions: buyerTransactions.map(t => t.id),
+                totalSpent: Money.fromCents(totalSpent)
+            },
+            transactions: buyerTransactions,
+            itemsWon: buyerTransactions.reduce((sum, t) => sum + t.items.length, 0)
+        });
+    } catch (error) {
+        console.error('Error fetching buyer:', error);
+        res.status(500).json({ error: 'Failed to fetch buyer' });
+    }
 });
 
 /**
  * POST /api/checkout/buyer
  * Register a new buyer
  */
-router.post('/buyer', (req, res) => {
-    const { buyerNumber, name, phone, email } = req.body;
+router.post('/buyer', requireRole('clerk'), (req, res) => {
+    const { buyerNumber, name, phone, email, address, taxExemptCertificate } = req.body;
 
     if (!buyerNumber || !name) {
         return res.status(400).json({ error: 'Buyer number and name are required' });
     }
 
-    if (buyers.has(buyerNumber)) {
-        return res.status(400).json({ error: 'Buyer number already exists' });
+    try {
+        if (db.getBidderByNumber(String(buyerNumber))) {
+            return res.status(400).json({ error: 'Buyer number already exists' });
+        }
+
+        const bidder = db.createBidder({
+            bidder_number: String(buyerNumber),
+            name,
+            phone,
+            email,
+            address,
+            tax_exempt_certificate: taxExemptCertificate ? String(taxExemptCertificate).trim() : null
+        });
+
+        res.json({
+            success: true,
+            buyer: {
+                ...formatBuyer(db.getBidderByNumber(bidder.bidder_number)),
+                transactions: [],
+                totalSpent: 0
+            }
+        });
+    } catch (error) {
+        console.error('Error registering buyer:', error);
+        res.status(500).json({ error: 'Failed to register buyer' });
     }
+});
 
-    const newBuyer = {
-        buyerNumber,
-        name,
-        phone: phone || '',
-        email: email || '',
-        transactions: [],
-        totalSpent: 0,
-        registeredAt: new Date().toISOString()
-    };
+/**
+ * PUT /api/checkout/buyer/:buyerNumber/tax-exempt
+ * Record a buyer's resale certificate number (null removes the exemption)
+ */
+router.put('/buyer/:buyerNumber/tax-exempt', requireRole('clerk'), (req, res) => {
+    const { certificateNumber } = req.body;
 
-    buyers.set(buyerNumber, newBuyer);
+    if (certificateNumber !== null && !String(certificateNumber || '').trim()) {
+        return res.status(400).json({ error: 'Certificate number is required (null removes the exemption)' });
+    }
 
-    res.json({
-        success: true,
-        buyer: newBuyer
-    });
+    try {
+        if (!db.getBidderByNumber(req.params.buyerNumber)) {
+            return res.status(404).json({ error: 'Buyer not found' });
+        }
+
+        const bidder = db.setBidderTaxExemption(
+            req.params.buyerNumber,
+            certificateNumber === null ? null : String(certificateNumber).trim()
+        );
+
+        res.json({
+            success: true,
+            buyer: formatBuyer(bidder)
+        });
+    } catch (error) {
+        console.error('Error updating tax exemption:', error);
+        res.status(500).json({ error: 'Failed to update tax exemption' });
+    }
+});
+
+/**
+ * POST /api/checkout/buyer/:buyerNumber/credit
+ * Add store credit for a buyer, such as a deposit or credit carried from an
+ * earlier sale: { amount, note }. A negative amount takes credit back.
+ */
+router.post('/buyer/:buyerNumber/credit', requireRole('clerk'), (req, res) => {
+    const { amount, note } = req.body;
+    const cents = Money.toCents(amount);
+
+    if (!Number.isFinite(cents) || cents === 0) {
+        return res.status(400).json({ error: 'Amount must be a non-zero number' });
+    }
+
+    try {
+        const bidder = db.getBidderByNumber(req.params.buyerNumber);
+        if (!bidder) {
+            return res.status(404).json({ error: 'Buyer not found' });
+        }
+        if (db.getStoreCreditBalance(bidder.bidder_number) + cents < 0) {
+            return res.status(400).json({ error: 'Store credit cannot go below zero' });
+        }
+
+        db.addStoreCredit({
+            bidder_number: bidder.bidder_number,
+            amount: cents,
+            note,
+            clerk_id: req.user.id
+        });
+
+        res.json({
+            success: true,
+            buyer: formatBuyer(bidder)
+        });
+    } catch (error) {
+        console.error('Error adding store credit:', error);
+        res.status(500).json({ error: 'Failed to add store credit' });
+    }
+});
+
+/**
+ * POST /api/checkout/square-sync
+ * Check a day's Square orders and card payments against our records:
+ * { auctionId } for that auction's date, or { date } (YYYY-MM-DD).
+ * Lists every order or payment missing from our database; nothing is changed.
+ */
+router.post('/square-sync', requireRole('admin'), async (req, res) => {
+    const { auctionId, date } = req.body;
+
+    if (!auctionId && !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        return res.status(400).json({ error: 'An auction ID or a date (YYYY-MM-DD) is required' });
+    }
+
+    try {
+        const result = auctionId ? await squareSync.syncAuction(auctionId) : await squareSync.syncDate(date);
+        if (!result) {
+            return res.status(404).json({ error: 'Auction not found' });
+        }
+
+        res.json({
+            ...result,
+            issues: result.issues.map(issue => ({ ...issue, amount: Money.fromCents(issue.amount) }))
+        });
+    } catch (error) {
+        console.error('Error syncing Square orders:', error);
+        res.status(500).json({ error: 'Failed to sync with Square', details: error.message });
+    }
+});
+
+/**
+ * GET /api/checkout/transactions/:id/payments
+ * The transaction's card payments as the payment provider has them now,
+ * next to what we recorded, to spot payments that changed after checkout
+ */
+router.get('/transactions/:id/payments', requireRole('clerk'), async (req, res) => {
+    const row = db.getTransactionById(req.params.id);
+    if (!row) {
+        return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    try {
+        const cardTenders = formatTenders(row, db.getTenders([row.transaction_id]))
+            .filter(tender => tender.type === 'card' && tender.squarePaymentId);
+
+        const payments = await Promise.all(cardTenders.map(async tender => {
+            const result = await fetchCardPayment(tender.squarePaymentId);
+            return {
+                paymentId: tender.squarePaymentId,
+                recorded: {
+                    status: tender.squareStatus,
+                    charge: tender.charge
+                },
+                provider: result.success
+                    ? {
+                        status: result.payment.status,
+                        charge: Money.fromCents(result.payment.amount),
+                        refunded: Money.fromCents(result.payment.refundedAmount)
+                    }
+                    : null,
+                error: result.success ? null : result.error
+            };
+        }));
+
+        res.json({ transactionId: row.transaction_id, payments });
+    } catch (error) {
+        console.error('Error fetching payments:', error);
+        res.status(500).json({ error: 'Failed to fetch payments' });
+    }
 });
 
 /**
  * GET /api/checkout/receipt/:transactionId
  * Generate receipt data
  */
-router.get('/receipt/:transactionId', (req, res) => {
-    const transaction = transactions.find(t => t.id === req.params.transactionId);
+router.get('/receipt/:transactionId', requireRole('clerk'), (req, res) => {
+    const row = db.getTransactionById(req.params.transactionId);
 
-    if (!transaction) {
+    if (!row) {
         return res.status(404).json({ error: 'Transaction not found' });
     }
 
+    const transaction = formatTransaction(row);
+
     const receipt = {
         businessName: 'Almost Heaven Auctions LLC',
         businessLocation: '[insert location here]',
@@ -270,14 +1100,696 @@ router.get('/receipt/:transactionId', (req, res) => {
         })),
         totals: transaction.totals,
         paymentMethod: transaction.paymentType.toUpperCase(),
+        status: transaction.status,
+        tenders: transaction.tenders,
+        refunds: transaction.refunds,
         thankYouMessage: 'Thank you for bidding with Almost Heaven Auctions!'
     };
 
     res.json(receipt);
 });
 
-function roundToTwo(num) {
-    return Math.round((num + Number.EPSILON) * 100) / 100;
+// ===========================================
+// HELPERS
+// ===========================================
+
+// Build the API shape of a transactions row (stored in cents)
+function formatTransaction(row, tenderRows = db.getTenders([row.transaction_id]), refundRows = db.getRefunds([row.transaction_id])) {
+    const hammerPrice = Money.fromCents(row.subtotal);
+    const buyersPremium = Money.fromCents(row.buyers_premium);
+    const cardFee = Money.fromCents(row.card_fee);
+
+    return {
+        id: row.transaction_id,
+        orderId: row.order_id,
+        invoiceId: row.invoice_id || null,
+        buyer: {
+            buyerNumber: row.bidder_number,
+            name: row.buyer_name || ''
+        },
+        items: row.items || [],
+        totals: {
+            hammerPrice,
+            buyersPremium,
+            // Rates in force when the sale was paid; older rows predate per-auction fees
+            buyersPremiumRate: row.premium_rate || fees.describePremium(fees.DEFAULT_FEE_SCHEDULE),
+            subtotal: Money.fromCents(row.subtotal + row.buyers_premium),
+            tax: Money.fromCents(row.tax),
+            taxRate: row.tax_rate || '0%',
+            taxExemptCertificate: row.tax_exempt_certificate || null,
+            cardFee,
+            cardFeeRate: row.card_fee
+                ? (row.card_fee_rate || fees.describeCardFee(fees.DEFAULT_FEE_SCHEDULE))
+                : '0%',
+            total: Money.fromCents(row.total),
+            amountPaid: Money.fromCents(amountPaidOf(row)),
+            amountRefunded: Money.fromCents(row.amount_refunded || 0),
+            balanceDue: Money.fromCents(balanceDueOf(row)),
+            isCardPayment: row.card_fee > 0 || row.payment_method === 'card'
+        },
+        tenders: formatTenders(row, tenderRows),
+        refunds: refundRows.map(formatRefund),
+        paymentType: row.payment_method,
+        status: row.status,
+        timestamp: toIsoTimestamp(row.created_at),
+        receiptUrl: row.receipt_url
+    };
+}
+
+/**
+ * API shape of an invoice: every lot sold to the buyer, marked paid or
+ * unpaid, with the unpaid lots as checkout items and their totals
+ * @param {Object} found - invoiceService.getInvoice result
+ * @param {Array} tenders - Tenders to total for (card adds its fee)
+ */
+function formatInvoice(found, tenders = []) {
+    const { invoice } = found;
+    const items = found.unpaidLots.map(toCheckoutItem);
+
+    return {
+        id: invoice.id,
+        auctionId: invoice.auction_id,
+        status: invoice.status,
+        buyer: {
+            buyerNumber: invoice.bidder_number,
+            name: invoiceBuyer(found).name
+        },
+        lots: found.lots.map(lot => ({
+            ...toCheckoutItem(lot),
+            status: lot.status,
+            paid: Boolean(lot.paid_at),
+            transactionId: lot.transaction_id || null
+        })),
+        items,
+        totals: items.length
+            ? calculateTotals(items, tenders, {
+                ...invoiceRates(invoice),
+                taxExemptCertificate: getTaxExemptCertificate(invoice.bidder_number)
+            })
+            : null
+    };
+}
+
+// Who an invoice is for: the floor bidder or online registration with its
+// number, else the name the lots were sold under
+function invoiceBuyer({ invoice, lots }) {
+    const bidder = db.getBidderByNumber(invoice.bidder_number)
+        || (invoice.auction_id ? db.getRegistrationByNumber(invoice.auction_id, invoice.bidder_number) : null);
+
+    return {
+        buyerNumber: invoice.bidder_number,
+        name: bidder ? bidder.name : (lots[0]?.winner_name || `Buyer #${invoice.bidder_number}`),
+        email: bidder ? bidder.email : null
+    };
+}
+
+function invoiceAuction(invoice) {
+    return invoice.auction_id ? db.getAuctionById(invoice.auction_id) : null;
+}
+
+/**
+ * Fees and tax lots are charged at: those of the auction they were sold in,
+ * even once another auction is current. That is the invoice's auction, else
+ * auctionId, else (for lots never recorded as sold) the current auction.
+ * @param {Object|null} invoice
+ * @param {number|null} auctionId
+ */
+function invoiceRates(invoice, auctionId = null) {
+    let auction;
+    if (invoice?.auction_id) {
+        auction = invoiceAuction(invoice);
+    } else {
+        auction = auctionId ? db.getAuctionById(auctionId) : db.getCurrentAuction();
+    }
+    return {
+        feeSchedule: fees.getFeeSchedule(auction),
+        taxRate: tax.getTaxRate(auction)
+    };
+}
+
+// A sold lot as a checkout item
+function toCheckoutItem(lot) {
+    return {
+        lotId: lot.id,
+        lotNumber: lot.lot_number,
+        description: lot.description,
+        hammerPrice: Money.fromCents(lot.winning_bid || 0),
+        isOnline: Boolean(lot.is_online)
+    };
+}
+
+// Checkouts from before split tender have no tender rows: one tender paid it all
+function formatTenders(row, tenderRows = []) {
+    if (tenderRows.length === 0) {
+        tenderRows = [{
+            method: row.payment_method,
+            amount: row.total - row.card_fee,
+            card_fee: row.card_fee,
+            square_payment_id: row.square_payment_id,
+            receipt_url: row.receipt_url,
+            created_at: row.created_at
+        }];
+    }
+
+    return tenderRows.map(tender => ({
+        type: tender.method,
+        amount: Money.fromCents(tender.amount),
+        cardFee: Money.fromCents(tender.card_fee),
+        charge: Money.fromCents(tender.amount + tender.card_fee),
+        reference: tender.reference || null,
+        squarePaymentId: tender.square_payment_id,
+        squareStatus: tender.square_status || null,
+        receiptUrl: tender.receipt_url,
+        timestamp: toIsoTimestamp(tender.created_at)
+    }));
+}
+
+function formatRefund(refund) {
+    return {
+        id: refund.refund_id,
+        kind: refund.kind,
+        type: refund.method,
+        amount: Money.fromCents(refund.amount),
+        reason: refund.reason || '',
+        lotNumbers: refund.lot_numbers,
+        squareRefundId: refund.square_refund_id,
+        squareStatus: refund.square_status || null,
+        timestamp: toIsoTimestamp(refund.created_at)
+    };
+}
+
+// Group tender or refund rows by the transaction they belong to
+function byTransaction(rows, records) {
+    const grouped = new Map(rows.map(row => [row.transaction_id, []]));
+    records.forEach(record => grouped.get(record.transaction_id).push(record));
+    return grouped;
+}
+
+// Rows from before split tender were always paid in full
+function amountPaidOf(row) {
+    return row.amount_paid ?? row.total;
+}
+
+// A voided invoice is no longer owed
+function balanceDueOf(row) {
+    return row.status === 'voided' ? 0 : row.total - amountPaidOf(row);
+}
+
+// What's left to refund: everything paid toward the invoice, but not card fees
+function refundableOf(row) {
+    return Math.max(amountPaidOf(row) - row.card_fee - (row.amount_refunded || 0), 0);
+}
+
+function returnedLotsOf(row) {
+    return db.getRefunds([row.transaction_id]).flatMap(refund => refund.lot_numbers);
+}
+
+/**
+ * What one lot cost the buyer: its hammer plus a share of the premium
+ * and tax in proportion to its hammer (cents)
+ */
+function lotRefundOf(row, lotNumber) {
+    const item = (row.items || []).find(i => Number(i.lotNumber) === lotNumber);
+    const hammer = Money.toCents(item.hammerPrice);
+    if (row.subtotal === 0) return 0;
+    return hammer + Math.round((row.buyers_premium + (row.tax || 0)) * hammer / row.subtotal);
+}
+
+/**
+ * Work out what a refund request gives back
+ * @param {Array|undefined} lotNumbers - Lots to return; every lot left when neither this nor amount is sent
+ * @param {*} amount - Dollars to refund without returning lots
+ * @returns {Object} { lots, refundAmount (cents) } or { error }
+ */
+function planRefund(row, lotNumbers, amount) {
+    const hasAmount = amount !== undefined && amount !== null && amount !== '';
+
+    if (!['completed', 'partially_refunded'].includes(row.status)) {
+        return {
+            error: row.status === 'partial'
+                ? 'This invoice is not paid in full; void it instead'
+                : `This transaction is already ${row.status}`
+        };
+    }
+    if (lotNumbers !== undefined && hasAmount) {
+        return { error: 'Refund either lots or an amount, not both' };
+    }
+
+    const refundable = refundableOf(row);
+    const returned = returnedLotsOf(row);
+    const remainingLots = (row.items || [])
+        .map(item => Number(item.lotNumber))
+        .filter(lotNumber => !returned.includes(lotNumber));
+
+    let lots = [];
+    let refundAmount;
+
+    if (hasAmount) {
+        refundAmount = Money.toCents(amount);
+        if (!(refundAmount > 0)) {
+            return { error: 'Refund amount must be more than zero' };
+        }
+    } else {
+        lots = lotNumbers === undefined ? remainingLots : lotNumbers;
+        if (!Array.isArray(lots) || lots.length === 0) {
+            return { error: 'Lot numbers must be a non-empty array' };
+        }
+
+        lots = [...new Set(lots.map(Number))];
+        const notRefundable = lots.filter(lotNumber => !remainingLots.includes(lotNumber));
+        if (notRefundable.length > 0) {
+            return { error: `Lot ${notRefundable.join(', ')} is not on this transaction or was already returned` };
+        }
+
+        // The last lots back take whatever is left, so rounding never strands a cent
+        refundAmount = lots.length === remainingLots.length
+            ? refundable
+            : Math.min(Money.sum(lots.map(lotNumber => lotRefundOf(row, lotNumber))), refundable);
+    }
+
+    if (refundAmount > refundable) {
+        return { error: `Only ${Money.format(refundable)} can be refunded on this transaction` };
+    }
+    return { lots, refundAmount };
+}
+
+function paymentMethodOf(methods) {
+    const unique = [...new Set(methods)];
+    return unique.length === 1 ? unique[0] : 'split';
+}
+
+// Messages for a tender missing one of its method's required fields
+const MISSING_DETAIL = {
+    sourceId: 'Card payment source is required',
+    checkNumber: 'Check number is required',
+    reference: 'Transfer reference number is required'
+};
+
+/**
+ * Check a list of tenders from the request
+ * @param {Object} options
+ * @param {boolean} options.requireDetails - Whether each method's required fields must be present
+ * @returns {string|null} Error message, or null when they're usable
+ */
+function validateTenders(tenders, { requireDetails = true } = {}) {
+    const invalidType = `Payment type must be one of: ${Object.keys(PAYMENT_METHODS).join(', ')}`;
+
+    if (!Array.isArray(tenders) || tenders.length === 0) {
+        return invalidType;
+    }
+
+    for (const [index, tender] of tenders.entries()) {
+        const hasAmount = tender && tender.amount !== undefined && tender.amount !== null && tender.amount !== '';
+
+        if (!tender || !Object.hasOwn(PAYMENT_METHODS, tender.type)) {
+            return invalidType;
+        }
+
+        const missing = PAYMENT_METHODS[tender.type].requires.find(field => !String(tender[field] ?? '').trim());
+        if (requireDetails && missing) {
+            return MISSING_DETAIL[missing];
+        }
+        if (hasAmount && !(Money.toCents(tender.amount) > 0)) {
+            return 'Tender amounts must be more than zero';
+        }
+        if (!hasAmount && index !== tenders.length - 1) {
+            return 'Only the last tender can leave its amount blank';
+        }
+    }
+    return null;
+}
+
+// A checkout still 'processing' after this long died part way (a crash or
+// restart) and may be tried again
+const CHECKOUT_STALE_MS = 60 * 1000;
+
+const INVALID_CHECKOUT_KEY = 'Checkout key must be up to 64 letters, digits or dashes';
+const INVALID_REFUND_KEY = 'Refund key must be up to 64 letters, digits or dashes';
+const LOTS_HELD = 'These lots are being paid for at another register or online. Try again in a moment';
+
+// Checkout and refund keys are optional; when sent they come from crypto.randomUUID()
+function isValidCheckoutKey(key) {
+    return key === undefined || key === null || (typeof key === 'string' && /^[A-Za-z0-9-]{1,64}$/.test(key));
+}
+
+/**
+ * Start a checkout under its key, or find what became of an earlier
+ * request with the same key
+ * @returns {Object} { checkout } to go ahead, { replay } with the earlier
+ *   checkout when it went through, or { error } while it's still running
+ */
+function claimCheckout(key) {
+    const existing = db.getCheckout(key);
+    if (!existing) {
+        return { checkout: db.createCheckout(key) };
+    }
+
+    if (existing.status === 'completed') {
+        return { replay: existing };
+    }
+    if (existing.status === 'processing' && Date.now() - Date.parse(toIsoTimestamp(existing.updated_at)) < CHECKOUT_STALE_MS) {
+        return { error: 'This checkout is already being processed' };
+    }
+
+    // Nothing was taken on a declined attempt, so the next one gets new
+    // provider keys. A checkout that died part way reuses them: the provider
+    // hands back anything it already charged instead of charging again.
+    return {
+        checkout: db.updateCheckout(key, {
+            status: 'processing',
+            attempt: existing.status === 'declined' ? existing.attempt + 1 : existing.attempt
+        })
+    };
+}
+
+/**
+ * Record that a checkout went through, and the response a retry gets
+ * @param {Object} row - The transaction as saved
+ * @param {Object} response - { message, declined }
+ */
+function completeCheckout(checkout, row, response) {
+    db.updateCheckout(checkout.checkout_key, {
+        status: 'completed',
+        transaction_id: row.transaction_id,
+        response
+    });
+    db.releaseLots(checkout.checkout_key);
+    return { success: true, transaction: formatTransaction(row), ...response };
+}
+
+// The first response again, with the transaction as it stands now
+function replayCheckout(checkout) {
+    const row = db.getTransactionById(checkout.transaction_id);
+    return { success: true, transaction: formatTransaction(row), ...checkout.response, replayed: true };
+}
+
+// Nothing was taken, so the key can be tried again as a new attempt
+function releaseCheckout(checkout) {
+    db.updateCheckout(checkout.checkout_key, { status: 'declined' });
+    db.releaseLots(checkout.checkout_key);
+}
+
+// Something failed part way and a card may have been charged; a retry
+// repeats this attempt with the same provider keys. Its lots stay held
+// for the retry until the hold goes stale.
+function interruptCheckout(checkout) {
+    db.updateCheckout(checkout.checkout_key, { status: 'interrupted' });
+}
+
+/**
+ * Hold a checkout's lots (those recorded as sold) before any payment is
+ * taken, so another register or payment link can't take payment for them
+ * at the same time. completeCheckout and releaseCheckout let them go.
+ * @returns {boolean} Whether every lot was held
+ */
+function holdCheckoutLots(checkout, lots) {
+    const lotIds = lots.filter(Boolean).map(lot => lot.id);
+    return db.holdLots(lotIds, checkout.checkout_key, CHECKOUT_STALE_MS / 1000);
+}
+
+// Provider idempotency key for one call within a checkout attempt (Square
+// takes at most 45 characters)
+function providerKey(checkout, purpose) {
+    return crypto.createHash('sha256')
+        .update(`${checkout.checkout_key}:${checkout.attempt}:${purpose}`)
+        .digest('hex')
+        .slice(0, 32);
+}
+
+/**
+ * Start a refund or void under its key, as claimCheckout does, and hold the
+ * transaction so no other refund or void runs on it until this one is done
+ * (release it with db.releaseTransaction). Keys are per transaction: the
+ * same key on another transaction is a new request.
+ * @param {string} kind - 'refund' or 'void'
+ * @returns {Object} { checkout }, { replay } or { error }, as claimCheckout
+ */
+function claimReversal(transactionId, kind, refundKey) {
+    const claim = claimCheckout(`${kind}:${transactionId}:${refundKey || uuidv4()}`);
+    if (claim.error) {
+        return { error: `This ${kind} is already being processed` };
+    }
+    if (claim.replay) {
+        return claim;
+    }
+
+    if (!db.holdTransaction(transactionId, CHECKOUT_STALE_MS / 1000)) {
+        releaseCheckout(claim.checkout);
+        return { error: 'Another payment, refund or void is being processed on this transaction' };
+    }
+    return claim;
+}
+
+/**
+ * Square reference ID for a checkout's order and payments: its invoice's,
+ * or for lots never recorded as sold, one from when the checkout began (not
+ * the current time: Square turns down a reused idempotency key whose
+ * request has changed)
+ */
+function squareReference(invoiceId, checkout, buyerNumber = null) {
+    if (invoiceId) return invoiceReference(invoiceId);
+
+    const startedAt = Date.parse(toIsoTimestamp(checkout.created_at));
+    return buyerNumber ? `AHA-${buyerNumber}-${startedAt}` : `AHA-${startedAt}`;
+}
+
+/**
+ * What a checkout's items tie back to, for the Square order
+ * @returns {Object} { lots (in item order, null where unknown), invoice, auction }
+ */
+function checkoutLinks(items, buyerNumber, auctionId = null) {
+    const checkoutAuctionId = invoices.findItemAuctionId(items, auctionId);
+    const lots = invoices.findItemLots(items, buyerNumber, checkoutAuctionId);
+    const invoice = invoices.findItemInvoice(lots, buyerNumber);
+    return {
+        lots,
+        invoice,
+        auction: invoice ? invoiceAuction(invoice) : null,
+        auctionId: checkoutAuctionId
+    };
+}
+
+// Items that name a lot the buyer didn't win in this auction
+function describeForeignItems(items, buyerNumber, auctionId) {
+    const foreign = invoices.findForeignItems(items, buyerNumber, auctionId);
+    if (foreign.length === 0) return null;
+    const lotNumbers = foreign.map(item => item.lotNumber ?? item.lotId).join(', ');
+    return foreign.length === 1
+        ? `Lot ${lotNumbers} was not sold to buyer #${buyerNumber} in this auction`
+        : `Lots ${lotNumbers} were not sold to buyer #${buyerNumber} in this auction`;
+}
+
+function describePaidLots(lots) {
+    return lots.length === 1
+        ? `Lot ${lots[0].lot_number} is already paid (${lots[0].transaction_id})`
+        : `Lots ${lots.map(lot => lot.lot_number).join(', ')} are already paid`;
+}
+
+/**
+ * Take one tender: charge the card, or record the cash, check, transfer or credit
+ * @param {Object} line - The tender's amounts from calculateCharges (cents)
+ * @param {Object} options - idempotencyKey and referenceId are passed on for cards
+ * @returns {Promise<Object>} { success, paymentId, squarePaymentId, squareStatus, receiptUrl } or { success: false, error }
+ */
+async function takeTender(tender, line, { items, buyer, orderId, idempotencyKey, referenceId }) {
+    if (tender.type !== 'card') {
+        const record = recordOfflinePayment(tender.type, items, buyer, { total: Money.fromCents(line.amount) }, {
+            reference: tenderReference(tender)
+        });
+        return { success: true, paymentId: record.transactionId };
+    }
+
+    const result = await processCardPayment(tender.sourceId, Money.fromCents(line.charge), orderId || undefined, buyer, {
+        idempotencyKey,
+        referenceId
+    });
+    if (!result.success) return result;
+
+    return {
+        success: true,
+        paymentId: result.payment.id,
+        squarePaymentId: result.payment.id,
+        squareStatus: result.payment.status,
+        receiptUrl: result.payment.receiptUrl
+    };
+}
+
+/**
+ * Give money back through the tenders that paid it, latest first: card
+ * tenders are refunded through Square and store credit goes back on the
+ * buyer's balance. For cash, checks and transfers the refund row records
+ * the money paid out.
+ * Stops at the first refund Square turns down.
+ * @param {number|null} amount - Cents to refund; null gives back every tender in full, card fees included
+ * @param {Object} options.checkout - From claimReversal; card refunds take their provider keys from it
+ * @returns {Promise<Object>} { refunded (cents), error }
+ */
+async function reverseTenders(row, amount, { kind, reason, lotNumbers, clerkId, checkout }) {
+    const tenders = db.getTenders([row.transaction_id]);
+    const refunds = db.getRefunds([row.transaction_id]);
+    const refundId = `${kind === 'void' ? 'VOID' : 'RF'}-${Date.now()}`;
+
+    // Checkouts from before split tender were paid by one tender with no row
+    if (tenders.length === 0) {
+        tenders.push({
+            id: null,
+            method: row.payment_method,
+            amount: row.total - row.card_fee,
+            card_fee: row.card_fee,
+            square_payment_id: row.square_payment_id
+        });
+    }
+
+    let remaining = amount;
+    let refunded = 0;
+
+    for (const tender of [...tenders].reverse()) {
+        // Card payments that failed after the fact took nothing to give back
+        if (FAILED_PAYMENT_STATUSES.includes(tender.square_status)) continue;
+
+        const alreadyRefunded = Money.sum(refunds
+            .filter(r => r.tender_id === tender.id && !FAILED_REFUND_STATUSES.includes(r.square_status))
+            .map(r => r.amount));
+        const available = (amount === null ? tender.amount + tender.card_fee : tender.amount) - alreadyRefunded;
+        const take = amount === null ? available : Math.min(available, remaining);
+        if (take <= 0) continue;
+
+        let squareRefundId = null;
+        let squareStatus = null;
+        if (tender.method === 'card') {
+            if (!tender.square_payment_id) {
+                return { refunded, error: 'No Square payment on record for the card tender' };
+            }
+            const result = await refundCardPayment(tender.square_payment_id, Money.fromCents(take), reason, {
+                idempotencyKey: providerKey(checkout, `${kind}:${tender.id}`)
+            });
+            if (!result.success) {
+                return { refunded, error: result.error };
+            }
+            squareRefundId = result.refund.id;
+            squareStatus = result.refund.status;
+
+            // A webhook whose wait for this refund ran out (the hold went
+            // stale) has recorded it already, and counted it on the row
+            if (db.getRefundBySquareId(squareRefundId)) {
+                if (amount !== null) {
+                    remaining -= take;
+                    if (remaining === 0) break;
+                }
+                continue;
+            }
+        } else if (tender.method === 'credit') {
+            db.addStoreCredit({
+                bidder_number: row.bidder_number,
+                amount: take,
+                transaction_id: row.transaction_id,
+                note: kind === 'void' ? 'Returned by void' : 'Refunded to store credit',
+                clerk_id: clerkId
+            });
+        }
+
+        db.addRefund({
+            refund_id: refundId,
+            transaction_id: row.transaction_id,
+            tender_id: tender.id,
+            kind,
+            method: tender.method,
+            amount: take,
+            square_refund_id: squareRefundId,
+            square_status: squareStatus,
+            reason,
+            lot_numbers: lotNumbers,
+            clerk_id: clerkId
+        });
+
+        refunded += take;
+        if (amount !== null) {
+            remaining -= take;
+            if (remaining === 0) break;
+        }
+    }
+
+    return { refunded, error: null };
+}
+
+// The check number or transfer reference a tender was paid with
+function tenderReference(tender) {
+    const reference = tender.checkNumber ?? tender.reference;
+    return reference ? String(reference).trim() : null;
+}
+
+/**
+ * Store a tender that was taken; store credit spent comes off the buyer's balance
+ * @param {Object} tender - Amounts in cents plus takeTender's result
+ */
+function saveTender(transactionId, buyerNumber, tender, clerkId) {
+    db.addTender({
+        transaction_id: transactionId,
+        method: tender.type,
+        amount: tender.amount,
+        card_fee: tender.cardFee,
+        square_payment_id: tender.squarePaymentId,
+        square_status: tender.squareStatus,
+        receipt_url: tender.receiptUrl,
+        reference: tender.reference,
+        clerk_id: clerkId
+    });
+
+    if (tender.type === 'credit') {
+        db.addStoreCredit({
+            bidder_number: buyerNumber,
+            amount: -tender.amount,
+            transaction_id: transactionId,
+            note: 'Applied at checkout',
+            clerk_id: clerkId
+        });
+    }
+}
+
+/**
+ * Make sure a buyer has the store credit their credit tenders spend
+ * @param {Array} lines - Tender amounts from calculateCharges (cents)
+ * @returns {string|null} Error message, or null when there's enough
+ */
+function checkStoreCredit(buyerNumber, lines) {
+    const spending = Money.sum(lines.filter(line => line.type === 'credit').map(line => line.amount));
+    if (spending === 0) return null;
+
+    const balance = db.getStoreCreditBalance(String(buyerNumber));
+    return spending > balance
+        ? `Buyer #${buyerNumber} has only ${Money.format(balance)} in store credit`
+        : null;
+}
+
+function formatBuyer(bidder) {
+    return {
+        buyerNumber: bidder.bidder_number,
+        name: bidder.name,
+        phone: bidder.phone || '',
+        email: bidder.email || '',
+        address: bidder.address || '',
+        taxExempt: Boolean(bidder.tax_exempt_certificate),
+        taxExemptCertificate: bidder.tax_exempt_certificate || '',
+        storeCredit: Money.fromCents(db.getStoreCreditBalance(bidder.bidder_number)),
+        registeredAt: toIsoTimestamp(bidder.created_at)
+    };
+}
+
+// Resale certificate on file for a buyer, or null if they pay tax
+function getTaxExemptCertificate(buyerNumber) {
+    if (!buyerNumber) return null;
+    const bidder = db.getBidderByNumber(String(buyerNumber));
+    return bidder ? bidder.tax_exempt_certificate : null;
+}
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone designator
+function toIsoTimestamp(sqliteDate) {
+    return sqliteDate ? `${sqliteDate.replace(' ', 'T')}Z` : null;
+}
+
+// Hammer prices must be numbers of zero or more (dollars)
+function hasValidPrices(items) {
+    return items.every(item => item && Money.toCents(item.hammerPrice) >= 0);
 }
 
 module.exports = router;
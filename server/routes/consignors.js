@@ -0,0 +1,427 @@
+/**
+ * Consignor Routes
+ * Consignor records, lot assignment, per-lot charges and settlement
+ * statements (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../services/databaseService');
+const consignors = require('../services/consignorService');
+const { requireRole } = require('../middleware/auth');
+const Money = require('../../js/money');
+
+router.use(requireRole('admin'));
+
+/**
+ * GET /api/consignors
+ * All consignors
+ */
+router.get('/', (req, res) => {
+    try {
+        res.json({ consignors: db.getAllConsignors().map(formatConsignor) });
+    } catch (error) {
+        console.error('Error fetching consignors:', error);
+        res.status(500).json({ error: 'Failed to fetch consignors' });
+    }
+});
+
+/**
+ * POST /api/consignors
+ * Create a consignor. Body: name, email, phone, address, notes and either
+ * commissionRate (flat percent) or commissionTiers ([{ upTo, rate }])
+ */
+router.post('/', (req, res) => {
+    if (!req.body.name) {
+        return res.status(400).json({ error: 'Consignor name is required' });
+    }
+
+    let terms;
+    try {
+        terms = parseCommissionTerms(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const consignor = db.createConsignor({
+            name: req.body.name,
+            email: req.body.email,
+            phone: req.body.phone,
+            address: req.body.address,
+            notes: req.body.notes,
+            ...terms
+        });
+
+        res.status(201).json({ success: true, consignor: formatConsignor(consignor) });
+    } catch (error) {
+        console.error('Error creating consignor:', error);
+        res.status(500).json({ error: 'Failed to create consignor' });
+    }
+});
+
+/**
+ * GET /api/consignors/statements?auctionId=
+ * Settlement summary for every consignor in an auction (default: current)
+ */
+router.get('/statements', (req, res) => {
+    try {
+        const auction = req.query.auctionId ? db.getAuctionById(req.query.auctionId) : db.getCurrentAuction();
+        if (!auction) {
+            return res.status(404).json({ error: 'Auction not found' });
+        }
+
+        const statements = db.getConsignorsByAuction(auction.id).map(consignor => {
+            const statement = consignors.buildStatement(consignor, auction);
+            return {
+                consignor: formatConsignor(consignor),
+                totals: formatTotals(statement.totals),
+                settlement: formatSettlement(statement.settlement)
+            };
+        });
+
+        res.json({
+            auction: { id: auction.id, title: auction.title, date: auction.auction_date },
+            statements
+        });
+    } catch (error) {
+        console.error('Error fetching settlement statements:', error);
+        res.status(500).json({ error: 'Failed to fetch statements' });
+    }
+});
+
+/**
+ * POST /api/consignors/lots/:lotId/charges
+ * Add a charge to one lot. Body: { description, amount }
+ */
+router.post('/lots/:lotId/charges', (req, res) => {
+    const { description, amount } = req.body;
+
+    if (!description || !(Number(amount) > 0)) {
+        return res.status(400).json({ error: 'Description and a positive amount are required' });
+    }
+
+    try {
+        const lot = db.getLotById(req.params.lotId);
+        if (!lot) {
+            return res.status(404).json({ error: 'Lot not found' });
+        }
+
+        const charge = db.addLotCharge({ lot_id: lot.id, description, amount: Money.toCents(amount) });
+        res.status(201).json({ success: true, charge: formatCharge(charge) });
+    } catch (error) {
+        console.error('Error adding lot charge:', error);
+        res.status(500).json({ error: 'Failed to add charge' });
+    }
+});
+
+/**
+ * DELETE /api/consignors/charges/:chargeId
+ * Remove a lot charge
+ */
+router.delete('/charges/:chargeId', (req, res) => {
+    try {
+        const charge = db.getLotChargeById(req.params.chargeId);
+        if (!charge) {
+            return res.status(404).json({ error: 'Charge not found' });
+        }
+
+        db.deleteLotCharge(charge.id);
+        res.json({ success: true, deleted: formatCharge(charge) });
+    } catch (error) {
+        console.error('Error deleting lot charge:', error);
+        res.status(500).json({ error: 'Failed to delete charge' });
+    }
+});
+
+/**
+ * GET /api/consignors/:id
+ * One consignor with their lots (optionally for one auction: ?auctionId=)
+ */
+router.get('/:id', (req, res) => {
+    try {
+        const consignor = db.getConsignorById(req.params.id);
+        if (!consignor) {
+            return res.status(404).json({ error: 'Consignor not found' });
+        }
+
+        const lots = db.getLotsByConsignor(consignor.id, req.query.auctionId || null);
+
+        res.json({
+            consignor: formatConsignor(consignor),
+            lots: lots.map(lot => ({
+                id: lot.id,
+                auctionId: lot.auction_id,
+                number: lot.lot_number,
+                description: lot.description,
+                status: lot.status,
+                winningBid: lot.winning_bid === null ? null : Money.fromCents(lot.winning_bid)
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching consignor:', error);
+        res.status(500).json({ error: 'Failed to fetch consignor' });
+    }
+});
+
+/**
+ * PUT /api/consignors/:id
+ * Update contact details or commission terms
+ */
+router.put('/:id', (req, res) => {
+    let terms;
+    try {
+        terms = req.body.commissionRate !== undefined || req.body.commissionTiers !== undefined
+            ? parseCommissionTerms(req.body)
+            : {};
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const existing = db.getConsignorById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Consignor not found' });
+        }
+
+        const consignor = db.updateConsignor(existing.id, {
+            name: req.body.name,
+            email: req.body.email,
+            phone: req.body.phone,
+            address: req.body.address,
+            notes: req.body.notes,
+            ...terms
+        });
+
+        res.json({ success: true, consignor: formatConsignor(consignor) });
+    } catch (error) {
+        console.error('Error updating consignor:', error);
+        res.status(500).json({ error: 'Failed to update consignor' });
+    }
+});
+
+/**
+ * POST /api/consignors/:id/lots
+ * Assign lots to this consignor. Body: { lotIds: [...] }
+ */
+router.post('/:id/lots', (req, res) => {
+    const { lotIds } = req.body;
+
+    if (!Array.isArray(lotIds) || lotIds.length === 0) {
+        return res.status(400).json({ error: 'lotIds array is required' });
+    }
+
+    try {
+        const consignor = db.getConsignorById(req.params.id);
+        if (!consignor) {
+            return res.status(404).json({ error: 'Consignor not found' });
+        }
+
+        const missing = lotIds.filter(id => !db.getLotById(id));
+        if (missing.length) {
+            return res.status(400).json({ error: `Lot(s) not found: ${missing.join(', ')}` });
+        }
+
+        const assigned = db.assignLotsToConsignor(consignor.id, lotIds);
+        res.json({ success: true, assigned });
+    } catch (error) {
+        console.error('Error assigning lots:', error);
+        res.status(500).json({ error: 'Failed to assign lots' });
+    }
+});
+
+/**
+ * POST /api/consignors/:id/charges
+ * Add the same charge to each of the consignor's lots in an auction
+ * (e.g. a photo fee). Body: { description, amount, auctionId? }
+ */
+router.post('/:id/charges', (req, res) => {
+    const { description, amount } = req.body;
+
+    if (!description || !(Number(amount) > 0)) {
+        return res.status(400).json({ error: 'Description and a positive amount are required' });
+    }
+
+    try {
+        const consignor = db.getConsignorById(req.params.id);
+        const auction = req.body.auctionId ? db.getAuctionById(req.body.auctionId) : db.getCurrentAuction();
+        if (!consignor || !auction) {
+            return res.status(404).json({ error: consignor ? 'Auction not found' : 'Consignor not found' });
+        }
+
+        const charges = db.getLotsByConsignor(consignor.id, auction.id)
+            .map(lot => db.addLotCharge({ lot_id: lot.id, description, amount: Money.toCents(amount) }));
+
+        res.status(201).json({ success: true, charges: charges.map(formatCharge) });
+    } catch (error) {
+        console.error('Error adding consignor charges:', error);
+        res.status(500).json({ error: 'Failed to add charges' });
+    }
+});
+
+/**
+ * GET /api/consignors/:id/statements/:auctionId
+ * Settlement statement. ?format=csv or ?format=html for a download or
+ * printable page; JSON otherwise.
+ */
+router.get('/:id/statements/:auctionId', (req, res) => {
+    try {
+        const consignor = db.getConsignorById(req.params.id);
+        const auction = db.getAuctionById(req.params.auctionId);
+        if (!consignor || !auction) {
+            return res.status(404).json({ error: consignor ? 'Auction not found' : 'Consignor not found' });
+        }
+
+        const statement = consignors.buildStatement(consignor, auction);
+
+        if (req.query.format === 'csv') {
+            const filename = `settlement-${slugify(consignor.name)}-${auction.auction_date}.csv`;
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.type('text/csv').send(consignors.statementToCsv(statement));
+        }
+        if (req.query.format === 'html') {
+            return res.type('html').send(consignors.statementToHtml(statement));
+        }
+
+        res.json(formatStatement(statement));
+    } catch (error) {
+        console.error('Error building settlement statement:', error);
+        res.status(500).json({ error: 'Failed to build statement' });
+    }
+});
+
+/**
+ * PUT /api/consignors/:id/statements/:auctionId/status
+ * Mark a statement paid or unpaid. Body: { status, reference? }
+ * Marking paid records the amounts paid out.
+ */
+router.put('/:id/statements/:auctionId/status', (req, res) => {
+    const { status, reference } = req.body;
+
+    if (!['paid', 'unpaid'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be paid or unpaid' });
+    }
+
+    try {
+        const consignor = db.getConsignorById(req.params.id);
+        const auction = db.getAuctionById(req.params.auctionId);
+        if (!consignor || !auction) {
+            return res.status(404).json({ error: consignor ? 'Auction not found' : 'Consignor not found' });
+        }
+
+        const { totals } = consignors.buildStatement(consignor, auction);
+        const settlement = db.saveSettlement({
+            consignor_id: consignor.id,
+            auction_id: auction.id,
+            status,
+            gross: totals.gross,
+            commission: totals.commission,
+            charges: totals.charges,
+            net: totals.net,
+            reference,
+            paid_by: req.user.id
+        });
+
+        res.json({ success: true, settlement: formatSettlement(settlement) });
+    } catch (error) {
+        console.error('Error updating settlement status:', error);
+        res.status(500).json({ error: 'Failed to update settlement' });
+    }
+});
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+/**
+ * Commission fields from a request body
+ * @throws {Error} When the rate or tiers are invalid
+ */
+function parseCommissionTerms({ commissionRate, commissionTiers }) {
+    if (commissionTiers) {
+        return {
+            commission_type: 'tiered',
+            commission_tiers: consignors.normalizeCommissionTiers(commissionTiers)
+        };
+    }
+
+    const rate = Number(commissionRate ?? 0);
+    if (!(rate >= 0 && rate <= 100)) {
+        throw new Error('Commission rate must be a percent between 0 and 100');
+    }
+    return { commission_type: 'flat', commission_rate: rate, commission_tiers: null };
+}
+
+function formatConsignor(consignor) {
+    return {
+        id: consignor.id,
+        name: consignor.name,
+        email: consignor.email,
+        phone: consignor.phone,
+        address: consignor.address,
+        notes: consignor.notes,
+        commission: consignor.commission_type === 'tiered'
+            ? { type: 'tiered', tiers: consignor.commission_tiers }
+            : { type: 'flat', rate: consignor.commission_rate },
+        lotCount: consignor.lot_count,
+        createdAt: consignor.created_at
+    };
+}
+
+function formatCharge(charge) {
+    return {
+        id: charge.id,
+        lotId: charge.lot_id,
+        description: charge.description,
+        amount: Money.fromCents(charge.amount),
+        createdAt: charge.created_at
+    };
+}
+
+function formatTotals(totals) {
+    return {
+        lotsConsigned: totals.lotsConsigned,
+        lotsSold: totals.lotsSold,
+        gross: Money.fromCents(totals.gross),
+        commission: Money.fromCents(totals.commission),
+        charges: Money.fromCents(totals.charges),
+        net: Money.fromCents(totals.net),
+        uncollected: Money.fromCents(totals.uncollected)
+    };
+}
+
+function formatSettlement(settlement) {
+    return {
+        status: settlement.status,
+        paidAt: settlement.paid_at || null,
+        reference: settlement.reference || null,
+        amountPaid: settlement.status === 'paid' ? Money.fromCents(settlement.net) : null
+    };
+}
+
+function formatStatement(statement) {
+    return {
+        consignor: formatConsignor(statement.consignor),
+        auction: {
+            id: statement.auction.id,
+            title: statement.auction.title,
+            date: statement.auction.auction_date
+        },
+        lines: statement.lines.map(line => ({
+            ...line,
+            hammer: Money.fromCents(line.hammer),
+            commission: Money.fromCents(line.commission),
+            charges: line.charges.map(c => ({ ...c, amount: Money.fromCents(c.amount) })),
+            chargesTotal: Money.fromCents(line.chargesTotal),
+            net: Money.fromCents(line.net)
+        })),
+        totals: formatTotals(statement.totals),
+        settlement: formatSettlement(statement.settlement)
+    };
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+module.exports = router;
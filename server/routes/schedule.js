@@ -5,6 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../services/databaseService');
+const { requireRole } = require('../middleware/auth');
 
 // ---------------------------------------------
 // GET /api/schedule - Get all upcoming auctions
@@ -77,9 +78,9 @@ router.get('/:id', (req, res) => {
 // ---------------------------------------------
 // POST /api/schedule - Create new auction (admin)
 // ---------------------------------------------
-router.post('/', (req, res) => {
+router.post('/', requireRole('admin'), (req, res) => {
     try {
-        const { title, description, auction_date, start_time, preview_time, location } = req.body;
+        const { title, description, auction_date, start_time, preview_time, location, require_bidder_approval, auction_type, soft_close_minutes } = req.body;
         
         // Validation
         if (!title || !auction_date || !start_time) {
@@ -96,6 +97,9 @@ router.post('/', (req, res) => {
             start_time,
             preview_time,
             location,
+            require_bidder_approval,
+            auction_type,
+            soft_close_minutes,
             status: 'upcoming'
         });
         
@@ -116,7 +120,7 @@ router.post('/', (req, res) => {
 // ---------------------------------------------
 // PUT /api/schedule/:id - Update auction (admin)
 // ---------------------------------------------
-router.put('/:id', (req, res) => {
+router.put('/:id', requireRole('admin'), (req, res) => {
     try {
         const existing = db.getAuctionById(req.params.id);
         
@@ -146,7 +150,7 @@ router.put('/:id', (req, res) => {
 // ---------------------------------------------
 // DELETE /api/schedule/:id - Delete auction (admin)
 // ---------------------------------------------
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requireRole('admin'), (req, res) => {
     try {
         const existing = db.getAuctionById(req.params.id);
         
@@ -157,6 +161,13 @@ router.delete('/:id', (req, res) => {
             });
         }
         
+        if (db.getLotsByAuction(existing.id).length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Auction has lots attached and cannot be deleted'
+            });
+        }
+        
         db.deleteAuction(req.params.id);
         
         res.json({
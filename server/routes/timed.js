@@ -0,0 +1,159 @@
+/**
+ * Timed Auction Routes
+ * Online-only sales: lot listings with close times, bidding, and
+ * staggered closing schedules
+ */
+
+const express = require('express');
+const router = express.Router();
+const timed = require('../services/timedAuctionService');
+const db = require('../services/databaseService');
+const { formatBid } = require('../services/socketService');
+const { getToken, requireRole } = require('../middleware/auth');
+
+/**
+ * GET /api/timed/auctions/:auctionId/lots
+ * Lots in a timed auction with current bid and close time
+ */
+router.get('/auctions/:auctionId/lots', (req, res) => {
+    try {
+        const auction = db.getAuctionById(req.params.auctionId);
+
+        if (!auction || auction.auction_type !== 'timed') {
+            return res.status(404).json({ error: 'Timed auction not found' });
+        }
+
+        const lots = db.getLotsByAuction(auction.id).map(timed.formatTimedLot);
+
+        res.json({
+            auction: {
+                id: auction.id,
+                title: auction.title,
+                softCloseMinutes: auction.soft_close_minutes || timed.SOFT_CLOSE_MINUTES
+            },
+            lots,
+            totalLots: lots.length
+        });
+    } catch (error) {
+        console.error('Error fetching timed lots:', error);
+        res.status(500).json({ error: 'Failed to fetch lots' });
+    }
+});
+
+/**
+ * GET /api/timed/lots/:lotId
+ * One timed lot with its bid history (paddle numbers only)
+ */
+router.get('/lots/:lotId', (req, res) => {
+    try {
+        const lot = db.getLotById(req.params.lotId);
+
+        if (!lot) {
+            return res.status(404).json({ error: 'Lot not found' });
+        }
+
+        const bids = db.getBidsForLot(lot.auction_id, lot.lot_number)
+            .filter(b => b.status === 'accepted')
+            .map(formatBid)
+            .map(b => ({ bidderNumber: b.bidderId, amount: b.amount, timestamp: b.timestamp }))
+            .reverse();
+
+        res.json({
+            lot: timed.formatTimedLot(lot),
+            bids
+        });
+    } catch (error) {
+        console.error('Error fetching timed lot:', error);
+        res.status(500).json({ error: 'Failed to fetch lot' });
+    }
+});
+
+/**
+ * POST /api/timed/lots/:lotId/bids
+ * Bid on a timed lot (Authorization: Bearer <bidder token>).
+ * Valid bids are accepted straight away.
+ */
+router.post('/lots/:lotId/bids', (req, res) => {
+    const registration = db.getRegistrationByToken(getToken(req) || '');
+
+    if (!registration) {
+        return res.status(401).json({ error: 'Registration not found' });
+    }
+
+    const amount = Number(req.body.amount);
+    if (!(amount > 0)) {
+        return res.status(400).json({ error: 'Bid amount must be a positive number' });
+    }
+
+    try {
+        const result = timed.placeBid(req.params.lotId, registration, amount);
+
+        if (result.error) {
+            return res.status(result.statusCode).json({
+                error: result.error,
+                minimumBid: result.minimumBid
+            });
+        }
+
+        const lot = timed.formatTimedLot(result.lot);
+
+        const io = req.app.get('io');
+        if (io) {
+            io.emit('timed:bid', { lot, extended: result.extended });
+
+            // Let the bidder who just lost the lead know
+            if (result.previousHighBidder) {
+                const outbid = db.getRegistrationByNumber(lot.auctionId, result.previousHighBidder);
+                if (outbid) {
+                    io.to(`registration:${outbid.id}`).emit('timed:outbid', { lot });
+                }
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            lot,
+            extended: result.extended
+        });
+    } catch (error) {
+        console.error('Error placing timed bid:', error);
+        res.status(500).json({ error: 'Failed to place bid' });
+    }
+});
+
+/**
+ * POST /api/timed/auctions/:auctionId/schedule
+ * Set lot close times: the first lot ends at firstEndsAt and each
+ * following lot intervalSeconds later (admin)
+ */
+router.post('/auctions/:auctionId/schedule', requireRole('admin'), (req, res) => {
+    const { firstEndsAt, intervalSeconds } = req.body;
+
+    if (!firstEndsAt || isNaN(new Date(firstEndsAt).getTime())) {
+        return res.status(400).json({ error: 'A valid firstEndsAt time is required' });
+    }
+    if (intervalSeconds !== undefined && !(Number(intervalSeconds) >= 0)) {
+        return res.status(400).json({ error: 'intervalSeconds must be zero or more' });
+    }
+
+    try {
+        const auction = db.getAuctionById(req.params.auctionId);
+
+        if (!auction || auction.auction_type !== 'timed') {
+            return res.status(404).json({ error: 'Timed auction not found' });
+        }
+
+        const lots = timed.scheduleLotClosings(auction.id, firstEndsAt, Number(intervalSeconds) || 0)
+            .map(timed.formatTimedLot);
+
+        res.json({
+            success: true,
+            lots
+        });
+    } catch (error) {
+        console.error('Error scheduling lot closings:', error);
+        res.status(500).json({ error: 'Failed to schedule lot closings' });
+    }
+});
+
+module.exports = router;
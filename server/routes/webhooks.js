@@ -0,0 +1,52 @@
+/**
+ * Webhook Routes
+ * Notifications from payment providers. Mounted ahead of the JSON body
+ * parser: signatures are checked against the body exactly as it was sent.
+ */
+
+const express = require('express');
+const router = express.Router();
+const squareWebhooks = require('../services/squareWebhookService');
+
+/**
+ * POST /api/webhooks/square
+ * Square event notifications (payments, refunds, disputes), signed with the
+ * subscription's key in x-square-hmacsha256-signature. Replies 200 once the
+ * event is recorded, including events we don't act on, so Square stops
+ * retrying; any other reply makes Square send it again later, which is
+ * what a deferred event gets (409).
+ */
+router.post('/square', express.raw({ type: '*/*' }), (req, res) => {
+    if (!squareWebhooks.isConfigured()) {
+        console.error('Square webhook received but SQUARE_WEBHOOK_SIGNATURE_KEY or SQUARE_WEBHOOK_URL is not set');
+        return res.status(503).json({ error: 'Square webhooks are not configured' });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    if (!squareWebhooks.verifySignature(rawBody, req.get('x-square-hmacsha256-signature'))) {
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    let event;
+    try {
+        event = JSON.parse(rawBody);
+    } catch (error) {
+        return res.status(400).json({ error: 'Body is not valid JSON' });
+    }
+    if (!event.event_id || !event.type) {
+        return res.status(400).json({ error: 'Event ID and type are required' });
+    }
+
+    try {
+        const result = squareWebhooks.processEvent(event);
+        if (result.deferred) {
+            return res.status(409).json({ received: false, ...result });
+        }
+        res.json({ received: true, ...result });
+    } catch (error) {
+        console.error('Error processing Square webhook:', error);
+        res.status(500).json({ error: 'Failed to process webhook' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * Send a recorded Square webhook to a running server, signed the way Square
+ * signs it, so webhook handling can be tried without a Square account.
+ *
+ * Usage:
+ *   node server/scripts/sendSquareWebhook.js <sample> [--payment=ID] [--refund=ID] [--to=URL] [--same-event]
+ *
+ *   sample        File name in server/samples/square-webhooks (with or without .json)
+ *   --payment=ID  Point the event at one of our Square payment IDs
+ *   --refund=ID   Point a refund event at one of our Square refund IDs
+ *   --to=URL      Where to post (default http://localhost:PORT/api/webhooks/square)
+ *   --same-event  Keep the sample's event_id, to see a retry ignored
+ *
+ * Signs with SQUARE_WEBHOOK_SIGNATURE_KEY and SQUARE_WEBHOOK_URL from .env,
+ * the same values the server verifies with.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const SAMPLE_DIR = path.join(__dirname, '..', 'samples', 'square-webhooks');
+
+async function main() {
+    const [sample, ...flags] = process.argv.slice(2);
+    const options = Object.fromEntries(flags.map(flag => {
+        const [key, value] = flag.replace(/^--/, '').split('=');
+        return [key, value ?? true];
+    }));
+
+    if (!sample) {
+        const samples = fs.readdirSync(SAMPLE_DIR).map(file => file.replace(/\.json$/, ''));
+        console.error(`Usage: node server/scripts/sendSquareWebhook.js <sample> [--payment=ID] [--refund=ID] [--to=URL] [--same-event]\nSamples: ${samples.join(', ')}`);
+        process.exit(1);
+    }
+
+    const signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+    const notificationUrl = process.env.SQUARE_WEBHOOK_URL;
+    if (!signatureKey || !notificationUrl) {
+        console.error('Set SQUARE_WEBHOOK_SIGNATURE_KEY and SQUARE_WEBHOOK_URL first');
+        process.exit(1);
+    }
+
+    const event = JSON.parse(fs.readFileSync(path.join(SAMPLE_DIR, sample.replace(/\.json$/, '') + '.json'), 'utf8'));
+    if (!options['same-event']) {
+        event.event_id = uuidv4();
+    }
+    retarget(event, options);
+
+    const body = JSON.stringify(event);
+    const signature = crypto.createHmac('sha256', signatureKey).update(notificationUrl + body).digest('base64');
+    const target = options.to || `http://localhost:${process.env.PORT || 3000}/api/webhooks/square`;
+
+    const response = await fetch(target, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-square-hmacsha256-signature': signature
+        },
+        body
+    });
+
+    console.log(`${event.type} (${event.event_id}) -> ${response.status}`);
+    console.log(await response.text());
+}
+
+// Point the sample's payment, refund or disputed payment at our own IDs
+function retarget(event, { payment, refund }) {
+    const object = event.data.object;
+
+    if (object.payment && payment) {
+        object.payment.id = payment;
+        event.data.id = payment;
+    }
+    if (object.refund) {
+        if (payment) object.refund.payment_id = payment;
+        if (refund) {
+            object.refund.id = refund;
+            event.data.id = refund;
+        }
+    }
+    if (object.dispute && payment) {
+        object.dispute.disputed_payment = { payment_id: payment };
+    }
+}
+
+main().catch(error => {
+    console.error('Failed to send webhook:', error.message);
+    process.exit(1);
+});
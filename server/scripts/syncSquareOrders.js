@@ -0,0 +1,49 @@
+/**
+ * Check a day's Square orders and card payments against our database and
+ * list any missing from it. Meant to run after each auction (or nightly).
+ *
+ * Usage:
+ *   node server/scripts/syncSquareOrders.js <YYYY-MM-DD | --auction=ID>
+ *
+ * Exits with 2 when issues are found, so a scheduler can alert on it.
+ * The mock payment provider keeps its sales in the server's memory, so
+ * with PAYMENT_PROVIDER=mock use POST /api/checkout/square-sync instead.
+ */
+
+require('dotenv').config();
+
+const db = require('../services/databaseService');
+const squareSync = require('../services/squareSyncService');
+const Money = require('../../js/money');
+
+async function main() {
+    const [target] = process.argv.slice(2);
+    const auctionId = target?.startsWith('--auction=') ? Number(target.split('=')[1]) : null;
+
+    if (!auctionId && !/^\d{4}-\d{2}-\d{2}$/.test(target || '')) {
+        console.error('Usage: node server/scripts/syncSquareOrders.js <YYYY-MM-DD | --auction=ID>');
+        process.exit(1);
+    }
+
+    db.initDatabase();
+
+    const result = auctionId ? await squareSync.syncAuction(auctionId) : await squareSync.syncDate(target);
+    if (!result) {
+        console.error(`Auction ${auctionId} not found`);
+        process.exit(1);
+    }
+
+    console.log(`${result.date}: ${result.orders} paid orders, ${result.payments} payments checked`);
+    result.issues.forEach(issue => {
+        const invoice = issue.invoiceId ? ` (invoice ${issue.invoiceId})` : '';
+        console.log(`  ${issue.type}: ${issue.detail}${invoice}, ${Money.format(issue.amount)}`);
+    });
+    console.log(result.issues.length ? `${result.issues.length} issue(s) found` : 'Everything in Square is recorded');
+
+    process.exit(result.issues.length ? 2 : 0);
+}
+
+main().catch(error => {
+    console.error('Square sync failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,151 @@
+/**
+ * Auth Service
+ * Staff accounts, password hashing and login sessions
+ *
+ * Roles:
+ * - clerk: checkout counter and live bid monitoring
+ * - auctioneer: runs the live sale
+ * - admin: everything, including the schedule and staff accounts
+ */
+
+const crypto = require('crypto');
+const db = require('./databaseService');
+
+const ROLES = ['clerk', 'auctioneer', 'admin'];
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+
+/**
+ * Hash a password with a random salt (scrypt)
+ * @param {string} password
+ * @returns {string} "salt:hash" in hex
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [salt, hash] = (stored || '').split(':');
+    if (!salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Sessions are stored under a hash of their token, never the token itself
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check credentials and open a session
+ * @returns {Object|null} { token, expiresAt, user } or null on bad login
+ */
+function login(username, password) {
+    const user = db.getUserByUsername(username);
+    if (!user || !user.active || !verifyPassword(password, user.password_hash)) {
+        return null;
+    }
+
+    db.deleteExpiredSessions();
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    db.createSession({ token_hash: hashToken(token), user_id: user.id, expires_at: expiresAt });
+
+    return { token, expiresAt, user: toPublicUser(user) };
+}
+
+function logout(token) {
+    db.deleteSession(hashToken(token));
+}
+
+/**
+ * Resolve a session token to its (active) user
+ */
+function getUserByToken(token) {
+    if (!token) return null;
+    const session = db.getSession(hashToken(token));
+    if (!session || !session.active) return null;
+    return toPublicUser(session);
+}
+
+function createUser({ username, name, password, role }) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    const user = db.createUser({
+        username,
+        name: name || username,
+        password_hash: hashPassword(password),
+        role
+    });
+    return toPublicUser(user);
+}
+
+function updateUser(id, { name, password, role, active }) {
+    if (role !== undefined && !ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    const user = db.updateUser(id, {
+        name,
+        role,
+        active: active === undefined ? undefined : (active ? 1 : 0),
+        password_hash: password ? hashPassword(password) : undefined
+    });
+
+    // Force a fresh login after a password change or deactivation
+    if (password || active === false) {
+        db.deleteSessionsForUser(id);
+    }
+    return toPublicUser(user);
+}
+
+function hasRole(user, roles) {
+    return Boolean(user) && (user.role === 'admin' || roles.includes(user.role));
+}
+
+/**
+ * Create the first admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+ * when no staff accounts exist yet
+ */
+function ensureInitialAdmin() {
+    if (db.countUsers() > 0) return;
+
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!username || !password) {
+        console.warn('No staff accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+        return;
+    }
+
+    createUser({ username, name: 'Administrator', password, role: 'admin' });
+    console.log(`Created initial admin account: ${username}`);
+}
+
+// Strip the password hash before a user leaves the service
+function toPublicUser(user) {
+    if (!user) return null;
+    return {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        role: user.role,
+        active: Boolean(user.active)
+    };
+}
+
+module.exports = {
+    ROLES,
+    login,
+    logout,
+    getUserByToken,
+    createUser,
+    updateUser,
+    hasRole,
+    ensureInitialAdmin,
+    toPublicUser
+};
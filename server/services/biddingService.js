@@ -0,0 +1,188 @@
+/**
+ * Bidding Service
+ * Bid increment tables and bid validation rules
+ *
+ * An increment table is a list of tiers, lowest first:
+ *   [{ upTo: 100, increment: 5 }, { upTo: 500, increment: 10 }, { upTo: null, increment: 25 }]
+ * A tier applies while the current bid is below `upTo`; the last tier
+ * (upTo: null) covers everything above.
+ */
+
+const db = require('./databaseService');
+const Money = require('../../js/money');
+
+const DEFAULT_INCREMENT_TABLE = [
+    { upTo: 100, increment: 5 },
+    { upTo: 500, increment: 10 },
+    { upTo: 1000, increment: 25 },
+    { upTo: 5000, increment: 50 },
+    { upTo: null, increment: 100 }
+];
+
+/**
+ * Validate and tidy an increment table from user input
+ * @param {Array} table
+ * @returns {Array} Sorted table ending in an open (upTo: null) tier
+ * @throws {Error} When the table is malformed
+ */
+function normalizeIncrementTable(table) {
+    if (!Array.isArray(table) || table.length === 0) {
+        throw new Error('Increment table must be a non-empty array');
+    }
+
+    const tiers = table.map(tier => ({
+        upTo: tier.upTo === null || tier.upTo === undefined || tier.upTo === '' ? null : Number(tier.upTo),
+        increment: Number(tier.increment)
+    }));
+
+    for (const tier of tiers) {
+        if (!(tier.increment > 0)) {
+            throw new Error('Each tier needs an increment greater than zero');
+        }
+        if (tier.upTo !== null && !(tier.upTo > 0)) {
+            throw new Error('Tier limits must be positive amounts');
+        }
+    }
+
+    const bounded = tiers.filter(t => t.upTo !== null).sort((a, b) => a.upTo - b.upTo);
+    const open = tiers.filter(t => t.upTo === null);
+
+    if (open.length > 1) {
+        throw new Error('Only one tier can be open-ended');
+    }
+    if (new Set(bounded.map(t => t.upTo)).size !== bounded.length) {
+        throw new Error('Tier limits must be unique');
+    }
+
+    // Without an explicit open tier, keep using the top tier's increment
+    const last = open[0] || { upTo: null, increment: bounded[bounded.length - 1].increment };
+    return [...bounded, last];
+}
+
+/**
+ * Increment that applies at a given bid amount
+ */
+function getIncrement(amount, table = DEFAULT_INCREMENT_TABLE) {
+    const tier = table.find(t => t.upTo === null || amount < t.upTo);
+    return tier ? tier.increment : table[table.length - 1].increment;
+}
+
+/**
+ * Lowest acceptable bid over the current bid
+ */
+function getNextValidBid(currentBid, table = DEFAULT_INCREMENT_TABLE) {
+    return roundToTwo(currentBid + getIncrement(currentBid, table));
+}
+
+/**
+ * Check an incoming bid against the current bid and increment table
+ * @returns {Object} { valid, message, nextBid }
+ */
+function validateBid(amount, currentBid, table = DEFAULT_INCREMENT_TABLE) {
+    const nextBid = getNextValidBid(currentBid, table);
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+        return { valid: false, message: 'Bid amount must be a positive number', nextBid };
+    }
+    if (amount < nextBid) {
+        return { valid: false, message: `Minimum bid is $${nextBid}`, nextBid };
+    }
+    return { valid: true, message: null, nextBid };
+}
+
+/**
+ * First bid at or above an amount on the ladder that starts at the minimum
+ * bid and climbs one increment at a time. A bid is on the increments when
+ * this gives back the bid itself.
+ * @param {number} amount - Dollars
+ * @param {number} minimumBid - Dollars; the ladder's first rung
+ * @returns {number} Dollars
+ */
+function roundUpToIncrement(amount, minimumBid, table = DEFAULT_INCREMENT_TABLE) {
+    const target = Money.toCents(amount);
+    let bid = Money.toCents(minimumBid);
+
+    // Climb a whole tier at a time: its increment holds until the bid reaches upTo
+    while (bid < target) {
+        const increment = Money.toCents(getIncrement(Money.fromCents(bid), table));
+        const tier = table.find(t => t.upTo === null || Money.fromCents(bid) < t.upTo);
+        const tierEnd = tier && tier.upTo !== null ? Money.toCents(tier.upTo) : Infinity;
+        const steps = Math.max(1, Math.ceil((Math.min(target, tierEnd) - bid) / increment));
+        bid += steps * increment;
+    }
+    return Money.fromCents(bid);
+}
+
+/**
+ * Increment table for a lot: lot override, then auction table, then default
+ * @param {Object|null} auction - auction_schedule row
+ * @param {number|null} lotNumber
+ */
+function resolveIncrementTable(auction, lotNumber) {
+    if (auction && lotNumber !== undefined && lotNumber !== null) {
+        const lot = db.getLotByNumber(auction.id, lotNumber);
+        if (lot && lot.increment_table_json) {
+            return JSON.parse(lot.increment_table_json);
+        }
+    }
+    if (auction && auction.increment_table_json) {
+        return JSON.parse(auction.increment_table_json);
+    }
+    return DEFAULT_INCREMENT_TABLE;
+}
+
+/**
+ * Work out the next automatic bid from absentee (max) bids.
+ *
+ * The highest max wins (earliest on a tie) and bids only as far as it must:
+ * one increment over the runner-up's max, or the next valid bid over the
+ * current price when nobody else is left. Nothing is bid if that bidder
+ * already holds the high bid and no other absentee can challenge.
+ *
+ * @param {Array} absentees - Active bids, oldest first: { bidderNumber, maxAmount }
+ * @param {number} currentBid
+ * @param {string|null} highBidder - Bidder number holding the current bid
+ * @param {Array} table - Increment table
+ * @returns {Object} { bid: { absentee, amount } | null, outbid: [absentee] }
+ */
+function executeAbsenteeBids(absentees, currentBid, highBidder, table = DEFAULT_INCREMENT_TABLE) {
+    const nextBid = getNextValidBid(currentBid, table);
+
+    // Stable sort keeps the earlier bid ahead on equal max amounts
+    const contenders = absentees
+        .filter(a => a.bidderNumber === highBidder || a.maxAmount >= nextBid)
+        .sort((a, b) => b.maxAmount - a.maxAmount);
+
+    if (contenders.length === 0) {
+        return { bid: null, outbid: absentees };
+    }
+
+    const leader = contenders[0];
+    const outbid = absentees.filter(a => a !== leader && a.bidderNumber !== leader.bidderNumber);
+    const runnerUp = contenders.find(a => a.bidderNumber !== leader.bidderNumber);
+
+    if (!runnerUp) {
+        if (leader.bidderNumber === highBidder) {
+            return { bid: null, outbid };
+        }
+        return { bid: { absentee: leader, amount: nextBid }, outbid };
+    }
+
+    const amount = Math.min(leader.maxAmount, getNextValidBid(runnerUp.maxAmount, table));
+    return { bid: { absentee: leader, amount: roundToTwo(amount) }, outbid };
+}
+
+function roundToTwo(num) {
+    return Math.round((num + Number.EPSILON) * 100) / 100;
+}
+
+module.exports = {
+    DEFAULT_INCREMENT_TABLE,
+    normalizeIncrementTable,
+    getIncrement,
+    getNextValidBid,
+    validateBid,
+    roundUpToIncrement,
+    resolveIncrementTable,
+    executeAbsenteeBids
+};
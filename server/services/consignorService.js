@@ -0,0 +1,262 @@
+/**
+ * Consignor Service
+ * Commission terms and settlement statements for the people we sell for:
+ * - Flat commission: one percent of every hammer price
+ * - Tiered commission: the percent depends on the lot's hammer price
+ * - Per-lot charges (photo fees, repairs...) come off the proceeds
+ */
+
+const db = require('./databaseService');
+const Money = require('../../js/money');
+
+/**
+ * Validate and tidy a commission tier table from user input.
+ * Tiers look like increment tables: [{ upTo, rate }, ..., { upTo: null, rate }],
+ * with upTo in dollars (exclusive) and rate a percent.
+ * @throws {Error} When the tiers are malformed
+ */
+function normalizeCommissionTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error('Commission tiers must be a non-empty array');
+    }
+
+    const parsed = tiers.map(tier => ({
+        upTo: tier.upTo === null || tier.upTo === undefined || tier.upTo === '' ? null : Number(tier.upTo),
+        rate: Number(tier.rate)
+    }));
+
+    for (const tier of parsed) {
+        if (!(tier.rate >= 0 && tier.rate <= 100)) {
+            throw new Error('Each tier needs a rate between 0 and 100 percent');
+        }
+        if (tier.upTo !== null && !(tier.upTo > 0)) {
+            throw new Error('Tier limits must be positive amounts');
+        }
+    }
+
+    const bounded = parsed.filter(t => t.upTo !== null).sort((a, b) => a.upTo - b.upTo);
+    const open = parsed.filter(t => t.upTo === null);
+
+    if (open.length > 1) {
+        throw new Error('Only one tier can be open-ended');
+    }
+    if (new Set(bounded.map(t => t.upTo)).size !== bounded.length) {
+        throw new Error('Tier limits must be unique');
+    }
+
+    const last = open[0] || { upTo: null, rate: bounded[bounded.length - 1].rate };
+    return [...bounded, last];
+}
+
+/**
+ * Commission percent that applies to a hammer price (in cents)
+ */
+function getCommissionRate(consignor, hammerCents) {
+    if (consignor.commission_type === 'tiered' && consignor.commission_tiers) {
+        const tier = consignor.commission_tiers.find(t => t.upTo === null || hammerCents < Money.toCents(t.upTo));
+        return tier.rate;
+    }
+    return consignor.commission_rate || 0;
+}
+
+function calculateCommission(consignor, hammerCents) {
+    return Money.percentOf(hammerCents, getCommissionRate(consignor, hammerCents));
+}
+
+/**
+ * The buyer's payment for a sold lot: the checkout that marked this very
+ * lot paid, as long as it still stands
+ */
+function findBuyerPayment(lot) {
+    if (!lot.transaction_id || !lot.paid_at) return null;
+
+    const transaction = db.getTransactionById(lot.transaction_id);
+    return transaction && ['completed', 'partially_refunded'].includes(transaction.status) ? transaction : null;
+}
+
+/**
+ * Settlement statement for one consignor's lots in one auction.
+ * All amounts are integer cents.
+ */
+function buildStatement(consignor, auction) {
+    const lots = db.getLotsByConsignor(consignor.id, auction.id);
+    const charges = db.getLotCharges(lots.map(lot => lot.id));
+
+    const lines = lots.map(lot => {
+        const sold = lot.status === 'sold' && lot.winning_bid !== null;
+        const hammer = sold ? lot.winning_bid : 0;
+        const lotCharges = charges.filter(c => c.lot_id === lot.id);
+        const chargesTotal = Money.sum(lotCharges.map(c => c.amount));
+        const commission = sold ? calculateCommission(consignor, hammer) : 0;
+        const payment = sold ? findBuyerPayment(lot) : null;
+
+        return {
+            lotId: lot.id,
+            lotNumber: lot.lot_number,
+            description: lot.description,
+            status: lot.status,
+            buyerNumber: sold ? lot.winner_bidder_number : null,
+            buyerPaid: Boolean(payment),
+            transactionId: payment ? payment.transaction_id : null,
+            hammer,
+            commissionRate: sold ? getCommissionRate(consignor, hammer) : null,
+            commission,
+            charges: lotCharges.map(c => ({ id: c.id, description: c.description, amount: c.amount })),
+            chargesTotal,
+            net: hammer - commission - chargesTotal
+        };
+    });
+
+    const sum = (key, rows = lines) => Money.sum(rows.map(line => line[key]));
+    const soldLines = lines.filter(line => line.status === 'sold');
+    const settlement = db.getSettlement(consignor.id, auction.id);
+
+    return {
+        consignor,
+        auction,
+        lines,
+        totals: {
+            lotsConsigned: lines.length,
+            lotsSold: soldLines.length,
+            gross: sum('hammer'),
+            commission: sum('commission'),
+            charges: sum('chargesTotal'),
+            net: sum('net'),
+            uncollected: sum('hammer', soldLines.filter(line => !line.buyerPaid))
+        },
+        settlement: settlement || { status: 'unpaid' }
+    };
+}
+
+// ===========================================
+// OUTPUT FORMATS
+// ===========================================
+
+// Plain 1234.50 so spreadsheets read it as a number
+function csvAmount(cents) {
+    return Money.fromCents(cents).toFixed(2);
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function statementToCsv(statement) {
+    const rows = [
+        ['Lot', 'Description', 'Status', 'Buyer', 'Buyer Paid', 'Hammer', 'Commission %', 'Commission', 'Charges', 'Net']
+    ];
+
+    statement.lines.forEach(line => rows.push([
+        line.lotNumber,
+        line.description,
+        line.status,
+        line.buyerNumber || '',
+        line.status === 'sold' ? (line.buyerPaid ? 'yes' : 'no') : '',
+        csvAmount(line.hammer),
+        line.commissionRate === null ? '' : line.commissionRate,
+        csvAmount(line.commission),
+        csvAmount(line.chargesTotal),
+        csvAmount(line.net)
+    ]));
+
+    const { totals } = statement;
+    rows.push(['', 'TOTAL', '', '', '', csvAmount(totals.gross), '', csvAmount(totals.commission), csvAmount(totals.charges), csvAmount(totals.net)]);
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function statementToHtml(statement) {
+    const { consignor, auction, lines, totals, settlement } = statement;
+    const paid = settlement.status === 'paid';
+
+    const rows = lines.map(line => `
+            <tr>
+                <td>${line.lotNumber}</td>
+                <td>${escapeHtml(line.description)}${line.charges.map(c => `<br><small>${escapeHtml(c.description)}: ${Money.format(c.amount)}</small>`).join('')}</td>
+                <td>${line.status === 'sold' ? `Sold${line.buyerPaid ? '' : ' (buyer unpaid)'}` : escapeHtml(line.status)}</td>
+                <td class="num">${Money.format(line.hammer)}</td>
+                <td class="num">${line.commissionRate === null ? '' : `${line.commissionRate}%`}</td>
+                <td class="num">${Money.format(line.commission)}</td>
+                <td class="num">${Money.format(line.chargesTotal)}</td>
+                <td class="num">${Money.format(line.net)}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Settlement - ${escapeHtml(consignor.name)} - ${escapeHtml(auction.title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #222; margin: 2rem; }
+        h1 { margin: 0 0 0.25rem; font-size: 1.5rem; }
+        .meta { display: flex; justify-content: space-between; margin: 1.5rem 0; }
+        .status { font-weight: bold; color: ${paid ? '#1a7f37' : '#b42318'}; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+        th, td { border-bottom: 1px solid #ddd; padding: 0.4rem; text-align: left; vertical-align: top; }
+        th { background: #f4f4f4; }
+        .num { text-align: right; white-space: nowrap; }
+        tfoot td { font-weight: bold; border-top: 2px solid #222; }
+        @media print { body { margin: 0.5in; } .no-print { display: none; } }
+    </style>
+</head>
+<body>
+    <button class="no-print" onclick="window.print()">Print</button>
+    <h1>Almost Heaven Auctions LLC</h1>
+    <div>Consignor Settlement Statement</div>
+
+    <div class="meta">
+        <div>
+            <strong>${escapeHtml(consignor.name)}</strong><br>
+            ${escapeHtml(consignor.address || '')}<br>
+            ${escapeHtml([consignor.phone, consignor.email].filter(Boolean).join(' · '))}
+        </div>
+        <div>
+            ${escapeHtml(auction.title)}<br>
+            ${escapeHtml(auction.auction_date)}<br>
+            <span class="status">${paid ? `PAID ${escapeHtml((settlement.paid_at || '').slice(0, 10))}${settlement.reference ? ` · ${escapeHtml(settlement.reference)}` : ''}` : 'UNPAID'}</span>
+        </div>
+    </div>
+
+    <table>
+        <thead>
+            <tr>
+                <th>Lot</th><th>Description</th><th>Result</th><th class="num">Hammer</th>
+                <th class="num">Rate</th><th class="num">Commission</th><th class="num">Charges</th><th class="num">Net</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+        <tfoot>
+            <tr>
+                <td colspan="3">${totals.lotsSold} of ${totals.lotsConsigned} lots sold</td>
+                <td class="num">${Money.format(totals.gross)}</td>
+                <td></td>
+                <td class="num">${Money.format(totals.commission)}</td>
+                <td class="num">${Money.format(totals.charges)}</td>
+                <td class="num">${Money.format(totals.net)}</td>
+            </tr>
+        </tfoot>
+    </table>
+    ${totals.uncollected ? `<p>${Money.format(totals.uncollected)} of sales has not yet been collected from buyers.</p>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    normalizeCommissionTiers,
+    getCommissionRate,
+    calculateCommission,
+    buildStatement,
+    statementToCsv,
+    statementToHtml
+};
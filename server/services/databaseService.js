@@ -5,8 +5,8 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 
-// Database file location
-const dbPath = path.join(__dirname, '../../data/auctions.db');
+// Database file location (DATABASE_PATH points tests at a scratch file)
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../../data/auctions.db');
 
 // Initialize database
 let db;
@@ -19,6 +19,8 @@ function initDatabase() {
     
     // Create tables
     createTables();
+    migrateTables();
+    createSearchIndex();
     
     console.log('Database initialized at:', dbPath);
     
@@ -89,9 +91,405 @@ function createTables() {
         )
     `);
 
+    // Live auction state (single row, survives restarts)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS live_auction_state (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            is_live INTEGER DEFAULT 0,
+            current_lot_json TEXT,
+            current_bid INTEGER DEFAULT 0,
+            bid_increment INTEGER DEFAULT 500,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Bids table (ledger of every online and floor bid)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS bids (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            bid_id TEXT UNIQUE NOT NULL,
+            lot_number INTEGER,
+            bidder_id TEXT,
+            bidder_name TEXT,
+            amount INTEGER NOT NULL,
+            status TEXT DEFAULT 'pending',
+            is_online INTEGER DEFAULT 1,
+            in_queue INTEGER DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Per-auction online bidder registrations (paddle numbers + approval)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS auction_registrations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            auction_id INTEGER NOT NULL,
+            bidder_id INTEGER NOT NULL,
+            bidder_number TEXT NOT NULL,
+            status TEXT DEFAULT 'pending',
+            access_token TEXT UNIQUE NOT NULL,
+            reviewed_by INTEGER,
+            reviewed_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (auction_id, bidder_number),
+            UNIQUE (auction_id, bidder_id),
+            FOREIGN KEY (auction_id) REFERENCES auction_schedule(id),
+            FOREIGN KEY (bidder_id) REFERENCES bidders(id)
+        )
+    `);
+
+    // Absentee (max) bids left before a lot opens; amounts in cents
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS absentee_bids (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            auction_id INTEGER NOT NULL,
+            lot_number INTEGER NOT NULL,
+            registration_id INTEGER NOT NULL,
+            max_amount INTEGER NOT NULL,
+            current_amount INTEGER,
+            status TEXT DEFAULT 'active',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME,
+            resolved_at DATETIME,
+            FOREIGN KEY (auction_id) REFERENCES auction_schedule(id),
+            FOREIGN KEY (registration_id) REFERENCES auction_registrations(id)
+        )
+    `);
+
+    // Staff users (clerks, auctioneers, admins)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            password_hash TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'clerk',
+            active INTEGER DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Login sessions. Only a SHA-256 hash of each bearer token is kept, so
+    // a copy of the database can't be used to log in.
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            token_hash TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
+    // Consignors (people we sell lots for) and their commission terms.
+    // commission_rate is a percent; tiered consignors use commission_tiers_json.
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS consignors (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            email TEXT,
+            phone TEXT,
+            address TEXT,
+            commission_type TEXT DEFAULT 'flat',
+            commission_rate REAL DEFAULT 0,
+            commission_tiers_json TEXT,
+            notes TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Charges deducted from a consignor's proceeds for one lot (e.g. photo fee)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS lot_charges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            lot_id INTEGER NOT NULL,
+            description TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (lot_id) REFERENCES lots(id)
+        )
+    `);
+
+    // Payout status of each consignor's statement for an auction.
+    // Amounts are a snapshot taken when the statement is marked paid.
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS consignor_settlements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            consignor_id INTEGER NOT NULL,
+            auction_id INTEGER NOT NULL,
+            status TEXT DEFAULT 'unpaid',
+            gross INTEGER,
+            commission INTEGER,
+            charges INTEGER,
+            net INTEGER,
+            reference TEXT,
+            paid_by INTEGER,
+            paid_at DATETIME,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (consignor_id, auction_id),
+            FOREIGN KEY (consignor_id) REFERENCES consignors(id),
+            FOREIGN KEY (auction_id) REFERENCES auction_schedule(id)
+        )
+    `);
+
+    // Payments toward a transaction (invoice). amount is what the tender puts
+    // toward the invoice; card_fee is charged on top for card tenders.
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS tenders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transaction_id TEXT NOT NULL,
+            method TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            card_fee INTEGER DEFAULT 0,
+            square_payment_id TEXT,
+            receipt_url TEXT,
+            clerk_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id)
+        )
+    `);
+
+    // Money given back on a transaction, one row per tender it went back to.
+    // A cash refund is a cash-out from the drawer; a card refund goes through Square.
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS refunds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            refund_id TEXT NOT NULL,
+            transaction_id TEXT NOT NULL,
+            tender_id INTEGER,
+            kind TEXT NOT NULL,
+            method TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            square_refund_id TEXT,
+            reason TEXT,
+            lot_numbers_json TEXT,
+            clerk_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id),
+            FOREIGN KEY (tender_id) REFERENCES tenders(id)
+        )
+    `);
+
+    // One invoice per buyer per auction. Its lines are the lots sold to the
+    // buyer in that auction; status is 'open' until every lot is paid.
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS invoices (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            auction_id INTEGER,
+            bidder_number TEXT NOT NULL,
+            status TEXT DEFAULT 'open',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (auction_id, bidder_number),
+            FOREIGN KEY (auction_id) REFERENCES auction_schedule(id)
+        )
+    `);
+
+    // Store credit ledger: deposits and credit carried from earlier sales are
+    // added (positive), paying with credit or refunding to it moves it
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS store_credits (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            bidder_number TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            transaction_id TEXT,
+            note TEXT,
+            clerk_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Checkout requests by the key the clerk terminal sends with them, so a
+    // retried request gets the first one's result instead of a second charge.
+    // attempt goes up after a decline; provider idempotency keys include it.
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS checkouts (
+            checkout_key TEXT PRIMARY KEY,
+            attempt INTEGER DEFAULT 1,
+            status TEXT DEFAULT 'processing',
+            transaction_id TEXT,
+            response_json TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Square webhook notifications, one row per event. Square retries until
+    // it gets a 2xx, so event_id keeps a retry from being applied twice.
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            event_id TEXT UNIQUE NOT NULL,
+            type TEXT NOT NULL,
+            transaction_id TEXT,
+            handled INTEGER DEFAULT 0,
+            note TEXT,
+            payload_json TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Lot import previews waiting for staff to commit or discard them
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS import_previews (
+            id TEXT PRIMARY KEY,
+            auction_id INTEGER NOT NULL,
+            preview_json TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL
+        )
+    `);
+
+    // Sales tax rate (percent) for each auction location
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS tax_rates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            location TEXT UNIQUE NOT NULL,
+            rate REAL NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Settings table (key/value app state, e.g. the current auction)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS settings (
+            key TEXT PRIMARY KEY,
+            value TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
     console.log('📋 Database tables created/verified');
 }
 
+// Add columns introduced after a table was first created.
+// CREATE TABLE IF NOT EXISTS leaves existing tables untouched.
+function migrateTables() {
+    // Sessions used to keep the token itself; those logins are dropped
+    if (db.prepare('PRAGMA table_info(sessions)').all().some(c => c.name === 'token')) {
+        db.exec('DROP TABLE sessions');
+        createTables();
+    }
+
+    addColumnIfMissing('auction_schedule', 'livestream_url', 'TEXT');
+    addColumnIfMissing('auction_schedule', 'require_bidder_approval', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('auction_schedule', 'increment_table_json', 'TEXT');
+    addColumnIfMissing('auction_schedule', 'auction_type', "TEXT DEFAULT 'live'");
+    addColumnIfMissing('auction_schedule', 'soft_close_minutes', 'INTEGER');
+    addColumnIfMissing('auction_schedule', 'fee_schedule_json', 'TEXT');
+
+    addColumnIfMissing('lots', 'estimate', 'TEXT');
+    addColumnIfMissing('lots', 'category', "TEXT DEFAULT 'General'");
+    addColumnIfMissing('lots', 'images_json', 'TEXT');
+    addColumnIfMissing('lots', 'winner_name', 'TEXT');
+    addColumnIfMissing('lots', 'is_online', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('lots', 'sold_at', 'DATETIME');
+    addColumnIfMissing('lots', 'updated_at', 'DATETIME');
+    addColumnIfMissing('lots', 'increment_table_json', 'TEXT');
+
+    // Timed (online-only) lots track their own high bid and close time
+    addColumnIfMissing('lots', 'ends_at', 'DATETIME');
+    addColumnIfMissing('lots', 'current_bid', 'INTEGER');
+    addColumnIfMissing('lots', 'high_bidder_number', 'TEXT');
+    addColumnIfMissing('lots', 'bid_count', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('lots', 'consignor_id', 'INTEGER');
+
+    // Checkout that paid for the lot (null while unpaid)
+    addColumnIfMissing('lots', 'transaction_id', 'TEXT');
+    addColumnIfMissing('lots', 'paid_at', 'DATETIME');
+
+    // Checkout key of a payment under way for the lot, so only one takes it
+    addColumnIfMissing('lots', 'held_by', 'TEXT');
+    addColumnIfMissing('lots', 'held_at', 'DATETIME');
+
+    addColumnIfMissing('transactions', 'buyer_name', 'TEXT');
+    addColumnIfMissing('transactions', 'order_id', 'TEXT');
+    addColumnIfMissing('transactions', 'receipt_url', 'TEXT');
+    addColumnIfMissing('transactions', 'premium_rate', 'TEXT');
+    addColumnIfMissing('transactions', 'card_fee_rate', 'TEXT');
+    addColumnIfMissing('transactions', 'tax', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('transactions', 'tax_rate', 'TEXT');
+    addColumnIfMissing('transactions', 'tax_exempt_certificate', 'TEXT');
+    addColumnIfMissing('transactions', 'amount_paid', 'INTEGER');
+    addColumnIfMissing('transactions', 'amount_refunded', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('transactions', 'auction_id', 'INTEGER');
+    addColumnIfMissing('transactions', 'invoice_id', 'INTEGER');
+
+    // Set while a refund, void or further payment is under way, so only one
+    // runs at a time
+    addColumnIfMissing('transactions', 'reversal_started_at', 'DATETIME');
+
+    // Check number or transfer reference
+    addColumnIfMissing('tenders', 'reference', 'TEXT');
+
+    // Latest status Square reported for a card payment or refund
+    addColumnIfMissing('tenders', 'square_status', 'TEXT');
+    addColumnIfMissing('refunds', 'square_status', 'TEXT');
+
+    // A Square refund is recorded once, whether the refund route or a
+    // webhook gets to it first
+    db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_square_refund_id ON refunds (square_refund_id)');
+
+    // Secret in the link a buyer pays their invoice online with
+    addColumnIfMissing('invoices', 'pay_token', 'TEXT');
+
+    // Resale certificate on file makes the bidder tax-exempt
+    addColumnIfMissing('bidders', 'tax_exempt_certificate', 'TEXT');
+
+    addColumnIfMissing('bids', 'source', "TEXT DEFAULT 'online'");
+    addColumnIfMissing('bids', 'auction_id', 'INTEGER');
+    addColumnIfMissing('bids', 'clerk_id', 'TEXT');
+    addColumnIfMissing('bids', 'clerk_name', 'TEXT');
+    addColumnIfMissing('bids', 'resolved_at', 'DATETIME');
+}
+
+// Full-text index over lot descriptions and categories for the public
+// catalog. Triggers keep it in step with the lots table.
+function createSearchIndex() {
+    const exists = db.prepare(`
+        SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'lots_fts'
+    `).get();
+
+    db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS lots_fts USING fts5(
+            description, category,
+            content = 'lots', content_rowid = 'id'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS lots_fts_insert AFTER INSERT ON lots BEGIN
+            INSERT INTO lots_fts (rowid, description, category)
+            VALUES (new.id, new.description, new.category);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS lots_fts_delete AFTER DELETE ON lots BEGIN
+            INSERT INTO lots_fts (lots_fts, rowid, description, category)
+            VALUES ('delete', old.id, old.description, old.category);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS lots_fts_update AFTER UPDATE OF description, category ON lots BEGIN
+            INSERT INTO lots_fts (lots_fts, rowid, description, category)
+            VALUES ('delete', old.id, old.description, old.category);
+            INSERT INTO lots_fts (rowid, description, category)
+            VALUES (new.id, new.description, new.category);
+        END;
+    `);
+
+    // Index lots that existed before the search table did
+    if (!exists) {
+        db.exec(`INSERT INTO lots_fts (lots_fts) VALUES ('rebuild')`);
+    }
+}
+
+function addColumnIfMissing(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
 // ==============================================
 // SCHEDULE CRUD OPERATIONS
 // ==============================================
@@ -134,8 +532,8 @@ function getAuctionById(id) {
 
 function createAuction(auction) {
     const stmt = db.prepare(`
-        INSERT INTO auction_schedule (title, description, auction_date, start_time, preview_time, location, status)
-        VALUES (@title, @description, @auction_date, @start_time, @preview_time, @location, @status)
+        INSERT INTO auction_schedule (title, description, auction_date, start_time, preview_time, location, status, livestream_url, require_bidder_approval, auction_type, soft_close_minutes)
+        VALUES (@title, @description, @auction_date, @start_time, @preview_time, @location, @status, @livestream_url, @require_bidder_approval, @auction_type, @soft_close_minutes)
     `);
     
     const result = stmt.run({
@@ -145,7 +543,11 @@ function createAuction(auction) {
         start_time: auction.start_time,
         preview_time: auction.preview_time || null,
         location: auction.location || '[insert location here]',
-        status: auction.status || 'upcoming'
+        status: auction.status || 'upcoming',
+        livestream_url: auction.livestream_url || null,
+        require_bidder_approval: auction.require_bidder_approval ? 1 : 0,
+        auction_type: auction.auction_type === 'timed' ? 'timed' : 'live',
+        soft_close_minutes: auction.soft_close_minutes || null
     });
     
     return { id: result.lastInsertRowid, ...auction };
@@ -165,20 +567,513 @@ function updateAuction(id, updates) {
     if (fields.length === 0) return null;
     
     fields.push('updated_at = CURRENT_TIMESTAMP');
-    
+    
+    const stmt = db.prepare(`
+        UPDATE auction_schedule 
+        SET ${fields.join(', ')}
+        WHERE id = @id
+    `);
+    
+    stmt.run(values);
+    return getAuctionById(id);
+}
+
+function deleteAuction(id) {
+    const stmt = db.prepare('DELETE FROM auction_schedule WHERE id = ?');
+    return stmt.run(id);
+}
+
+// ==============================================
+// LOT OPERATIONS
+// ==============================================
+
+function getLotsByAuction(auctionId) {
+    const stmt = db.prepare('SELECT * FROM lots WHERE auction_id = ? ORDER BY lot_number ASC, id ASC');
+    return stmt.all(auctionId).map(parseLot);
+}
+
+function getLotById(id) {
+    const stmt = db.prepare('SELECT * FROM lots WHERE id = ?');
+    return parseLot(stmt.get(id));
+}
+
+function getLotByNumber(auctionId, lotNumber) {
+    const stmt = db.prepare('SELECT * FROM lots WHERE auction_id IS ? AND lot_number = ? ORDER BY id ASC LIMIT 1');
+    return parseLot(stmt.get(auctionId, lotNumber));
+}
+
+// Latest lot with this number sold to this buyer in an auction, unpaid
+// ones first (typed-in checkout items don't carry the lot id)
+function getSoldLotForBuyer(auctionId, lotNumber, bidderNumber) {
+    const stmt = db.prepare(`
+        SELECT * FROM lots
+        WHERE auction_id = ? AND lot_number = ? AND winner_bidder_number = ? AND status = 'sold'
+        ORDER BY (paid_at IS NULL) DESC, sold_at DESC, id DESC LIMIT 1
+    `);
+    return parseLot(stmt.get(auctionId, lotNumber, String(bidderNumber)));
+}
+
+// Lots sold to a buyer in an auction, including any they returned
+function getLotsForBuyer(auctionId, bidderNumber) {
+    const stmt = db.prepare(`
+        SELECT * FROM lots
+        WHERE auction_id IS ? AND winner_bidder_number = ? AND status IN ('sold', 'returned')
+        ORDER BY lot_number ASC
+    `);
+    return stmt.all(auctionId, String(bidderNumber)).map(parseLot);
+}
+
+function setLotsPaid(lotIds, transactionId) {
+    const stmt = db.prepare(`
+        UPDATE lots SET transaction_id = ?, paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `);
+    db.transaction(() => lotIds.forEach(id => stmt.run(transactionId, id)))();
+}
+
+function getLotsPaidBy(transactionId) {
+    return db.prepare('SELECT * FROM lots WHERE transaction_id = ?').all(transactionId).map(parseLot);
+}
+
+/**
+ * Hold unpaid lots for a checkout while it takes payment. Lots held by
+ * another checkout (unless its hold is older than staleSeconds) or already
+ * paid fail the whole hold.
+ * @returns {boolean} Whether every lot was held
+ */
+function holdLots(lotIds, checkoutKey, staleSeconds) {
+    const isFree = db.prepare(`
+        SELECT 1 FROM lots
+        WHERE id = ? AND paid_at IS NULL
+          AND (held_by IS NULL OR held_by = ? OR held_at < datetime('now', ?))
+    `);
+    const hold = db.prepare('UPDATE lots SET held_by = ?, held_at = CURRENT_TIMESTAMP WHERE id = ?');
+    const stale = `-${staleSeconds} seconds`;
+
+    return db.transaction(() => {
+        if (!lotIds.every(id => isFree.get(id, checkoutKey, stale))) return false;
+        lotIds.forEach(id => hold.run(checkoutKey, id));
+        return true;
+    })();
+}
+
+function releaseLots(checkoutKey) {
+    db.prepare('UPDATE lots SET held_by = NULL, held_at = NULL WHERE held_by = ?').run(checkoutKey);
+}
+
+// Lots paid by a checkout that was voided are owed again
+function clearLotsPaid(transactionId) {
+    db.prepare(`
+        UPDATE lots SET transaction_id = NULL, paid_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE transaction_id = ?
+    `).run(transactionId);
+}
+
+function getNextLotNumber(auctionId) {
+    const stmt = db.prepare('SELECT MAX(lot_number) as maxNumber FROM lots WHERE auction_id IS ?');
+    return (stmt.get(auctionId).maxNumber || 0) + 1;
+}
+
+function createLot(lot) {
+    const stmt = db.prepare(`
+        INSERT INTO lots (auction_id, lot_number, description, starting_bid, estimate, category, images_json, increment_table_json, consignor_id, status)
+        VALUES (@auction_id, @lot_number, @description, @starting_bid, @estimate, @category, @images_json, @increment_table_json, @consignor_id, @status)
+    `);
+
+    const result = stmt.run({
+        auction_id: lot.auction_id || null,
+        lot_number: lot.lot_number,
+        description: lot.description,
+        starting_bid: lot.starting_bid || 0,
+        estimate: lot.estimate || null,
+        category: lot.category || 'General',
+        images_json: JSON.stringify(lot.images || []),
+        increment_table_json: lot.increment_table ? JSON.stringify(lot.increment_table) : null,
+        consignor_id: lot.consignor_id || null,
+        status: lot.status || 'pending'
+    });
+
+    return getLotById(result.lastInsertRowid);
+}
+
+function createLots(lots) {
+    const insertAll = db.transaction((items) => items.map(createLot));
+    return insertAll(lots);
+}
+
+function updateLot(id, updates) {
+    const fields = [];
+    const values = { id };
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (value !== undefined && key !== 'id') {
+            if (key === 'images') {
+                fields.push('images_json = @images_json');
+                values.images_json = JSON.stringify(value || []);
+            } else if (key === 'increment_table') {
+                // null clears the override so the auction table applies
+                fields.push('increment_table_json = @increment_table_json');
+                values.increment_table_json = value ? JSON.stringify(value) : null;
+            } else {
+                fields.push(`${key} = @${key}`);
+                values[key] = value;
+            }
+        }
+    }
+
+    if (fields.length === 0) return getLotById(id);
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+
+    const stmt = db.prepare(`
+        UPDATE lots
+        SET ${fields.join(', ')}
+        WHERE id = @id
+    `);
+
+    stmt.run(values);
+    return getLotById(id);
+}
+
+/**
+ * Timed-auction lots whose close time has passed but are still open
+ * @param {string} now - ISO timestamp
+ */
+function getTimedLotsDue(now) {
+    const stmt = db.prepare(`
+        SELECT l.* FROM lots l
+        JOIN auction_schedule a ON a.id = l.auction_id
+        WHERE a.auction_type = 'timed'
+          AND l.status IN ('pending', 'active')
+          AND l.ends_at IS NOT NULL
+          AND l.ends_at <= ?
+        ORDER BY l.ends_at ASC
+    `);
+    return stmt.all(now).map(parseLot);
+}
+
+// Price a shopper sees: hammer price, else timed high bid, else starting bid
+const LOT_PRICE = 'COALESCE(l.winning_bid, l.current_bid, l.starting_bid)';
+
+/**
+ * Public catalog search
+ * @param {Object} filters - { search, auctionId, category, minPrice, maxPrice (cents), sort, limit, offset }
+ * @returns {Object} { lots, total }
+ */
+function searchLots(filters = {}) {
+    const where = [];
+    const params = {};
+    let from = 'lots l';
+
+    if (filters.search) {
+        from = 'lots_fts f JOIN lots l ON l.id = f.rowid';
+        where.push('lots_fts MATCH @search');
+        params.search = filters.search;
+    }
+    if (filters.auctionId) {
+        where.push('l.auction_id = @auctionId');
+        params.auctionId = filters.auctionId;
+    }
+    if (filters.category) {
+        where.push('l.category = @category COLLATE NOCASE');
+        params.category = filters.category;
+    }
+    if (filters.minPrice !== undefined) {
+        where.push(`${LOT_PRICE} >= @minPrice`);
+        params.minPrice = filters.minPrice;
+    }
+    if (filters.maxPrice !== undefined) {
+        where.push(`${LOT_PRICE} <= @maxPrice`);
+        params.maxPrice = filters.maxPrice;
+    }
+
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const orderBy = {
+        relevance: filters.search ? 'f.rank, l.lot_number' : 'l.auction_id, l.lot_number',
+        price_asc: `${LOT_PRICE} ASC, l.lot_number`,
+        price_desc: `${LOT_PRICE} DESC, l.lot_number`,
+        ending: 'l.ends_at IS NULL, l.ends_at ASC, l.lot_number',
+        lot: 'l.auction_id, l.lot_number'
+    }[filters.sort] || 'l.auction_id, l.lot_number';
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM ${from} ${whereSql}`).get(params).count;
+    const lots = db.prepare(`
+        SELECT l.*, a.title AS auction_title, a.auction_date, a.auction_type
+        FROM ${from}
+        LEFT JOIN auction_schedule a ON a.id = l.auction_id
+        ${whereSql}
+        ORDER BY ${orderBy}
+        LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: filters.limit || 24, offset: filters.offset || 0 }).map(parseLot);
+
+    return { lots, total };
+}
+
+function getLotCategories(auctionId = null) {
+    const stmt = db.prepare(`
+        SELECT COALESCE(category, 'General') AS category, COUNT(*) AS count
+        FROM lots
+        WHERE (@auctionId IS NULL OR auction_id = @auctionId)
+        GROUP BY COALESCE(category, 'General')
+        ORDER BY category
+    `);
+    return stmt.all({ auctionId });
+}
+
+// Auctions that have catalogued lots, newest first
+function getAuctionsWithLots() {
+    return db.prepare(`
+        SELECT a.*, COUNT(l.id) AS lot_count
+        FROM auction_schedule a
+        JOIN lots l ON l.auction_id = a.id
+        GROUP BY a.id
+        ORDER BY a.auction_date DESC
+    `).all();
+}
+
+function deleteLot(id) {
+    const remove = db.transaction(() => {
+        db.prepare('DELETE FROM lot_charges WHERE lot_id = ?').run(id);
+        return db.prepare('DELETE FROM lots WHERE id = ?').run(id);
+    });
+    return remove();
+}
+
+function parseLot(row) {
+    if (!row) return row;
+    row.images = row.images_json ? JSON.parse(row.images_json) : [];
+    row.increment_table = row.increment_table_json ? JSON.parse(row.increment_table_json) : null;
+    return row;
+}
+
+// ==============================================
+// LIVE AUCTION STATE
+// ==============================================
+
+function getLiveAuctionState() {
+    const row = db.prepare('SELECT * FROM live_auction_state WHERE id = 1').get();
+    if (row && row.current_lot_json) {
+        row.current_lot = JSON.parse(row.current_lot_json);
+    }
+    return row;
+}
+
+function saveLiveAuctionState(state) {
+    const stmt = db.prepare(`
+        INSERT INTO live_auction_state (id, is_live, current_lot_json, current_bid, bid_increment, updated_at)
+        VALUES (1, @is_live, @current_lot_json, @current_bid, @bid_increment, CURRENT_TIMESTAMP)
+        ON CONFLICT(id) DO UPDATE SET
+            is_live = excluded.is_live,
+            current_lot_json = excluded.current_lot_json,
+            current_bid = excluded.current_bid,
+            bid_increment = excluded.bid_increment,
+            updated_at = CURRENT_TIMESTAMP
+    `);
+
+    stmt.run({
+        is_live: state.is_live ? 1 : 0,
+        current_lot_json: state.current_lot ? JSON.stringify(state.current_lot) : null,
+        current_bid: state.current_bid || 0,
+        bid_increment: state.bid_increment || 0
+    });
+}
+
+// ==============================================
+// BID OPERATIONS
+// ==============================================
+
+function saveBid(bid) {
+    const stmt = db.prepare(`
+        INSERT INTO bids (bid_id, auction_id, lot_number, bidder_id, bidder_name, amount, source, status, is_online, in_queue, clerk_id, clerk_name, created_at, updated_at, resolved_at)
+        VALUES (@bid_id, @auction_id, @lot_number, @bidder_id, @bidder_name, @amount, @source, @status, @is_online, @in_queue, @clerk_id, @clerk_name, @created_at, @created_at, @resolved_at)
+    `);
+
+    const result = stmt.run({
+        bid_id: bid.bid_id,
+        auction_id: bid.auction_id || null,
+        lot_number: bid.lot_number ?? null,
+        bidder_id: bid.bidder_id === undefined || bid.bidder_id === null ? null : String(bid.bidder_id),
+        bidder_name: bid.bidder_name || null,
+        amount: bid.amount,
+        source: bid.source || 'online',
+        status: bid.status || 'pending',
+        is_online: bid.is_online === false ? 0 : 1,
+        in_queue: bid.in_queue === false ? 0 : 1,
+        clerk_id: bid.clerk_id || null,
+        clerk_name: bid.clerk_name || null,
+        created_at: bid.created_at || new Date().toISOString(),
+        resolved_at: bid.resolved_at || null
+    });
+
+    return { id: result.lastInsertRowid, ...bid };
+}
+
+function updateBidStatus(bidId, status, clerk = {}) {
+    const stmt = db.prepare(`
+        UPDATE bids
+        SET status = @status, clerk_id = @clerk_id, clerk_name = @clerk_name,
+            updated_at = @now, resolved_at = @now
+        WHERE bid_id = @bid_id
+    `);
+    return stmt.run({
+        bid_id: bidId,
+        status,
+        clerk_id: clerk.clerkId || null,
+        clerk_name: clerk.name || null,
+        now: new Date().toISOString()
+    });
+}
+
+function getBidById(bidId) {
+    return db.prepare('SELECT * FROM bids WHERE bid_id = ?').get(bidId);
+}
+
+// Bids still sitting in the live queue (the clerk has not moved past them)
+function getQueuedBids() {
+    const stmt = db.prepare('SELECT * FROM bids WHERE in_queue = 1 ORDER BY created_at ASC, id ASC');
+    return stmt.all();
+}
+
+// Take every bid off the live queue; bids never acted on are marked expired
+function clearBidQueue() {
+    const now = new Date().toISOString();
+    const clear = db.transaction(() => {
+        db.prepare(`
+            UPDATE bids SET status = 'expired', updated_at = ?, resolved_at = ?
+            WHERE in_queue = 1 AND status = 'pending'
+        `).run(now, now);
+        db.prepare('UPDATE bids SET in_queue = 0 WHERE in_queue = 1').run();
+    });
+    clear();
+}
+
+function getBidsForLot(auctionId, lotNumber) {
+    const stmt = db.prepare(`
+        SELECT * FROM bids
+        WHERE auction_id IS ? AND lot_number = ?
+        ORDER BY created_at ASC, id ASC
+    `);
+    return stmt.all(auctionId, lotNumber);
+}
+
+function getBidsByBidder(bidderNumber) {
+    const stmt = db.prepare('SELECT * FROM bids WHERE bidder_id = ? ORDER BY created_at DESC, id DESC');
+    return stmt.all(String(bidderNumber));
+}
+
+// ==============================================
+// SETTINGS
+// ==============================================
+
+function getSetting(key) {
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? row.value : null;
+}
+
+function setSetting(key, value) {
+    const stmt = db.prepare(`
+        INSERT INTO settings (key, value, updated_at)
+        VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+    `);
+    stmt.run(key, value === null || value === undefined ? null : String(value));
+}
+
+// The auction_schedule row lots and bids are currently attached to
+function getCurrentAuction() {
+    const auctionId = getSetting('current_auction_id');
+    return auctionId ? getAuctionById(auctionId) || null : null;
+}
+
+function setCurrentAuction(auctionId) {
+    setSetting('current_auction_id', auctionId);
+}
+
+// ==============================================
+// USER & SESSION OPERATIONS
+// ==============================================
+
+function getUserById(id) {
+    return db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+}
+
+function getUserByUsername(username) {
+    return db.prepare('SELECT * FROM users WHERE username = ?').get(username);
+}
+
+function getAllUsers() {
+    return db.prepare('SELECT * FROM users ORDER BY username ASC').all();
+}
+
+function countUsers() {
+    return db.prepare('SELECT COUNT(*) as count FROM users').get().count;
+}
+
+function createUser(user) {
+    const stmt = db.prepare(`
+        INSERT INTO users (username, name, password_hash, role)
+        VALUES (@username, @name, @password_hash, @role)
+    `);
+
+    const result = stmt.run({
+        username: user.username,
+        name: user.name,
+        password_hash: user.password_hash,
+        role: user.role || 'clerk'
+    });
+
+    return getUserById(result.lastInsertRowid);
+}
+
+function updateUser(id, updates) {
+    const fields = [];
+    const values = { id };
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (value !== undefined && key !== 'id') {
+            fields.push(`${key} = @${key}`);
+            values[key] = value;
+        }
+    }
+
+    if (fields.length === 0) return getUserById(id);
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+
+    db.prepare(`UPDATE users SET ${fields.join(', ')} WHERE id = @id`).run(values);
+    return getUserById(id);
+}
+
+function createSession(session) {
     const stmt = db.prepare(`
-        UPDATE auction_schedule 
-        SET ${fields.join(', ')}
-        WHERE id = @id
+        INSERT INTO sessions (token_hash, user_id, expires_at)
+        VALUES (@token_hash, @user_id, @expires_at)
     `);
-    
-    stmt.run(values);
-    return getAuctionById(id);
+    stmt.run(session);
+    return session;
 }
 
-function deleteAuction(id) {
-    const stmt = db.prepare('DELETE FROM auction_schedule WHERE id = ?');
-    return stmt.run(id);
+// Session joined with its user, only while unexpired
+function getSession(tokenHash) {
+    const stmt = db.prepare(`
+        SELECT s.expires_at, u.*
+        FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = ? AND s.expires_at > ?
+    `);
+    return stmt.get(tokenHash, new Date().toISOString());
+}
+
+function deleteSession(tokenHash) {
+    return db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+function deleteSessionsForUser(userId) {
+    return db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+}
+
+function deleteExpiredSessions() {
+    return db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(new Date().toISOString());
 }
 
 // ==============================================
@@ -190,10 +1085,31 @@ function getBidderByNumber(bidderNumber) {
     return stmt.get(bidderNumber);
 }
 
+// Record (or clear, with null) a bidder's resale certificate
+function setBidderTaxExemption(bidderNumber, certificate) {
+    const stmt = db.prepare('UPDATE bidders SET tax_exempt_certificate = ? WHERE bidder_number = ?');
+    stmt.run(certificate || null, bidderNumber);
+    return getBidderByNumber(bidderNumber);
+}
+
+// Latest name, phone and address a bidder gave us
+function updateBidderContact(bidderId, { name, phone, address }) {
+    db.prepare(`
+        UPDATE bidders SET name = @name, phone = @phone, address = COALESCE(@address, address)
+        WHERE id = @id
+    `).run({ id: bidderId, name, phone, address: address || null });
+    return db.prepare('SELECT * FROM bidders WHERE id = ?').get(bidderId);
+}
+
+function getBidderByEmail(email) {
+    const stmt = db.prepare('SELECT * FROM bidders WHERE lower(email) = lower(?) ORDER BY id ASC LIMIT 1');
+    return stmt.get(email);
+}
+
 function createBidder(bidder) {
     const stmt = db.prepare(`
-        INSERT INTO bidders (bidder_number, name, email, phone, address)
-        VALUES (@bidder_number, @name, @email, @phone, @address)
+        INSERT INTO bidders (bidder_number, name, email, phone, address, tax_exempt_certificate)
+        VALUES (@bidder_number, @name, @email, @phone, @address, @tax_exempt_certificate)
     `);
     
     try {
@@ -202,7 +1118,8 @@ function createBidder(bidder) {
             name: bidder.name,
             email: bidder.email || null,
             phone: bidder.phone || null,
-            address: bidder.address || null
+            address: bidder.address || null,
+            tax_exempt_certificate: bidder.tax_exempt_certificate || null
         });
         return { id: result.lastInsertRowid, ...bidder };
     } catch (error) {
@@ -213,32 +1130,480 @@ function createBidder(bidder) {
     }
 }
 
+// ==============================================
+// REGISTRATION OPERATIONS
+// ==============================================
+
+const REGISTRATION_SELECT = `
+    SELECT r.*, b.name, b.email, b.phone, b.address, b.bidder_number AS account_number
+    FROM auction_registrations r
+    JOIN bidders b ON b.id = r.bidder_id
+`;
+
+/**
+ * Register a bidder for an auction, issuing the next free paddle number.
+ * Online paddles start at firstNumber so they don't collide with floor cards.
+ */
+function createRegistration({ auction_id, bidder_id, status, access_token, firstNumber = 500 }) {
+    const register = db.transaction(() => {
+        const row = db.prepare(`
+            SELECT MAX(CAST(bidder_number AS INTEGER)) as maxNumber
+            FROM auction_registrations WHERE auction_id = ?
+        `).get(auction_id);
+        const bidderNumber = String(Math.max(firstNumber, (row.maxNumber || 0) + 1));
+
+        const result = db.prepare(`
+            INSERT INTO auction_registrations (auction_id, bidder_id, bidder_number, status, access_token)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(auction_id, bidder_id, bidderNumber, status, access_token);
+
+        return getRegistrationById(result.lastInsertRowid);
+    });
+    return register();
+}
+
+function getRegistrationById(id) {
+    return db.prepare(`${REGISTRATION_SELECT} WHERE r.id = ?`).get(id);
+}
+
+function getRegistrationByToken(token) {
+    return db.prepare(`${REGISTRATION_SELECT} WHERE r.access_token = ?`).get(token);
+}
+
+function getRegistrationByNumber(auctionId, bidderNumber) {
+    return db.prepare(`${REGISTRATION_SELECT} WHERE r.auction_id = ? AND r.bidder_number = ?`).get(auctionId, String(bidderNumber));
+}
+
+function getRegistrationForBidder(auctionId, bidderId) {
+    return db.prepare(`${REGISTRATION_SELECT} WHERE r.auction_id = ? AND r.bidder_id = ?`).get(auctionId, bidderId);
+}
+
+function getRegistrationsByAuction(auctionId, status = null) {
+    if (status) {
+        return db.prepare(`${REGISTRATION_SELECT} WHERE r.auction_id = ? AND r.status = ? ORDER BY r.created_at ASC`).all(auctionId, status);
+    }
+    return db.prepare(`${REGISTRATION_SELECT} WHERE r.auction_id = ? ORDER BY r.created_at ASC`).all(auctionId);
+}
+
+function updateRegistrationStatus(id, status, reviewedBy) {
+    db.prepare(`
+        UPDATE auction_registrations
+        SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(status, reviewedBy || null, id);
+    return getRegistrationById(id);
+}
+
+// ==============================================
+// ABSENTEE BID OPERATIONS
+// ==============================================
+
+const ABSENTEE_SELECT = `
+    SELECT a.*, r.bidder_number, b.name AS bidder_name
+    FROM absentee_bids a
+    JOIN auction_registrations r ON r.id = a.registration_id
+    JOIN bidders b ON b.id = r.bidder_id
+`;
+
+function getAbsenteeBidById(id) {
+    return db.prepare(`${ABSENTEE_SELECT} WHERE a.id = ?`).get(id);
+}
+
+/**
+ * Leave (or raise/lower) a bidder's max bid on a lot.
+ * Each registration has at most one active absentee bid per lot.
+ */
+function saveAbsenteeBid({ auction_id, lot_number, registration_id, max_amount }) {
+    const save = db.transaction(() => {
+        const existing = db.prepare(`
+            SELECT id FROM absentee_bids
+            WHERE registration_id = ? AND lot_number = ? AND status = 'active'
+        `).get(registration_id, lot_number);
+
+        if (existing) {
+            db.prepare(`
+                UPDATE absentee_bids SET max_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(max_amount, existing.id);
+            return getAbsenteeBidById(existing.id);
+        }
+
+        const result = db.prepare(`
+            INSERT INTO absentee_bids (auction_id, lot_number, registration_id, max_amount)
+            VALUES (?, ?, ?, ?)
+        `).run(auction_id, lot_number, registration_id, max_amount);
+        return getAbsenteeBidById(result.lastInsertRowid);
+    });
+    return save();
+}
+
+// Oldest first so the earlier bidder wins a tie on max amount
+function getAbsenteeBidsForLot(auctionId, lotNumber) {
+    return db.prepare(`
+        ${ABSENTEE_SELECT}
+        WHERE a.auction_id = ? AND a.lot_number = ? AND a.status != 'cancelled'
+        ORDER BY a.created_at ASC, a.id ASC
+    `).all(auctionId, lotNumber);
+}
+
+function getAbsenteeBidsByRegistration(registrationId) {
+    return db.prepare(`
+        ${ABSENTEE_SELECT} WHERE a.registration_id = ? ORDER BY a.lot_number ASC, a.created_at DESC
+    `).all(registrationId);
+}
+
+/**
+ * Update status and/or the amount bid so far on the bidder's behalf.
+ * Final statuses (won, lost, outbid, cancelled) stamp resolved_at.
+ */
+function updateAbsenteeBid(id, { status, current_amount }) {
+    db.prepare(`
+        UPDATE absentee_bids
+        SET status = COALESCE(@status, status),
+            current_amount = COALESCE(@current_amount, current_amount),
+            updated_at = CURRENT_TIMESTAMP,
+            resolved_at = CASE WHEN @status IN ('won', 'lost', 'outbid', 'cancelled') THEN CURRENT_TIMESTAMP ELSE resolved_at END
+        WHERE id = @id
+    `).run({ id, status: status || null, current_amount: current_amount ?? null });
+    return getAbsenteeBidById(id);
+}
+
+// ==============================================
+// CONSIGNOR OPERATIONS
+// ==============================================
+
+function parseConsignor(row) {
+    if (!row) return row;
+    row.commission_tiers = row.commission_tiers_json ? JSON.parse(row.commission_tiers_json) : null;
+    return row;
+}
+
+function getAllConsignors() {
+    return db.prepare('SELECT * FROM consignors ORDER BY name COLLATE NOCASE').all().map(parseConsignor);
+}
+
+function getConsignorById(id) {
+    return parseConsignor(db.prepare('SELECT * FROM consignors WHERE id = ?').get(id));
+}
+
+function createConsignor(consignor) {
+    const result = db.prepare(`
+        INSERT INTO consignors (name, email, phone, address, commission_type, commission_rate, commission_tiers_json, notes)
+        VALUES (@name, @email, @phone, @address, @commission_type, @commission_rate, @commission_tiers_json, @notes)
+    `).run({
+        name: consignor.name,
+        email: consignor.email || null,
+        phone: consignor.phone || null,
+        address: consignor.address || null,
+        commission_type: consignor.commission_type === 'tiered' ? 'tiered' : 'flat',
+        commission_rate: consignor.commission_rate || 0,
+        commission_tiers_json: consignor.commission_tiers ? JSON.stringify(consignor.commission_tiers) : null,
+        notes: consignor.notes || null
+    });
+
+    return getConsignorById(result.lastInsertRowid);
+}
+
+function updateConsignor(id, updates) {
+    const fields = [];
+    const values = { id };
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (value !== undefined && key !== 'id') {
+            if (key === 'commission_tiers') {
+                fields.push('commission_tiers_json = @commission_tiers_json');
+                values.commission_tiers_json = value ? JSON.stringify(value) : null;
+            } else {
+                fields.push(`${key} = @${key}`);
+                values[key] = value;
+            }
+        }
+    }
+
+    if (fields.length === 0) return getConsignorById(id);
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    db.prepare(`UPDATE consignors SET ${fields.join(', ')} WHERE id = @id`).run(values);
+    return getConsignorById(id);
+}
+
+function getLotsByConsignor(consignorId, auctionId = null) {
+    const stmt = auctionId
+        ? db.prepare('SELECT * FROM lots WHERE consignor_id = ? AND auction_id = ? ORDER BY lot_number')
+        : db.prepare('SELECT * FROM lots WHERE consignor_id = ? ORDER BY auction_id, lot_number');
+    return (auctionId ? stmt.all(consignorId, auctionId) : stmt.all(consignorId)).map(parseLot);
+}
+
+function assignLotsToConsignor(consignorId, lotIds) {
+    const assign = db.prepare('UPDATE lots SET consignor_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    const assignAll = db.transaction((ids) => ids.map(id => assign.run(consignorId, id).changes).reduce((a, b) => a + b, 0));
+    return assignAll(lotIds);
+}
+
+// Consignors with lots in an auction, with their lot counts
+function getConsignorsByAuction(auctionId) {
+    return db.prepare(`
+        SELECT c.*, COUNT(l.id) AS lot_count
+        FROM consignors c
+        JOIN lots l ON l.consignor_id = c.id AND l.auction_id = ?
+        GROUP BY c.id
+        ORDER BY c.name COLLATE NOCASE
+    `).all(auctionId).map(parseConsignor);
+}
+
+function addLotCharge({ lot_id, description, amount }) {
+    const result = db.prepare(`
+        INSERT INTO lot_charges (lot_id, description, amount) VALUES (?, ?, ?)
+    `).run(lot_id, description, amount);
+    return db.prepare('SELECT * FROM lot_charges WHERE id = ?').get(result.lastInsertRowid);
+}
+
+function getLotChargeById(id) {
+    return db.prepare('SELECT * FROM lot_charges WHERE id = ?').get(id);
+}
+
+function getLotCharges(lotIds) {
+    if (lotIds.length === 0) return [];
+    return db.prepare(`
+        SELECT * FROM lot_charges WHERE lot_id IN (${lotIds.map(() => '?').join(', ')}) ORDER BY id
+    `).all(...lotIds);
+}
+
+function deleteLotCharge(id) {
+    return db.prepare('DELETE FROM lot_charges WHERE id = ?').run(id);
+}
+
+function getSettlement(consignorId, auctionId) {
+    return db.prepare(`
+        SELECT * FROM consignor_settlements WHERE consignor_id = ? AND auction_id = ?
+    `).get(consignorId, auctionId);
+}
+
+/**
+ * Record a consignor statement as paid (with its amounts) or back to unpaid
+ */
+function saveSettlement({ consignor_id, auction_id, status, gross, commission, charges, net, reference, paid_by }) {
+    const paid = status === 'paid';
+    db.prepare(`
+        INSERT INTO consignor_settlements (consignor_id, auction_id, status, gross, commission, charges, net, reference, paid_by, paid_at)
+        VALUES (@consignor_id, @auction_id, @status, @gross, @commission, @charges, @net, @reference, @paid_by, @paid_at)
+        ON CONFLICT (consignor_id, auction_id) DO UPDATE SET
+            status = excluded.status,
+            gross = excluded.gross,
+            commission = excluded.commission,
+            charges = excluded.charges,
+            net = excluded.net,
+            reference = excluded.reference,
+            paid_by = excluded.paid_by,
+            paid_at = excluded.paid_at,
+            updated_at = CURRENT_TIMESTAMP
+    `).run({
+        consignor_id,
+        auction_id,
+        status: paid ? 'paid' : 'unpaid',
+        gross: paid ? gross : null,
+        commission: paid ? commission : null,
+        charges: paid ? charges : null,
+        net: paid ? net : null,
+        reference: paid ? (reference || null) : null,
+        paid_by: paid ? (paid_by || null) : null,
+        paid_at: paid ? new Date().toISOString() : null
+    });
+    return getSettlement(consignor_id, auction_id);
+}
+
+// ==============================================
+// TAX RATE OPERATIONS
+// ==============================================
+
+function getTaxRates() {
+    return db.prepare('SELECT * FROM tax_rates ORDER BY location').all();
+}
+
+function getTaxRateById(id) {
+    return db.prepare('SELECT * FROM tax_rates WHERE id = ?').get(id);
+}
+
+function getTaxRateForLocation(location) {
+    const stmt = db.prepare('SELECT * FROM tax_rates WHERE lower(location) = lower(?)');
+    return stmt.get(location || '');
+}
+
+// Insert or replace the rate for a location
+function saveTaxRate(location, rate) {
+    db.prepare(`
+        INSERT INTO tax_rates (location, rate) VALUES (?, ?)
+        ON CONFLICT(location) DO UPDATE SET rate = excluded.rate, updated_at = CURRENT_TIMESTAMP
+    `).run(location, rate);
+    return getTaxRateForLocation(location);
+}
+
+function deleteTaxRate(id) {
+    return db.prepare('DELETE FROM tax_rates WHERE id = ?').run(id).changes > 0;
+}
+
 // ==============================================
 // TRANSACTION OPERATIONS
 // ==============================================
 
 function saveTransaction(transaction) {
     const stmt = db.prepare(`
-        INSERT INTO transactions (transaction_id, bidder_number, subtotal, buyers_premium, card_fee, total, payment_method, square_payment_id, status, items_json)
-        VALUES (@transaction_id, @bidder_number, @subtotal, @buyers_premium, @card_fee, @total, @payment_method, @square_payment_id, @status, @items_json)
+        INSERT INTO transactions (transaction_id, bidder_number, buyer_name, subtotal, buyers_premium, card_fee, total, payment_method, square_payment_id, order_id, receipt_url, status, items_json, premium_rate, card_fee_rate, tax, tax_rate, tax_exempt_certificate, amount_paid, auction_id, invoice_id)
+        VALUES (@transaction_id, @bidder_number, @buyer_name, @subtotal, @buyers_premium, @card_fee, @total, @payment_method, @square_payment_id, @order_id, @receipt_url, @status, @items_json, @premium_rate, @card_fee_rate, @tax, @tax_rate, @tax_exempt_certificate, @amount_paid, @auction_id, @invoice_id)
     `);
     
     const result = stmt.run({
         transaction_id: transaction.transaction_id,
         bidder_number: transaction.bidder_number,
+        buyer_name: transaction.buyer_name || null,
         subtotal: transaction.subtotal,
         buyers_premium: transaction.buyers_premium,
         card_fee: transaction.card_fee || 0,
         total: transaction.total,
         payment_method: transaction.payment_method,
         square_payment_id: transaction.square_payment_id || null,
+        order_id: transaction.order_id || null,
+        receipt_url: transaction.receipt_url || null,
         status: transaction.status || 'completed',
-        items_json: JSON.stringify(transaction.items || [])
+        items_json: JSON.stringify(transaction.items || []),
+        premium_rate: transaction.premium_rate || null,
+        card_fee_rate: transaction.card_fee_rate || null,
+        tax: transaction.tax || 0,
+        tax_rate: transaction.tax_rate || null,
+        tax_exempt_certificate: transaction.tax_exempt_certificate || null,
+        amount_paid: transaction.amount_paid ?? transaction.total,
+        auction_id: transaction.auction_id || null,
+        invoice_id: transaction.invoice_id || null
     });
     
     return { id: result.lastInsertRowid, ...transaction };
 }
 
+function updateTransaction(transactionId, updates) {
+    const fields = [];
+    const values = { transaction_id: transactionId };
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (value !== undefined && key !== 'transaction_id') {
+            fields.push(`${key} = @${key}`);
+            values[key] = value;
+        }
+    }
+
+    if (fields.length === 0) return getTransactionById(transactionId);
+
+    db.prepare(`UPDATE transactions SET ${fields.join(', ')} WHERE transaction_id = @transaction_id`).run(values);
+    return getTransactionById(transactionId);
+}
+
+/**
+ * Hold a transaction for a refund, void or further payment. A hold older
+ * than staleSeconds belongs to a request that died part way and is taken over.
+ * @returns {boolean} Whether the hold was taken
+ */
+function holdTransaction(transactionId, staleSeconds) {
+    const result = db.prepare(`
+        UPDATE transactions SET reversal_started_at = CURRENT_TIMESTAMP
+        WHERE transaction_id = ?
+          AND (reversal_started_at IS NULL OR reversal_started_at < datetime('now', ?))
+    `).run(transactionId, `-${staleSeconds} seconds`);
+    return result.changes === 1;
+}
+
+/**
+ * Whether a refund, void or further payment holds the transaction (a hold
+ * older than staleSeconds doesn't count)
+ */
+function isTransactionHeld(transactionId, staleSeconds) {
+    return Boolean(db.prepare(`
+        SELECT 1 FROM transactions
+        WHERE transaction_id = ? AND reversal_started_at >= datetime('now', ?)
+    `).get(transactionId, `-${staleSeconds} seconds`));
+}
+
+function releaseTransaction(transactionId) {
+    db.prepare('UPDATE transactions SET reversal_started_at = NULL WHERE transaction_id = ?').run(transactionId);
+}
+
+function addTender(tender) {
+    const result = db.prepare(`
+        INSERT INTO tenders (transaction_id, method, amount, card_fee, square_payment_id, square_status, receipt_url, reference, clerk_id)
+        VALUES (@transaction_id, @method, @amount, @card_fee, @square_payment_id, @square_status, @receipt_url, @reference, @clerk_id)
+    `).run({
+        transaction_id: tender.transaction_id,
+        method: tender.method,
+        amount: tender.amount,
+        card_fee: tender.card_fee || 0,
+        square_payment_id: tender.square_payment_id || null,
+        square_status: tender.square_status || null,
+        receipt_url: tender.receipt_url || null,
+        reference: tender.reference || null,
+        clerk_id: tender.clerk_id || null
+    });
+    return { id: result.lastInsertRowid, ...tender };
+}
+
+function getTenderBySquarePayment(squarePaymentId) {
+    return db.prepare('SELECT * FROM tenders WHERE square_payment_id = ?').get(squarePaymentId);
+}
+
+function setTenderSquareStatus(id, status) {
+    db.prepare('UPDATE tenders SET square_status = ? WHERE id = ?').run(status, id);
+}
+
+// Tenders for a list of transactions, in the order they were taken
+function getTenders(transactionIds) {
+    if (transactionIds.length === 0) return [];
+    const placeholders = transactionIds.map(() => '?').join(', ');
+    return db.prepare(`SELECT * FROM tenders WHERE transaction_id IN (${placeholders}) ORDER BY id`).all(...transactionIds);
+}
+
+function addRefund(refund) {
+    const result = db.prepare(`
+        INSERT INTO refunds (refund_id, transaction_id, tender_id, kind, method, amount, square_refund_id, square_status, reason, lot_numbers_json, clerk_id)
+        VALUES (@refund_id, @transaction_id, @tender_id, @kind, @method, @amount, @square_refund_id, @square_status, @reason, @lot_numbers_json, @clerk_id)
+    `).run({
+        refund_id: refund.refund_id,
+        transaction_id: refund.transaction_id,
+        tender_id: refund.tender_id || null,
+        kind: refund.kind,
+        method: refund.method,
+        amount: refund.amount,
+        square_refund_id: refund.square_refund_id || null,
+        square_status: refund.square_status || null,
+        reason: refund.reason || null,
+        lot_numbers_json: refund.lot_numbers && refund.lot_numbers.length ? JSON.stringify(refund.lot_numbers) : null,
+        clerk_id: refund.clerk_id || null
+    });
+    return { id: result.lastInsertRowid, ...refund };
+}
+
+// Refunds for a list of transactions, oldest first
+function getRefunds(transactionIds) {
+    if (transactionIds.length === 0) return [];
+    const placeholders = transactionIds.map(() => '?').join(', ');
+    return db.prepare(`SELECT * FROM refunds WHERE transaction_id IN (${placeholders}) ORDER BY id`).all(...transactionIds)
+        .map(r => ({ ...r, lot_numbers: r.lot_numbers_json ? JSON.parse(r.lot_numbers_json) : [] }));
+}
+
+function getRefundBySquareId(squareRefundId) {
+    return db.prepare('SELECT * FROM refunds WHERE square_refund_id = ?').get(squareRefundId);
+}
+
+function setRefundSquareStatus(id, status) {
+    db.prepare('UPDATE refunds SET square_status = ? WHERE id = ?').run(status, id);
+}
+
+// Older rows paid by one card have no tender row, only the payment id
+function getTransactionBySquarePayment(squarePaymentId) {
+    const row = db.prepare('SELECT transaction_id FROM transactions WHERE square_payment_id = ?').get(squarePaymentId);
+    return row ? getTransactionById(row.transaction_id) : undefined;
+}
+
+function getTransactionByOrderId(orderId) {
+    const row = db.prepare('SELECT transaction_id FROM transactions WHERE order_id = ?').get(orderId);
+    return row ? getTransactionById(row.transaction_id) : undefined;
+}
+
 function getTransactionById(transactionId) {
     const stmt = db.prepare('SELECT * FROM transactions WHERE transaction_id = ?');
     const result = stmt.get(transactionId);
@@ -257,6 +1622,202 @@ function getTransactionsByBidder(bidderNumber) {
     });
 }
 
+function getTransactions(filters = {}) {
+    const conditions = [];
+    const values = {};
+
+    if (filters.date) {
+        conditions.push("date(created_at, 'localtime') = @date");
+        values.date = filters.date;
+    }
+    if (filters.bidderNumber) {
+        conditions.push('bidder_number = @bidder_number');
+        values.bidder_number = String(filters.bidderNumber);
+    }
+    if (filters.method) {
+        // Any tender of that method counts, so split payments show up too
+        conditions.push(`(payment_method = @method OR EXISTS (
+            SELECT 1 FROM tenders WHERE tenders.transaction_id = transactions.transaction_id AND tenders.method = @method
+        ))`);
+        values.method = filters.method;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const stmt = db.prepare(`SELECT * FROM transactions ${where} ORDER BY created_at DESC, id DESC`);
+    return stmt.all(values).map(r => {
+        if (r.items_json) r.items = JSON.parse(r.items_json);
+        return r;
+    });
+}
+
+// ==============================================
+// CHECKOUT KEYS
+// ==============================================
+
+function getCheckout(checkoutKey) {
+    const row = db.prepare('SELECT * FROM checkouts WHERE checkout_key = ?').get(checkoutKey);
+    if (row) {
+        row.response = row.response_json ? JSON.parse(row.response_json) : null;
+    }
+    return row;
+}
+
+function createCheckout(checkoutKey) {
+    db.prepare('INSERT INTO checkouts (checkout_key) VALUES (?)').run(checkoutKey);
+    return getCheckout(checkoutKey);
+}
+
+function updateCheckout(checkoutKey, updates) {
+    const fields = ['updated_at = CURRENT_TIMESTAMP'];
+    const values = { checkout_key: checkoutKey };
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (value === undefined) continue;
+        const column = key === 'response' ? 'response_json' : key;
+        fields.push(`${column} = @${column}`);
+        values[column] = key === 'response' ? JSON.stringify(value) : value;
+    }
+
+    db.prepare(`UPDATE checkouts SET ${fields.join(', ')} WHERE checkout_key = @checkout_key`).run(values);
+    return getCheckout(checkoutKey);
+}
+
+// ==============================================
+// INVOICE OPERATIONS
+// ==============================================
+
+// The buyer's invoice for an auction, opened on their first purchase
+// (looked up first: UNIQUE doesn't stop repeats when there's no auction)
+function ensureInvoice(auctionId, bidderNumber) {
+    const existing = getInvoiceByBuyer(auctionId, bidderNumber);
+    if (existing) return existing;
+
+    db.prepare('INSERT INTO invoices (auction_id, bidder_number) VALUES (?, ?)').run(auctionId, String(bidderNumber));
+    return getInvoiceByBuyer(auctionId, bidderNumber);
+}
+
+function getInvoiceById(id) {
+    return db.prepare('SELECT * FROM invoices WHERE id = ?').get(id);
+}
+
+function getInvoiceByBuyer(auctionId, bidderNumber) {
+    return db.prepare('SELECT * FROM invoices WHERE auction_id IS ? AND bidder_number = ?').get(auctionId, String(bidderNumber));
+}
+
+function getInvoices(filters = {}) {
+    const conditions = [];
+    const values = {};
+
+    if (filters.auctionId !== undefined) {
+        conditions.push('auction_id IS @auction_id');
+        values.auction_id = filters.auctionId;
+    }
+    if (filters.status) {
+        conditions.push('status = @status');
+        values.status = filters.status;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM invoices ${where} ORDER BY CAST(bidder_number AS INTEGER), bidder_number`).all(values);
+}
+
+function setInvoiceStatus(id, status) {
+    db.prepare('UPDATE invoices SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, id);
+    return getInvoiceById(id);
+}
+
+function getInvoiceByPayToken(token) {
+    return db.prepare('SELECT * FROM invoices WHERE pay_token = ?').get(token);
+}
+
+function setInvoicePayToken(id, token) {
+    db.prepare('UPDATE invoices SET pay_token = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(token, id);
+    return getInvoiceById(id);
+}
+
+// ==============================================
+// STORE CREDIT
+// ==============================================
+
+function addStoreCredit(entry) {
+    const result = db.prepare(`
+        INSERT INTO store_credits (bidder_number, amount, transaction_id, note, clerk_id)
+        VALUES (@bidder_number, @amount, @transaction_id, @note, @clerk_id)
+    `).run({
+        bidder_number: String(entry.bidder_number),
+        amount: entry.amount,
+        transaction_id: entry.transaction_id || null,
+        note: entry.note || null,
+        clerk_id: entry.clerk_id || null
+    });
+    return { id: result.lastInsertRowid, ...entry };
+}
+
+function getStoreCredits(bidderNumber) {
+    return db.prepare('SELECT * FROM store_credits WHERE bidder_number = ? ORDER BY id').all(String(bidderNumber));
+}
+
+// Credit a buyer has left to spend (cents)
+function getStoreCreditBalance(bidderNumber) {
+    const row = db.prepare('SELECT COALESCE(SUM(amount), 0) as balance FROM store_credits WHERE bidder_number = ?').get(String(bidderNumber));
+    return row.balance;
+}
+
+// ==============================================
+// IMPORT PREVIEWS
+// ==============================================
+
+function saveImportPreview(preview) {
+    db.prepare(`
+        INSERT INTO import_previews (id, auction_id, preview_json, expires_at)
+        VALUES (?, ?, ?, ?)
+    `).run(preview.id, preview.auctionId, JSON.stringify(preview), preview.expiresAt);
+    return preview;
+}
+
+function getImportPreview(id) {
+    const row = db.prepare('SELECT preview_json FROM import_previews WHERE id = ? AND expires_at > ?')
+        .get(id, new Date().toISOString());
+    return row ? JSON.parse(row.preview_json) : null;
+}
+
+function deleteImportPreview(id) {
+    return db.prepare('DELETE FROM import_previews WHERE id = ?').run(id).changes > 0;
+}
+
+// Drop expired previews, then all but the newest `keep`
+function pruneImportPreviews(keep) {
+    db.prepare('DELETE FROM import_previews WHERE expires_at <= ?').run(new Date().toISOString());
+    db.prepare(`
+        DELETE FROM import_previews WHERE id NOT IN (
+            SELECT id FROM import_previews ORDER BY created_at DESC, rowid DESC LIMIT ?
+        )
+    `).run(keep);
+}
+
+// ==============================================
+// WEBHOOK EVENTS
+// ==============================================
+
+function getWebhookEvent(eventId) {
+    return db.prepare('SELECT * FROM webhook_events WHERE event_id = ?').get(eventId);
+}
+
+function saveWebhookEvent(event) {
+    db.prepare(`
+        INSERT INTO webhook_events (event_id, type, transaction_id, handled, note, payload_json)
+        VALUES (@event_id, @type, @transaction_id, @handled, @note, @payload_json)
+    `).run({
+        event_id: event.event_id,
+        type: event.type,
+        transaction_id: event.transaction_id || null,
+        handled: event.handled ? 1 : 0,
+        note: event.note || null,
+        payload_json: JSON.stringify(event.payload)
+    });
+    return getWebhookEvent(event.event_id);
+}
+
 // ==============================================
 // SEED DATA (for development)
 // ==============================================
@@ -334,14 +1895,152 @@ module.exports = {
     updateAuction,
     deleteAuction,
     
+    // Lots
+    getLotsByAuction,
+    getLotById,
+    getLotByNumber,
+    getSoldLotForBuyer,
+    getLotsForBuyer,
+    setLotsPaid,
+    getLotsPaidBy,
+    clearLotsPaid,
+    holdLots,
+    releaseLots,
+    getNextLotNumber,
+    createLot,
+    createLots,
+    updateLot,
+    deleteLot,
+    getTimedLotsDue,
+    searchLots,
+    getLotCategories,
+    getAuctionsWithLots,
+    
+    // Live auction
+    getLiveAuctionState,
+    saveLiveAuctionState,
+    
+    // Bids
+    saveBid,
+    updateBidStatus,
+    getBidById,
+    getQueuedBids,
+    clearBidQueue,
+    getBidsForLot,
+    getBidsByBidder,
+    
+    // Settings
+    getSetting,
+    setSetting,
+    getCurrentAuction,
+    setCurrentAuction,
+    
+    // Users & sessions
+    getUserById,
+    getUserByUsername,
+    getAllUsers,
+    countUsers,
+    createUser,
+    updateUser,
+    createSession,
+    getSession,
+    deleteSession,
+    deleteSessionsForUser,
+    deleteExpiredSessions,
+    
     // Bidders
     getBidderByNumber,
+    getBidderByEmail,
+    updateBidderContact,
     createBidder,
+    setBidderTaxExemption,
+    
+    // Registrations
+    createRegistration,
+    getRegistrationById,
+    getRegistrationByToken,
+    getRegistrationByNumber,
+    getRegistrationForBidder,
+    getRegistrationsByAuction,
+    updateRegistrationStatus,
+    
+    // Absentee bids
+    saveAbsenteeBid,
+    getAbsenteeBidById,
+    getAbsenteeBidsForLot,
+    getAbsenteeBidsByRegistration,
+    updateAbsenteeBid,
+    
+    // Consignors
+    getAllConsignors,
+    getConsignorById,
+    createConsignor,
+    updateConsignor,
+    getLotsByConsignor,
+    assignLotsToConsignor,
+    getConsignorsByAuction,
+    addLotCharge,
+    getLotChargeById,
+    getLotCharges,
+    deleteLotCharge,
+    getSettlement,
+    saveSettlement,
+    
+    // Tax rates
+    getTaxRates,
+    getTaxRateById,
+    getTaxRateForLocation,
+    saveTaxRate,
+    deleteTaxRate,
     
     // Transactions
     saveTransaction,
+    updateTransaction,
+    holdTransaction,
+    isTransactionHeld,
+    releaseTransaction,
+    addTender,
+    getTenders,
+    getTenderBySquarePayment,
+    setTenderSquareStatus,
+    addRefund,
+    getRefunds,
+    getRefundBySquareId,
+    setRefundSquareStatus,
     getTransactionById,
+    getTransactionBySquarePayment,
+    getTransactionByOrderId,
     getTransactionsByBidder,
+    getTransactions,
+
+    // Checkout keys
+    getCheckout,
+    createCheckout,
+    updateCheckout,
+
+    // Invoices
+    ensureInvoice,
+    getInvoiceById,
+    getInvoiceByBuyer,
+    getInvoices,
+    setInvoiceStatus,
+    getInvoiceByPayToken,
+    setInvoicePayToken,
+
+    // Store credit
+    addStoreCredit,
+    getStoreCredits,
+    getStoreCreditBalance,
+
+    // Import previews
+    saveImportPreview,
+    getImportPreview,
+    deleteImportPreview,
+    pruneImportPreviews,
+
+    // Webhooks
+    getWebhookEvent,
+    saveWebhookEvent,
     
     // Dev
     seedSampleData
@@ -0,0 +1,145 @@
+/**
+ * Fee Service
+ * Buyer's premium and card fee schedule for each auction.
+ *
+ * A schedule looks like:
+ *   { premiumTiers: [{ upTo: 1000, rate: 20 }, { upTo: null, rate: 15 }], cardFeeRate: 3 }
+ * Rates are percents. Premium tiers are marginal and applied per lot: with the
+ * schedule above a $1,500 lot pays 20% of the first $1,000 and 15% of the rest.
+ */
+
+const db = require('./databaseService');
+const Money = require('../../js/money');
+
+const DEFAULT_FEE_SCHEDULE = {
+    premiumTiers: [{ upTo: null, rate: 10 }],
+    cardFeeRate: 3
+};
+
+/**
+ * Validate and tidy a fee schedule from user input.
+ * A plain premiumRate is accepted in place of premiumTiers.
+ * @throws {Error} When the schedule is malformed
+ */
+function normalizeFeeSchedule(input) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Fee schedule must be an object');
+    }
+
+    const tiers = input.premiumTiers
+        || [{ upTo: null, rate: input.premiumRate ?? DEFAULT_FEE_SCHEDULE.premiumTiers[0].rate }];
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error('Premium tiers must be a non-empty array');
+    }
+
+    const parsed = tiers.map(tier => ({
+        upTo: tier.upTo === null || tier.upTo === undefined || tier.upTo === '' ? null : Number(tier.upTo),
+        rate: Number(tier.rate)
+    }));
+
+    for (const tier of parsed) {
+        if (!(tier.rate >= 0 && tier.rate <= 100)) {
+            throw new Error('Premium rates must be between 0 and 100 percent');
+        }
+        if (tier.upTo !== null && !(tier.upTo > 0)) {
+            throw new Error('Tier limits must be positive amounts');
+        }
+    }
+
+    const bounded = parsed.filter(t => t.upTo !== null).sort((a, b) => a.upTo - b.upTo);
+    const open = parsed.filter(t => t.upTo === null);
+
+    if (open.length > 1) {
+        throw new Error('Only one tier can be open-ended');
+    }
+    if (new Set(bounded.map(t => t.upTo)).size !== bounded.length) {
+        throw new Error('Tier limits must be unique');
+    }
+
+    const cardFeeRate = Number(input.cardFeeRate ?? DEFAULT_FEE_SCHEDULE.cardFeeRate);
+    if (!(cardFeeRate >= 0 && cardFeeRate <= 100)) {
+        throw new Error('Card fee rate must be between 0 and 100 percent');
+    }
+
+    return {
+        premiumTiers: [...bounded, open[0] || { upTo: null, rate: bounded[bounded.length - 1].rate }],
+        cardFeeRate
+    };
+}
+
+/**
+ * Fee schedule for an auction (the default when it doesn't set one)
+ */
+function getFeeSchedule(auction) {
+    if (auction && auction.fee_schedule_json) {
+        return JSON.parse(auction.fee_schedule_json);
+    }
+    return DEFAULT_FEE_SCHEDULE;
+}
+
+// For lots not (yet) tied to an auction of their own
+function getCurrentFeeSchedule() {
+    return getFeeSchedule(db.getCurrentAuction());
+}
+
+/**
+ * Buyer's premium on one lot, in cents
+ * @param {number} hammerCents
+ */
+function calculatePremium(hammerCents, schedule = DEFAULT_FEE_SCHEDULE) {
+    let premium = 0;
+    let lower = 0;
+
+    // Each band is rounded to whole cents on its own, like any other line
+    for (const tier of schedule.premiumTiers) {
+        const upper = tier.upTo === null ? Infinity : Money.toCents(tier.upTo);
+        if (hammerCents <= lower) break;
+        premium += Money.percentOf(Math.min(hammerCents, upper) - lower, tier.rate);
+        lower = upper;
+    }
+
+    return premium;
+}
+
+/**
+ * Card fee on an amount, in cents
+ */
+function calculateCardFee(amountCents, schedule = DEFAULT_FEE_SCHEDULE) {
+    return Money.percentOf(amountCents, schedule.cardFeeRate);
+}
+
+/**
+ * Human-readable premium for receipts and line items: "10%" or "20%/15%"
+ */
+function describePremium(schedule = DEFAULT_FEE_SCHEDULE) {
+    return schedule.premiumTiers.map(tier => `${tier.rate}%`).join('/');
+}
+
+function describeCardFee(schedule = DEFAULT_FEE_SCHEDULE) {
+    return `${schedule.cardFeeRate}%`;
+}
+
+/**
+ * Longer description for the clerk screen and config,
+ * e.g. "20% to $1,000, 15% above"
+ */
+function describePremiumTiers(schedule = DEFAULT_FEE_SCHEDULE) {
+    const tiers = schedule.premiumTiers;
+    if (tiers.length === 1) return `${tiers[0].rate}%`;
+
+    return tiers.map(tier => (tier.upTo === null
+        ? `${tier.rate}% above`
+        : `${tier.rate}% to $${tier.upTo.toLocaleString('en-US')}`)).join(', ');
+}
+
+module.exports = {
+    DEFAULT_FEE_SCHEDULE,
+    normalizeFeeSchedule,
+    getFeeSchedule,
+    getCurrentFeeSchedule,
+    calculatePremium,
+    calculateCardFee,
+    describePremium,
+    describeCardFee,
+    describePremiumTiers
+};
@@ -0,0 +1,100 @@
+/**
+ * Image Service
+ * Stores uploaded lot photos on local disk. Every upload is saved as:
+ * - a web-sized version for lot pages and the live display
+ * - a small thumbnail for catalog grids
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../data/uploads');
+const PUBLIC_PATH = '/uploads';
+
+const SIZES = {
+    web: { width: 1600, height: 1600, quality: 82 },
+    thumb: { width: 400, height: 400, quality: 75 }
+};
+
+function lotDir(lotId) {
+    return path.join(UPLOAD_DIR, 'lots', String(lotId));
+}
+
+function publicUrl(lotId, filename) {
+    return `${PUBLIC_PATH}/lots/${lotId}/${filename}`;
+}
+
+/**
+ * Resize an uploaded photo and write both versions to disk
+ * @param {number} lotId
+ * @param {Buffer} buffer - Raw upload
+ * @returns {Promise<Object>} Stored image record { id, url, thumbnailUrl, width, height }
+ */
+async function saveLotImage(lotId, buffer) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const dir = lotDir(lotId);
+    fs.mkdirSync(dir, { recursive: true });
+
+    // rotate() applies the EXIF orientation from phone cameras
+    const source = sharp(buffer).rotate();
+
+    const web = await source.clone()
+        .resize(SIZES.web.width, SIZES.web.height, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: SIZES.web.quality })
+        .toFile(path.join(dir, `${id}-web.jpg`));
+
+    await source.clone()
+        .resize(SIZES.thumb.width, SIZES.thumb.height, { fit: 'cover' })
+        .jpeg({ quality: SIZES.thumb.quality })
+        .toFile(path.join(dir, `${id}-thumb.jpg`));
+
+    return {
+        id,
+        url: publicUrl(lotId, `${id}-web.jpg`),
+        thumbnailUrl: publicUrl(lotId, `${id}-thumb.jpg`),
+        width: web.width,
+        height: web.height
+    };
+}
+
+/**
+ * Remove an uploaded image's files (linked URLs have nothing on disk)
+ */
+function deleteLotImage(lotId, image) {
+    if (!image || typeof image !== 'object' || !image.id) return;
+
+    ['web', 'thumb'].forEach(size => {
+        fs.rmSync(path.join(lotDir(lotId), `${image.id}-${size}.jpg`), { force: true });
+    });
+}
+
+function deleteAllLotImages(lotId) {
+    fs.rmSync(lotDir(lotId), { recursive: true, force: true });
+}
+
+/**
+ * Public shape for a lot's images. Lots may hold uploaded image records or
+ * plain URLs entered by hand; both come out as { id, url, thumbnailUrl }.
+ */
+function formatImages(images) {
+    return (images || []).map(image => (typeof image === 'string'
+        ? { id: null, url: image, thumbnailUrl: image }
+        : { id: image.id, url: image.url, thumbnailUrl: image.thumbnailUrl || image.url }));
+}
+
+// Key used to reorder/delete: the upload id, or the URL for linked images
+function imageKey(image) {
+    return typeof image === 'string' ? image : (image.id || image.url);
+}
+
+module.exports = {
+    UPLOAD_DIR,
+    PUBLIC_PATH,
+    saveLotImage,
+    deleteLotImage,
+    deleteAllLotImages,
+    formatImages,
+    imageKey
+};
@@ -0,0 +1,238 @@
+/**
+ * Lot Import Service
+ * Consignment lists arrive as spreadsheet CSV exports. Imports are two-step:
+ * 1. Preview - parse, map columns, validate every row; nothing is written
+ * 2. Commit  - write the previewed lots once staff accept the report
+ */
+
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const db = require('./databaseService');
+const Money = require('../../js/money');
+
+// Previews are kept in the database (so a restart doesn't lose them) until
+// committed, discarded or expired. Only the newest MAX_PREVIEWS are kept.
+const PREVIEW_TTL_MINUTES = 30;
+const MAX_PREVIEWS = 20;
+
+// Lot fields that can be imported, with header names we recognise automatically
+const FIELDS = {
+    number: ['lot', 'lot number', 'lot #', 'lot no', 'number', '#'],
+    description: ['description', 'item', 'item description', 'title'],
+    startingBid: ['starting bid', 'start bid', 'opening bid', 'start', 'minimum bid'],
+    estimate: ['estimate', 'est', 'estimated value'],
+    category: ['category', 'type', 'department']
+};
+
+/**
+ * Parse CSV text into headers and row objects
+ * @throws {Error} When the file can't be read as CSV
+ */
+function parseCsv(text) {
+    const records = parse(text, {
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        trim: true
+    });
+
+    if (records.length === 0) {
+        throw new Error('The file is empty');
+    }
+
+    const [headers, ...rows] = records;
+    return {
+        headers,
+        rows: rows.map(values => Object.fromEntries(headers.map((header, i) => [header, values[i] ?? ''])))
+    };
+}
+
+/**
+ * Match file headers to lot fields. An explicit mapping ({ field: header })
+ * wins; other fields are matched by common header names.
+ * @throws {Error} When the mapping names a column that isn't in the file
+ */
+function resolveMapping(headers, mapping = {}) {
+    const normalized = headers.map(h => h.toLowerCase().replace(/[_.]/g, ' ').replace(/\s+/g, ' ').trim());
+    const resolved = {};
+
+    for (const [field, aliases] of Object.entries(FIELDS)) {
+        if (mapping[field]) {
+            if (!headers.includes(mapping[field])) {
+                throw new Error(`Column "${mapping[field]}" (mapped to ${field}) is not in the file`);
+            }
+            resolved[field] = mapping[field];
+            continue;
+        }
+        const index = normalized.findIndex(h => aliases.includes(h));
+        resolved[field] = index === -1 ? null : headers[index];
+    }
+
+    const unknown = Object.keys(mapping).filter(field => !FIELDS[field]);
+    if (unknown.length) {
+        throw new Error(`Unknown import field(s): ${unknown.join(', ')}. Fields are: ${Object.keys(FIELDS).join(', ')}`);
+    }
+    if (!resolved.description) {
+        throw new Error('No description column found. Map one with mapping.description');
+    }
+
+    return resolved;
+}
+
+// "$1,250.00" -> 1250; blank -> 0; anything else -> NaN
+function parsePrice(value) {
+    const cleaned = String(value || '').replace(/[$,\s]/g, '');
+    if (cleaned === '') return 0;
+    return /^\d+(\.\d{1,2})?$/.test(cleaned) ? Number(cleaned) : NaN;
+}
+
+/**
+ * Validate every row against the file itself and the lots already in the auction
+ * @returns {Array} [{ row, lot, errors, warnings }] - row is the spreadsheet line number
+ */
+function validateRows(rows, mapping, auctionId) {
+    const existing = new Set(db.getLotsByAuction(auctionId).map(lot => lot.lot_number));
+    const seen = new Map();
+    let nextNumber = db.getNextLotNumber(auctionId);
+    const value = (row, field) => (mapping[field] ? String(row[mapping[field]] ?? '').trim() : '');
+
+    const results = rows.map((row, index) => {
+        const errors = [];
+        const warnings = [];
+        const line = index + 2; // header is line 1
+
+        const description = value(row, 'description');
+        if (!description) {
+            errors.push('Description is missing');
+        }
+
+        const startingBidText = value(row, 'startingBid');
+        const startingBid = parsePrice(startingBidText);
+        if (isNaN(startingBid)) {
+            errors.push(`Starting bid "${startingBidText}" is not a valid price`);
+        }
+
+        const numberText = value(row, 'number');
+        let number = null;
+        if (numberText && !/^\d+$/.test(numberText)) {
+            errors.push(`Lot number "${numberText}" must be a whole number`);
+        } else if (numberText) {
+            number = parseInt(numberText);
+            if (existing.has(number)) {
+                errors.push(`Lot ${number} already exists in this auction`);
+            } else if (seen.has(number)) {
+                errors.push(`Lot ${number} is also on line ${seen.get(number)}`);
+            }
+            seen.set(number, seen.get(number) || line);
+        }
+
+        return {
+            row: line,
+            lot: {
+                number,
+                description,
+                startingBid: isNaN(startingBid) ? null : startingBid,
+                estimate: value(row, 'estimate') || null,
+                category: value(row, 'category') || 'General'
+            },
+            errors,
+            warnings
+        };
+    });
+
+    // Unnumbered rows follow the highest lot number in use, in file order
+    const used = new Set([...existing, ...seen.keys()]);
+    results.filter(r => r.lot.number === null && !r.errors.some(e => e.startsWith('Lot number'))).forEach(result => {
+        while (used.has(nextNumber)) nextNumber++;
+        result.lot.number = nextNumber;
+        used.add(nextNumber);
+        result.warnings.push(`No lot number; will be numbered ${nextNumber}`);
+    });
+
+    return results;
+}
+
+/**
+ * Parse and validate a CSV without writing anything
+ * @returns {Object} Stored preview { id, auctionId, mapping, rows, summary, ... }
+ * @throws {Error} For unreadable files or bad mappings
+ */
+function createPreview({ csv, mapping, auctionId, consignorId = null, userId }) {
+    const { headers, rows } = parseCsv(csv);
+    const resolved = resolveMapping(headers, mapping);
+    const results = validateRows(rows, resolved, auctionId);
+    const invalid = results.filter(r => r.errors.length).length;
+
+    const preview = {
+        id: crypto.randomBytes(12).toString('hex'),
+        auctionId,
+        consignorId,
+        userId,
+        columns: headers,
+        mapping: resolved,
+        rows: results,
+        summary: {
+            total: results.length,
+            valid: results.length - invalid,
+            invalid
+        },
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + PREVIEW_TTL_MINUTES * 60 * 1000).toISOString()
+    };
+
+    db.saveImportPreview(preview);
+    db.pruneImportPreviews(MAX_PREVIEWS);
+    return preview;
+}
+
+function getPreview(id) {
+    return db.getImportPreview(id);
+}
+
+function discardPreview(id) {
+    return db.deleteImportPreview(id);
+}
+
+/**
+ * Write an accepted preview. Rows are re-checked first in case lots were
+ * added since the preview was made; nothing is written if any row fails.
+ * @param {boolean} skipInvalid - Import the valid rows and leave out the rest
+ * @returns {Object} { lots, skipped } or { error, rows } when validation fails
+ */
+function commitPreview(id, { skipInvalid = false } = {}) {
+    const preview = getPreview(id);
+    if (!preview) {
+        return { error: 'Import preview not found or expired. Upload the file again' };
+    }
+
+    const existing = new Set(db.getLotsByAuction(preview.auctionId).map(lot => lot.lot_number));
+    const rows = preview.rows.map(r => (r.errors.length === 0 && existing.has(r.lot.number)
+        ? { ...r, errors: [`Lot ${r.lot.number} was added to the auction after this preview`] }
+        : r));
+
+    const invalid = rows.filter(r => r.errors.length);
+    if (invalid.length && !skipInvalid) {
+        return { error: `${invalid.length} row(s) have errors. Fix the file or import with skipInvalid`, rows: invalid };
+    }
+
+    const lots = db.createLots(rows.filter(r => r.errors.length === 0).map(({ lot }) => ({
+        auction_id: preview.auctionId,
+        lot_number: lot.number,
+        description: lot.description,
+        starting_bid: Money.toCents(lot.startingBid),
+        estimate: lot.estimate,
+        category: lot.category,
+        consignor_id: preview.consignorId
+    })));
+
+    db.deleteImportPreview(id);
+    return { lots, skipped: invalid };
+}
+
+module.exports = {
+    FIELDS: Object.keys(FIELDS),
+    createPreview,
+    getPreview,
+    discardPreview,
+    commitPreview
+};
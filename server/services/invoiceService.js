@@ -0,0 +1,244 @@
+/**
+ * Invoice Service
+ * One invoice per buyer per auction, filled from recorded sales:
+ * - Its lines are the lots sold to the buyer, straight from the lots table
+ * - A lot is paid once a checkout covering it is paid in full
+ * - The invoice is 'paid' when none of its sold lots are still owed
+ * - A buyer who isn't at the counter pays it online through a link with
+ *   a secret token (pages/pay.html)
+ */
+
+const crypto = require('crypto');
+const db = require('./databaseService');
+
+/**
+ * Record a lot as sold and put it on the buyer's invoice.
+ * Lots that were never catalogued are created.
+ * @param {Object} sale
+ * @param {number} sale.winningBid - Hammer price in cents
+ * @returns {Object} { lot } with the sold lot row, or { error, statusCode } when
+ *   the lot is already paid for by another buyer
+ */
+function recordSale({ auctionId, lotNumber, winningBid, buyerNumber, buyerName, isOnline, description }) {
+    const update = {
+        winning_bid: winningBid,
+        winner_bidder_number: String(buyerNumber),
+        winner_name: buyerName || `Buyer #${buyerNumber}`,
+        is_online: isOnline ? 1 : 0,
+        status: 'sold',
+        sold_at: new Date().toISOString()
+    };
+
+    let lot = db.getLotByNumber(auctionId, lotNumber);
+    if (!lot) {
+        lot = db.createLot({
+            auction_id: auctionId,
+            lot_number: lotNumber,
+            description: description || `Lot ${lotNumber}`
+        });
+    }
+
+    // The first buyer's checkout still holds the money for a paid lot, so
+    // it has to be refunded or voided before the lot can go to someone else
+    if (lot.status === 'sold' && lot.paid_at && lot.winner_bidder_number !== String(buyerNumber)) {
+        return {
+            error: `Lot ${lotNumber} is already paid for by buyer #${lot.winner_bidder_number} (${lot.transaction_id}). Refund or void that sale first`,
+            statusCode: 409
+        };
+    }
+
+    // A lot resold to someone else leaves the first buyer's invoice
+    const previousBuyer = lot.status === 'sold' ? lot.winner_bidder_number : null;
+    if (lot.winner_bidder_number !== String(buyerNumber)) {
+        update.transaction_id = null;
+        update.paid_at = null;
+    }
+
+    const sold = db.updateLot(lot.id, update);
+    db.ensureInvoice(auctionId, buyerNumber);
+    refreshInvoice(auctionId, buyerNumber);
+    if (previousBuyer && previousBuyer !== String(buyerNumber)) {
+        refreshInvoice(auctionId, previousBuyer);
+    }
+
+    return { lot: sold };
+}
+
+/**
+ * Put lots sold by a timed auction close on their buyers' invoices
+ */
+function addSoldLots(lots) {
+    lots.filter(lot => lot.status === 'sold').forEach(lot => {
+        db.ensureInvoice(lot.auction_id, lot.winner_bidder_number);
+        refreshInvoice(lot.auction_id, lot.winner_bidder_number);
+    });
+}
+
+/**
+ * A buyer's invoice with its lots, or null if they bought nothing
+ * @returns {Object|null} { invoice, lots, unpaidLots }
+ */
+function getInvoice(auctionId, buyerNumber) {
+    return withLots(db.getInvoiceByBuyer(auctionId, buyerNumber));
+}
+
+/**
+ * The invoice a payment link points to, or null for an unknown token
+ * @returns {Object|null} { invoice, lots, unpaidLots }
+ */
+function getInvoiceByPayToken(token) {
+    return token ? withLots(db.getInvoiceByPayToken(token)) : null;
+}
+
+/**
+ * The token in an invoice's payment link, made the first time it's asked
+ * for. rotate replaces it, so links sent earlier stop working.
+ * @param {Object} invoice - invoices row
+ * @returns {string}
+ */
+function getPayToken(invoice, { rotate = false } = {}) {
+    if (invoice.pay_token && !rotate) return invoice.pay_token;
+    return db.setInvoicePayToken(invoice.id, crypto.randomBytes(32).toString('hex')).pay_token;
+}
+
+// Where a buyer pays an invoice online
+function payUrlFor(token) {
+    return `/pages/pay.html?token=${token}`;
+}
+
+function withLots(invoice) {
+    if (!invoice) return null;
+
+    const lots = db.getLotsForBuyer(invoice.auction_id, invoice.bidder_number);
+    return {
+        invoice,
+        lots,
+        unpaidLots: lots.filter(isOwed)
+    };
+}
+
+// Open while any sold lot is unpaid
+function refreshInvoice(auctionId, buyerNumber) {
+    const invoice = db.getInvoiceByBuyer(auctionId, buyerNumber);
+    if (!invoice) return null;
+
+    const status = db.getLotsForBuyer(auctionId, buyerNumber).some(isOwed) ? 'open' : 'paid';
+    return status === invoice.status ? invoice : db.setInvoiceStatus(invoice.id, status);
+}
+
+/**
+ * Mark the lots on a fully paid checkout as paid
+ * @param {Object} transaction - transactions row (with items)
+ */
+function markPaid(transaction) {
+    const lots = getTransactionLots(transaction);
+    db.setLotsPaid(lots.map(lot => lot.id), transaction.transaction_id);
+    refreshInvoices(lots);
+}
+
+/**
+ * Lots on a voided checkout are owed again
+ */
+function markUnpaid(transaction) {
+    const lots = db.getLotsPaidBy(transaction.transaction_id);
+    db.clearLotsPaid(transaction.transaction_id);
+    refreshInvoices(lots);
+}
+
+/**
+ * Lots among checkout items that are already paid, so they can't be
+ * checked out a second time
+ */
+function getPaidLots(items, bidderNumber, auctionId) {
+    return getTransactionLots({ items, bidder_number: String(bidderNumber), auction_id: auctionId }).filter(lot => lot.paid_at);
+}
+
+// Lots a checkout covered
+function getTransactionLots(transaction) {
+    return findItemLots(transaction.items || [], transaction.bidder_number, transaction.auction_id).filter(Boolean);
+}
+
+/**
+ * The auction a checkout is for: the one asked for, else that of the
+ * first item carrying a lot id (from an invoice), else the current sale
+ * @returns {number|null}
+ */
+function findItemAuctionId(items, auctionId = null) {
+    if (auctionId) return Number(auctionId);
+    const item = items.find(entry => entry.lotId);
+    const lot = item ? db.getLotById(item.lotId) : null;
+    return lot ? lot.auction_id : db.getCurrentAuction()?.id ?? null;
+}
+
+/**
+ * The lot behind each checkout item: by id when it came from an invoice,
+ * otherwise the latest sale of that lot number to the buyer in the auction.
+ * A lot id is only taken on trust when the lot went to this buyer in this
+ * auction, so a checkout can't pay for (or mark paid) someone else's lot.
+ * @returns {Array} Lot rows in item order; null for a lot not sold to the buyer in the auction
+ */
+function findItemLots(items, bidderNumber, auctionId) {
+    return items.map(item => {
+        const lot = item.lotId
+            ? db.getLotById(item.lotId)
+            : db.getSoldLotForBuyer(auctionId, item.lotNumber, bidderNumber);
+        return lot && isSoldTo(lot, bidderNumber, auctionId) ? lot : null;
+    });
+}
+
+/**
+ * Items whose lot id is not a lot sold to the buyer in the auction
+ * @returns {Array} The offending items
+ */
+function findForeignItems(items, bidderNumber, auctionId) {
+    const lots = findItemLots(items, bidderNumber, auctionId);
+    return items.filter((item, index) => item.lotId && !lots[index]);
+}
+
+function isSoldTo(lot, bidderNumber, auctionId) {
+    return lot.winner_bidder_number === String(bidderNumber) && lot.auction_id === Number(auctionId);
+}
+
+/**
+ * The invoice a checkout's items are on, found through their lots
+ * @returns {Object|null} invoices row
+ */
+function findItemInvoice(lots, bidderNumber) {
+    const lot = lots.find(Boolean);
+    return lot ? db.getInvoiceByBuyer(lot.auction_id, bidderNumber) || null : null;
+}
+
+// Refresh the invoices these lots are on (after they're paid, unpaid or returned)
+function refreshInvoices(lots) {
+    const seen = new Set();
+    lots.forEach(lot => {
+        const key = `${lot.auction_id}:${lot.winner_bidder_number}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        refreshInvoice(lot.auction_id, lot.winner_bidder_number);
+    });
+}
+
+function isOwed(lot) {
+    return lot.status === 'sold' && !lot.paid_at;
+}
+
+module.exports = {
+    recordSale,
+    addSoldLots,
+    getInvoice,
+    getInvoiceByPayToken,
+    getPayToken,
+    payUrlFor,
+    refreshInvoice,
+    markPaid,
+    markUnpaid,
+    getPaidLots,
+    getTransactionLots,
+    findItemAuctionId,
+    findItemLots,
+    findForeignItems,
+    findItemInvoice,
+    refreshInvoices,
+    isOwed
+};
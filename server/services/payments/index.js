@@ -0,0 +1,38 @@
+/**
+ * Payment Providers
+ * Card payments go through one provider, chosen with PAYMENT_PROVIDER:
+ * - square (default): the Square API (see squareProvider)
+ * - mock: offline and deterministic, for development and clerk training
+ *
+ * Every provider has the same operations, amounts in integer cents:
+ * createOrder, charge, refund and getPayment, plus searchOrders and
+ * listPayments for reconciling a day's sales. Each throws an Error with a
+ * message fit to show the clerk when the provider turns a request down.
+ */
+
+const squareProvider = require('./squareProvider');
+const mockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+    [squareProvider.name]: squareProvider,
+    [mockProvider.name]: mockProvider
+};
+
+/**
+ * The provider set by PAYMENT_PROVIDER
+ * @throws {Error} When it names a provider that doesn't exist
+ */
+function getPaymentProvider() {
+    const name = (process.env.PAYMENT_PROVIDER || squareProvider.name).toLowerCase();
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+        throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return provider;
+}
+
+module.exports = {
+    PROVIDERS,
+    getPaymentProvider
+};
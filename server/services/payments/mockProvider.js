@@ -0,0 +1,165 @@
+/**
+ * Mock Payment Provider
+ * Stands in for Square with no network, for development and clerk training.
+ * Deterministic: the same idempotency key always gives the same IDs and
+ * result, and the card outcome depends only on the source ID. Square's
+ * sandbox test nonces work as they do there:
+ * - cnon:card-nonce-ok (or any other source) is approved
+ * - cnon:card-nonce-declined, -rejected-cvv, -rejected-postalcode and
+ *   -rejected-expiration are declined
+ *
+ * Orders, payments and refunds live in memory until the server restarts.
+ */
+
+const crypto = require('crypto');
+
+const DECLINES = {
+    'cnon:card-nonce-declined': 'Card declined',
+    'cnon:card-nonce-rejected-cvv': 'Card verification code check failed',
+    'cnon:card-nonce-rejected-postalcode': 'Postal code check failed',
+    'cnon:card-nonce-rejected-expiration': 'Card expiration date is invalid'
+};
+
+const orders = new Map();
+const payments = new Map();
+const refunds = new Map();
+
+// Results already given for an idempotency key
+const results = new Map();
+
+async function createOrder({ referenceId, lineItems, metadata, idempotencyKey }) {
+    return once(idempotencyKey, () => {
+        const order = {
+            id: mockId('ORD', idempotencyKey),
+            referenceId: referenceId || null,
+            state: 'OPEN',
+            totalAmount: lineItems.reduce((total, item) => total + item.amount, 0),
+            metadata: metadata || {},
+            lineItems: lineItems.map(item => ({ name: item.name, amount: item.amount, metadata: item.metadata || {} })),
+            paymentIds: [],
+            createdAt: new Date().toISOString()
+        };
+        orders.set(order.id, order);
+        return copyOrder(order);
+    });
+}
+
+async function searchOrders({ from, to }) {
+    return [...orders.values()].filter(order => inRange(order, from, to)).map(copyOrder);
+}
+
+async function charge({ sourceId, amount, orderId, referenceId, idempotencyKey }) {
+    return once(idempotencyKey, () => {
+        if (DECLINES[sourceId]) {
+            throw new Error(DECLINES[sourceId]);
+        }
+
+        const order = orderId ? orders.get(orderId) : null;
+        if (orderId && !order) {
+            throw new Error(`Order ${orderId} not found`);
+        }
+
+        const id = mockId('PAY', idempotencyKey);
+        const payment = {
+            id,
+            status: 'COMPLETED',
+            amount,
+            refundedAmount: 0,
+            orderId: orderId || null,
+            referenceId: referenceId || null,
+            receiptUrl: null,
+            createdAt: new Date().toISOString()
+        };
+        payments.set(id, payment);
+        if (order) {
+            order.state = 'COMPLETED';
+            order.paymentIds.push(id);
+        }
+        return { ...payment };
+    });
+}
+
+async function refund({ paymentId, amount, idempotencyKey }) {
+    return once(idempotencyKey, () => {
+        const payment = payments.get(paymentId);
+
+        // Payments from before a restart are gone from memory; refund
+        // them on trust as long as they're ours
+        if (!payment && !paymentId.startsWith('MOCK-PAY-')) {
+            throw new Error(`Payment ${paymentId} not found`);
+        }
+        if (payment && amount > payment.amount - payment.refundedAmount) {
+            throw new Error('Refund amount exceeds the amount left on the payment');
+        }
+
+        if (payment) {
+            payment.refundedAmount += amount;
+        }
+
+        const result = {
+            id: mockId('RF', idempotencyKey),
+            paymentId,
+            status: 'COMPLETED',
+            amount
+        };
+        refunds.set(result.id, result);
+        return { ...result };
+    });
+}
+
+async function getPayment(paymentId) {
+    const payment = payments.get(paymentId);
+    if (!payment) {
+        throw new Error(`Payment ${paymentId} not found`);
+    }
+    return { ...payment };
+}
+
+async function listPayments({ from, to }) {
+    return [...payments.values()].filter(payment => inRange(payment, from, to)).map(payment => ({ ...payment }));
+}
+
+function inRange(record, from, to) {
+    const createdAt = new Date(record.createdAt);
+    return createdAt >= from && createdAt < to;
+}
+
+function copyOrder(order) {
+    return { ...order, lineItems: order.lineItems.map(item => ({ ...item })), paymentIds: [...order.paymentIds] };
+}
+
+/**
+ * Run a request once per idempotency key; repeats get the first outcome,
+ * declines included
+ */
+function once(idempotencyKey, request) {
+    if (!results.has(idempotencyKey)) {
+        try {
+            results.set(idempotencyKey, { value: request() });
+        } catch (error) {
+            results.set(idempotencyKey, { error });
+        }
+    }
+
+    const result = results.get(idempotencyKey);
+    if (result.error) throw result.error;
+    return result.value;
+}
+
+// IDs come from the idempotency key, so a replayed request gets the same one
+function mockId(kind, idempotencyKey) {
+    const hash = crypto.createHash('sha256').update(idempotencyKey).digest('hex').slice(0, 20).toUpperCase();
+    return `MOCK-${kind}-${hash}`;
+}
+
+module.exports = {
+    name: 'mock',
+    label: 'Mock (offline)',
+    isConfigured: () => true,
+    createOrder,
+    searchOrders,
+    charge,
+    refund,
+    getPayment,
+    listPayments
+};
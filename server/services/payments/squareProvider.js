@@ -0,0 +1,207 @@
+/**
+ * Square Payment Provider
+ * Orders, card payments and refunds through the Square API.
+ * The client is built on first use, so loading this file needs no credentials.
+ */
+
+const { Client, Environment } = require('square');
+
+let client = null;
+
+function getClient() {
+    if (!client) {
+        client = new Client({
+            accessToken: process.env.SQUARE_ACCESS_TOKEN,
+            environment: process.env.NODE_ENV === 'production'
+                ? Environment.Production
+                : Environment.Sandbox
+        });
+    }
+    return client;
+}
+
+/**
+ * Create an itemised order
+ * @param {Object} order - { locationId, referenceId, lineItems: [{ name, amount (cents), note, metadata }], metadata, idempotencyKey }
+ * @returns {Promise<Object>} Order (see toOrder)
+ */
+async function createOrder({ locationId, referenceId, lineItems, metadata, idempotencyKey }) {
+    const response = await call(() => getClient().ordersApi.createOrder({
+        order: {
+            locationId: locationId || process.env.SQUARE_LOCATION_ID,
+            referenceId,
+            lineItems: lineItems.map(item => ({
+                name: item.name,
+                quantity: '1',
+                basePriceMoney: toMoney(item.amount),
+                note: item.note,
+                metadata: item.metadata
+            })),
+            metadata
+        },
+        idempotencyKey
+    }));
+
+    return toOrder(response.result.order);
+}
+
+/**
+ * Orders created in a time range, oldest first
+ * @param {Object} range - { locationId, from, to } (Dates)
+ * @returns {Promise<Array>} Orders (see toOrder)
+ */
+async function searchOrders({ locationId, from, to }) {
+    const orders = [];
+    let cursor;
+
+    do {
+        const response = await call(() => getClient().ordersApi.searchOrders({
+            locationIds: [locationId || process.env.SQUARE_LOCATION_ID],
+            query: {
+                filter: {
+                    dateTimeFilter: {
+                        createdAt: { startAt: from.toISOString(), endAt: to.toISOString() }
+                    }
+                },
+                sort: { sortField: 'CREATED_AT', sortOrder: 'ASC' }
+            },
+            cursor
+        }));
+
+        orders.push(...(response.result.orders || []).map(toOrder));
+        cursor = response.result.cursor;
+    } while (cursor);
+
+    return orders;
+}
+
+/**
+ * Charge a card
+ * @param {Object} payment - { sourceId, amount (cents), orderId, referenceId, note, buyerEmail, idempotencyKey }
+ * @returns {Promise<Object>} Payment (see toPayment)
+ */
+async function charge({ sourceId, amount, orderId, referenceId, note, buyerEmail, idempotencyKey }) {
+    const response = await call(() => getClient().paymentsApi.createPayment({
+        sourceId, // From Square Web Payments SDK
+        idempotencyKey,
+        amountMoney: toMoney(amount),
+        orderId,
+        referenceId,
+        note,
+        buyerEmailAddress: buyerEmail || undefined
+    }));
+    return toPayment(response.result.payment);
+}
+
+/**
+ * Refund part or all of a payment
+ * @param {Object} refund - { paymentId, amount (cents), reason, idempotencyKey }
+ * @returns {Promise<Object>} { id, paymentId, status, amount }
+ */
+async function refund({ paymentId, amount, reason, idempotencyKey }) {
+    const response = await call(() => getClient().refundsApi.refundPayment({
+        idempotencyKey,
+        paymentId,
+        amountMoney: toMoney(amount),
+        reason: reason || undefined
+    }));
+
+    const { refund: result } = response.result;
+    return {
+        id: result.id,
+        paymentId: result.paymentId,
+        status: result.status,
+        amount: Number(result.amountMoney.amount)
+    };
+}
+
+/**
+ * Look up a payment as Square has it now
+ * @returns {Promise<Object>} Payment (see toPayment)
+ */
+async function getPayment(paymentId) {
+    const response = await call(() => getClient().paymentsApi.getPayment(paymentId));
+    return toPayment(response.result.payment);
+}
+
+/**
+ * Payments taken in a time range, oldest first
+ * @param {Object} range - { locationId, from, to } (Dates)
+ * @returns {Promise<Array>} Payments (see toPayment)
+ */
+async function listPayments({ locationId, from, to }) {
+    const payments = [];
+    let cursor;
+
+    do {
+        const response = await call(() => getClient().paymentsApi.listPayments(
+            from.toISOString(),
+            to.toISOString(),
+            'ASC',
+            cursor,
+            locationId || process.env.SQUARE_LOCATION_ID
+        ));
+
+        payments.push(...(response.result.payments || []).map(toPayment));
+        cursor = response.result.cursor;
+    } while (cursor);
+
+    return payments;
+}
+
+// What callers see of a Square order (amounts in cents)
+function toOrder(order) {
+    return {
+        id: order.id,
+        referenceId: order.referenceId || null,
+        state: order.state,
+        totalAmount: Number(order.totalMoney?.amount ?? 0),
+        metadata: order.metadata || {},
+        lineItems: (order.lineItems || []).map(item => ({
+            name: item.name,
+            amount: Number(item.totalMoney?.amount ?? 0),
+            metadata: item.metadata || {}
+        })),
+        paymentIds: (order.tenders || []).map(tender => tender.paymentId || tender.id),
+        createdAt: order.createdAt
+    };
+}
+
+// What callers see of a Square payment (amounts in cents)
+function toPayment(payment) {
+    return {
+        id: payment.id,
+        status: payment.status,
+        amount: Number(payment.amountMoney.amount),
+        refundedAmount: Number(payment.refundedMoney?.amount ?? 0),
+        orderId: payment.orderId || null,
+        referenceId: payment.referenceId || null,
+        receiptUrl: payment.receiptUrl || null,
+        createdAt: payment.createdAt
+    };
+}
+
+function toMoney(cents) {
+    return { amount: BigInt(cents), currency: 'USD' };
+}
+
+// Square errors carry the useful message in errors[0].detail
+async function call(request) {
+    try {
+        return await request();
+    } catch (error) {
+        throw new Error(error.errors?.[0]?.detail || error.message);
+    }
+}
+
+module.exports = {
+    name: 'square',
+    label: 'Square',
+    isConfigured: () => Boolean(process.env.SQUARE_ACCESS_TOKEN),
+    createOrder,
+    searchOrders,
+    charge,
+    refund,
+    getPayment,
+    listPayments
+};
@@ -4,15 +4,35 @@
  * - Online bidders submitting bids
  * - Clerk/Auctioneer monitoring incoming bids
  * - Broadcasting auction state updates
+ *
+ * Auction state is written through to SQLite so a restart mid-lot can
+ * pick up where it left off. Every online and floor bid is kept in the
+ * bids ledger.
+ *
+ * Absentee (max) bids left through the API are executed automatically
+ * when their lot opens and whenever a competing bid is taken.
  */
 
-// In-memory auction state (could be replaced with Redis for production)
+const db = require('./databaseService');
+const { getUserByToken, hasRole } = require('./authService');
+const bidding = require('./biddingService');
+const invoices = require('./invoiceService');
+const { formatImages } = require('./imageService');
+const Money = require('../../js/money');
+
+// Staff roles allowed to run the live sale from a clerk terminal
+const CONTROL_ROLES = ['clerk', 'auctioneer'];
+
+// In-memory auction state (mirrored to the live_auction_state table)
 const auctionState = {
     isLive: false,
     currentLot: null,
     currentBid: 0,
     bidIncrement: 5,
+    incrementTable: bidding.DEFAULT_INCREMENT_TABLE,
+    highBidder: null, // { bidderNumber, name, source } behind currentBid
     onlineBids: [],
+    absenteeBids: [], // absentee bids on the current lot (clerks only)
     connectedClients: {
         bidders: 0,
         clerks: 0
@@ -25,7 +45,28 @@ const connectedSockets = {
     clerks: new Map()
 };
 
+// Keeps bid ids unique when two bids land in the same millisecond
+let bidSequence = 0;
+
 function initializeSocket(io) {
+    restoreAuctionState();
+
+    // Staff connect with { auth: { token } }; bidders connect anonymously
+    io.use((socket, next) => {
+        const token = socket.handshake.auth?.token;
+        if (!token) {
+            socket.data.user = null;
+            return next();
+        }
+
+        const user = getUserByToken(token);
+        if (!user) {
+            return next(new Error('Authentication failed'));
+        }
+        socket.data.user = user;
+        next();
+    });
+
     io.on('connection', (socket) => {
         console.log(`Client connected: ${socket.id}`);
 
@@ -33,15 +74,31 @@ function initializeSocket(io) {
         // CLIENT REGISTRATION
         // ===========================================
         
-        // Register as online bidder
+        // Register as online bidder (token from POST /api/bidders/register)
         socket.on('register:bidder', (data) => {
-            const { bidderId, name } = data;
+            const registration = db.getRegistrationByToken(data?.token || '');
+            if (!registration) {
+                socket.emit('registration:error', { message: 'Registration not found. Please register again.' });
+                return;
+            }
+
+            const bidderId = registration.bidder_number;
+            const name = registration.name;
             connectedSockets.bidders.set(socket.id, {
                 bidderId,
                 name,
+                registrationId: registration.id,
                 socket
             });
             socket.join('bidders');
+            socket.join(`registration:${registration.id}`);
+
+            socket.emit('registration:confirmed', {
+                bidderNumber: bidderId,
+                name,
+                status: registration.status,
+                auctionId: registration.auction_id
+            });
             auctionState.connectedClients.bidders = connectedSockets.bidders.size;
             
             // Send current auction state to new bidder
@@ -53,12 +110,20 @@ function initializeSocket(io) {
             console.log(`Bidder registered: ${name} (${bidderId})`);
         });
 
-        // Register as clerk/auctioneer
-        socket.on('register:clerk', (data) => {
-            const { clerkId, name } = data;
+        // Register as clerk/auctioneer (staff login required)
+        socket.on('register:clerk', () => {
+            const user = socket.data.user;
+            if (!hasRole(user, CONTROL_ROLES)) {
+                socket.emit('error', { message: 'Unauthorized' });
+                return;
+            }
+
+            const clerkId = String(user.id);
+            const name = user.name;
             connectedSockets.clerks.set(socket.id, {
                 clerkId,
                 name,
+                role: user.role,
                 socket
             });
             socket.join('clerks');
@@ -87,30 +152,50 @@ function initializeSocket(io) {
                 return;
             }
 
-            const { amount } = data;
+            // Approval can change while connected, so check the database each time
+            const registration = db.getRegistrationById(bidder.registrationId);
+            const auction = db.getCurrentAuction();
+            if (!registration || !auction || registration.auction_id !== auction.id) {
+                socket.emit('bid:error', { message: 'You are not registered for this auction' });
+                return;
+            }
+            if (registration.status !== 'approved') {
+                socket.emit('bid:error', {
+                    message: registration.status === 'pending'
+                        ? 'Your registration is awaiting approval'
+                        : 'Your registration was not approved for bidding'
+                });
+                return;
+            }
+
+            const amount = Number(data.amount);
             
-            // Validate bid amount
-            if (amount <= auctionState.currentBid) {
+            // Validate bid amount against the increment table
+            const check = bidding.validateBid(amount, auctionState.currentBid, auctionState.incrementTable);
+            if (!check.valid) {
                 socket.emit('bid:error', { 
-                    message: `Bid must be higher than current bid of $${auctionState.currentBid}` 
+                    message: check.message,
+                    nextBid: check.nextBid
                 });
                 return;
             }
 
             // Create bid record
             const bid = {
-                id: `bid_${Date.now()}`,
+                id: `bid_${Date.now()}_${bidSequence++}`,
                 bidderId: bidder.bidderId,
                 bidderName: bidder.name,
                 amount: amount,
                 lotNumber: auctionState.currentLot?.number,
                 timestamp: new Date().toISOString(),
                 status: 'pending', // pending, accepted, rejected
-                isOnline: true
+                isOnline: true,
+                source: 'online'
             };
 
             // Add to bid queue
             auctionState.onlineBids.push(bid);
+            persistBid(bid);
 
             // Confirm to bidder
             socket.emit('bid:confirmed', { 
@@ -136,17 +221,21 @@ function initializeSocket(io) {
             }
 
             auctionState.isLive = true;
-            auctionState.currentLot = data.lot || null;
+            auctionState.currentLot = data.lot ? withCatalogImages(data.lot) : null;
             auctionState.currentBid = data.startingBid || 0;
-            auctionState.bidIncrement = data.bidIncrement || 5;
-            auctionState.onlineBids = [];
+            auctionState.highBidder = null;
+            refreshIncrementTable();
+            clearOnlineBids();
+            loadAbsenteeBids();
+            persistState();
 
             // Broadcast to all
             io.emit('auction:started', {
                 lot: auctionState.currentLot,
                 startingBid: auctionState.currentBid,
-                bidIncrement: auctionState.bidIncrement
+                ...getBidSteps()
             });
+            runAbsenteeBids(io);
 
             console.log(`Auction started - Lot ${auctionState.currentLot?.number}`);
         });
@@ -155,45 +244,92 @@ function initializeSocket(io) {
         socket.on('auction:setLot', (data) => {
             if (!connectedSockets.clerks.has(socket.id)) return;
 
-            auctionState.currentLot = data.lot;
+            auctionState.currentLot = withCatalogImages(data.lot);
             auctionState.currentBid = data.startingBid || 0;
-            auctionState.onlineBids = [];
+            auctionState.highBidder = null;
+            refreshIncrementTable();
+            clearOnlineBids();
+            loadAbsenteeBids();
+            persistState();
 
             io.emit('auction:lotChanged', {
                 lot: auctionState.currentLot,
-                currentBid: auctionState.currentBid
+                currentBid: auctionState.currentBid,
+                ...getBidSteps()
             });
+            runAbsenteeBids(io);
 
             console.log(`Lot changed to: ${data.lot.number} - ${data.lot.description}`);
         });
 
         // Update current bid (from floor bidding)
         socket.on('auction:updateBid', (data) => {
-            if (!connectedSockets.clerks.has(socket.id)) return;
+            const clerk = connectedSockets.clerks.get(socket.id);
+            if (!clerk) return;
 
             auctionState.currentBid = data.amount;
+            auctionState.bidIncrement = bidding.getIncrement(auctionState.currentBid, auctionState.incrementTable);
+            auctionState.highBidder = {
+                bidderNumber: data.bidderNumber ? String(data.bidderNumber) : null,
+                name: data.bidderName || null,
+                source: data.source || 'floor'
+            };
+            persistState();
+
+            // Floor bids go straight into the ledger as accepted
+            persistBid({
+                id: `bid_${Date.now()}_${bidSequence++}`,
+                bidderId: data.bidderNumber || null,
+                bidderName: data.bidderName || null,
+                amount: data.amount,
+                lotNumber: auctionState.currentLot?.number,
+                timestamp: new Date().toISOString(),
+                status: 'accepted',
+                isOnline: data.source === 'online',
+                source: data.source || 'floor'
+            }, clerk);
 
             io.emit('auction:bidUpdate', {
                 currentBid: auctionState.currentBid,
-                source: data.source || 'floor' // 'floor' or 'online'
+                source: data.source || 'floor', // 'floor', 'online' or 'absentee'
+                ...getBidSteps()
             });
+
+            // Absentee bidders answer the floor
+            runAbsenteeBids(io);
         });
 
         // Accept online bid
         socket.on('bid:accept', (data) => {
-            if (!connectedSockets.clerks.has(socket.id)) return;
+            const clerk = connectedSockets.clerks.get(socket.id);
+            if (!clerk) return;
 
             const { bidId } = data;
             const bidIndex = auctionState.onlineBids.findIndex(b => b.id === bidId);
             
             if (bidIndex !== -1) {
                 const bid = auctionState.onlineBids[bidIndex];
+                const bidderSocket = Array.from(connectedSockets.bidders.values())
+                    .find(b => b.bidderId === bid.bidderId);
+
+                // An absentee or floor bid may have passed it while it sat in the queue
+                if (bid.amount < bidding.getNextValidBid(auctionState.currentBid, auctionState.incrementTable)) {
+                    bid.status = 'rejected';
+                    db.updateBidStatus(bid.id, bid.status, clerk);
+                    if (bidderSocket) {
+                        bidderSocket.socket.emit('bid:rejected', { bid, reason: 'You were outbid before your bid was taken' });
+                    }
+                    return;
+                }
+
                 bid.status = 'accepted';
                 auctionState.currentBid = bid.amount;
+                auctionState.bidIncrement = bidding.getIncrement(auctionState.currentBid, auctionState.incrementTable);
+                auctionState.highBidder = { bidderNumber: bid.bidderId, name: bid.bidderName, source: 'online' };
+                db.updateBidStatus(bid.id, bid.status, clerk);
+                persistState();
 
                 // Notify the winning bidder
-                const bidderSocket = Array.from(connectedSockets.bidders.values())
-                    .find(b => b.bidderId === bid.bidderId);
                 if (bidderSocket) {
                     bidderSocket.socket.emit('bid:accepted', { bid });
                 }
@@ -202,16 +338,21 @@ function initializeSocket(io) {
                 io.emit('auction:bidUpdate', {
                     currentBid: auctionState.currentBid,
                     source: 'online',
-                    bidderName: bid.bidderName
+                    bidderName: bid.bidderName,
+                    bidderNumber: bid.bidderId,
+                    ...getBidSteps()
                 });
 
                 console.log(`Bid accepted: $${bid.amount} from ${bid.bidderName}`);
+
+                runAbsenteeBids(io);
             }
         });
 
         // Reject online bid
         socket.on('bid:reject', (data) => {
-            if (!connectedSockets.clerks.has(socket.id)) return;
+            const clerk = connectedSockets.clerks.get(socket.id);
+            if (!clerk) return;
 
             const { bidId, reason } = data;
             const bidIndex = auctionState.onlineBids.findIndex(b => b.id === bidId);
@@ -219,6 +360,7 @@ function initializeSocket(io) {
             if (bidIndex !== -1) {
                 const bid = auctionState.onlineBids[bidIndex];
                 bid.status = 'rejected';
+                db.updateBidStatus(bid.id, bid.status, clerk);
 
                 // Notify the bidder
                 const bidderSocket = Array.from(connectedSockets.bidders.values())
@@ -237,18 +379,26 @@ function initializeSocket(io) {
 
             const soldInfo = {
                 lot: auctionState.currentLot,
-                winningBid: data.amount,
-                winner: data.winner,
+                winningBid: data.amount || auctionState.currentBid,
+                winner: data.winner || auctionState.highBidder?.name || null,
+                winnerBidderNumber: data.buyerNumber ? String(data.buyerNumber) : auctionState.highBidder?.bidderNumber ?? null,
                 isOnline: data.isOnline || false,
                 timestamp: new Date().toISOString()
             };
 
+            const saleError = recordSale(soldInfo);
+            if (saleError) {
+                socket.emit('sale:error', { message: saleError });
+            }
             io.emit('auction:lotSold', soldInfo);
+            settleAbsenteeBids(io);
             
             // Clear current lot
             auctionState.currentLot = null;
             auctionState.currentBid = 0;
-            auctionState.onlineBids = [];
+            auctionState.highBidder = null;
+            clearOnlineBids();
+            persistState();
 
             console.log(`SOLD! Lot ${soldInfo.lot?.number} for $${soldInfo.winningBid} to ${soldInfo.winner}`);
         });
@@ -260,7 +410,10 @@ function initializeSocket(io) {
             auctionState.isLive = false;
             auctionState.currentLot = null;
             auctionState.currentBid = 0;
-            auctionState.onlineBids = [];
+            auctionState.highBidder = null;
+            auctionState.absenteeBids = [];
+            clearOnlineBids();
+            persistState();
 
             io.emit('auction:ended', {
                 message: 'Auction has ended. Thank you for bidding!'
@@ -296,18 +449,264 @@ function initializeSocket(io) {
     });
 }
 
+// ===========================================
+// PERSISTENCE
+// ===========================================
+
+// Reload the live auction and pending bid queue after a restart
+function restoreAuctionState() {
+    const saved = db.getLiveAuctionState();
+    if (!saved) return;
+
+    auctionState.isLive = Boolean(saved.is_live);
+    auctionState.currentLot = saved.current_lot || null;
+    auctionState.currentBid = Money.fromCents(saved.current_bid);
+    refreshIncrementTable();
+    auctionState.onlineBids = db.getQueuedBids().map(formatBid);
+    loadAbsenteeBids();
+
+    // Whoever placed the last accepted bid on the lot still holds it
+    const auction = db.getCurrentAuction();
+    if (auction && auctionState.currentLot) {
+        const last = db.getBidsForLot(auction.id, auctionState.currentLot.number)
+            .filter(b => b.status === 'accepted')
+            .pop();
+        if (last && Money.fromCents(last.amount) === auctionState.currentBid) {
+            auctionState.highBidder = { bidderNumber: last.bidder_id, name: last.bidder_name, source: last.source };
+        }
+    }
+
+    if (auctionState.isLive) {
+        const pending = auctionState.onlineBids.filter(b => b.status === 'pending').length;
+        console.log(`Recovered live auction - Lot ${auctionState.currentLot?.number}, $${auctionState.currentBid}, ${pending} pending bid(s)`);
+    }
+}
+
+// Pick up the increment table for the current lot (lot, auction, or default)
+function refreshIncrementTable() {
+    auctionState.incrementTable = bidding.resolveIncrementTable(
+        db.getCurrentAuction(),
+        auctionState.currentLot?.number
+    );
+    auctionState.bidIncrement = bidding.getIncrement(auctionState.currentBid, auctionState.incrementTable);
+}
+
+// The clerk sets lots by number; bring in the catalog photos for the live display
+function withCatalogImages(lot) {
+    const auction = db.getCurrentAuction();
+    const saved = auction ? db.getLotByNumber(auction.id, lot.number) : null;
+    return { ...lot, images: formatImages(saved ? saved.images : lot.images) };
+}
+
+// Increment info pushed to bidders with every bid change
+function getBidSteps() {
+    return {
+        bidIncrement: auctionState.bidIncrement,
+        nextBid: bidding.getNextValidBid(auctionState.currentBid, auctionState.incrementTable),
+        incrementTable: auctionState.incrementTable
+    };
+}
+
+function persistState() {
+    db.saveLiveAuctionState({
+        is_live: auctionState.isLive,
+        current_lot: auctionState.currentLot,
+        current_bid: Money.toCents(auctionState.currentBid),
+        bid_increment: Money.toCents(auctionState.bidIncrement)
+    });
+}
+
+// Write a bid to the ledger. Floor bids carry the clerk who entered them;
+// only pending online bids enter the queue.
+function persistBid(bid, clerk = null) {
+    const auction = db.getCurrentAuction();
+    const isQueued = bid.status === 'pending';
+
+    db.saveBid({
+        bid_id: bid.id,
+        auction_id: auction ? auction.id : null,
+        lot_number: bid.lotNumber,
+        bidder_id: bid.bidderId,
+        bidder_name: bid.bidderName,
+        amount: Money.toCents(bid.amount),
+        source: bid.source || 'online',
+        status: bid.status,
+        is_online: bid.isOnline,
+        in_queue: isQueued,
+        clerk_id: clerk ? clerk.clerkId : null,
+        clerk_name: clerk ? clerk.name : null,
+        created_at: bid.timestamp,
+        resolved_at: isQueued ? null : bid.timestamp
+    });
+}
+
+// Shape a bids ledger row the way bids travel over the socket
+function formatBid(row) {
+    return {
+        id: row.bid_id,
+        auctionId: row.auction_id,
+        bidderId: row.bidder_id,
+        bidderName: row.bidder_name,
+        amount: Money.fromCents(row.amount),
+        lotNumber: row.lot_number,
+        timestamp: row.created_at,
+        status: row.status, // pending, accepted, rejected, expired
+        isOnline: Boolean(row.is_online),
+        source: row.source,
+        clerk: row.clerk_id ? { clerkId: row.clerk_id, name: row.clerk_name } : null,
+        resolvedAt: row.resolved_at
+    };
+}
+
+// ===========================================
+// ABSENTEE BIDS
+// ===========================================
+
+// Load the absentee bids left on the lot that just opened
+function loadAbsenteeBids() {
+    const auction = db.getCurrentAuction();
+    const lotNumber = auctionState.currentLot?.number;
+
+    auctionState.absenteeBids = auction && lotNumber !== undefined && lotNumber !== null
+        ? db.getAbsenteeBidsForLot(auction.id, lotNumber).map(formatAbsenteeBid)
+        : [];
+}
+
+// Place the bid the absentee book calls for (if any) and mark bidders who
+// can no longer compete. Clerks always get the refreshed list.
+function runAbsenteeBids(io) {
+    const active = auctionState.absenteeBids.filter(a => a.status === 'active');
+
+    if (active.length > 0) {
+        const { bid, outbid } = bidding.executeAbsenteeBids(
+            active,
+            auctionState.currentBid,
+            auctionState.highBidder?.bidderNumber ?? null,
+            auctionState.incrementTable
+        );
+
+        if (bid) {
+            const { absentee, amount } = bid;
+            auctionState.currentBid = amount;
+            auctionState.bidIncrement = bidding.getIncrement(amount, auctionState.incrementTable);
+            auctionState.highBidder = { bidderNumber: absentee.bidderNumber, name: absentee.bidderName, source: 'absentee' };
+            persistState();
+
+            persistBid({
+                id: `bid_${Date.now()}_${bidSequence++}`,
+                bidderId: absentee.bidderNumber,
+                bidderName: absentee.bidderName,
+                amount,
+                lotNumber: auctionState.currentLot?.number,
+                timestamp: new Date().toISOString(),
+                status: 'accepted',
+                isOnline: false,
+                source: 'absentee'
+            });
+            updateAbsenteeBid(io, absentee, { current_amount: Money.toCents(amount) });
+
+            io.emit('auction:bidUpdate', {
+                currentBid: amount,
+                source: 'absentee',
+                bidderName: 'Absentee bidder',
+                bidderNumber: absentee.bidderNumber,
+                ...getBidSteps()
+            });
+
+            console.log(`Absentee bid: $${amount} for #${absentee.bidderNumber} on Lot ${auctionState.currentLot?.number}`);
+        }
+
+        outbid.forEach(absentee => updateAbsenteeBid(io, absentee, { status: 'outbid' }));
+    }
+
+    io.to('clerks').emit('absentee:bids', auctionState.absenteeBids);
+}
+
+// Put a lot sold from the block on the buyer's invoice. Without a lot or
+// buyer number there's nothing to record; the clerk can still enter it.
+// Returns why the sale couldn't go on the invoice, if it couldn't.
+function recordSale(soldInfo) {
+    if (!soldInfo.lot || !soldInfo.winnerBidderNumber || !(soldInfo.winningBid > 0)) return null;
+
+    try {
+        const auction = db.getCurrentAuction();
+        const result = invoices.recordSale({
+            auctionId: auction ? auction.id : null,
+            lotNumber: soldInfo.lot.number,
+            winningBid: Money.toCents(soldInfo.winningBid),
+            buyerNumber: soldInfo.winnerBidderNumber,
+            buyerName: soldInfo.winner,
+            isOnline: soldInfo.isOnline,
+            description: soldInfo.lot.description
+        });
+        return result.error || null;
+    } catch (error) {
+        console.error('Failed to record sale:', error);
+        return 'Failed to record sale';
+    }
+}
+
+// Lot sold: the absentee holding the high bid won, everyone else lost
+function settleAbsenteeBids(io) {
+    const winner = auctionState.highBidder?.bidderNumber ?? null;
+
+    auctionState.absenteeBids
+        .filter(a => a.status === 'active')
+        .forEach(absentee => updateAbsenteeBid(io, absentee, {
+            status: absentee.bidderNumber === winner ? 'won' : 'lost'
+        }));
+
+    io.to('clerks').emit('absentee:bids', auctionState.absenteeBids);
+    auctionState.absenteeBids = [];
+}
+
+// Save a change and tell the bidder who left the absentee bid
+function updateAbsenteeBid(io, absentee, changes) {
+    const updated = formatAbsenteeBid(db.updateAbsenteeBid(absentee.id, changes));
+    const index = auctionState.absenteeBids.findIndex(a => a.id === updated.id);
+    if (index !== -1) {
+        auctionState.absenteeBids[index] = updated;
+    }
+
+    io.to(`registration:${updated.registrationId}`).emit('absentee:update', updated);
+    return updated;
+}
+
+function formatAbsenteeBid(row) {
+    return {
+        id: row.id,
+        auctionId: row.auction_id,
+        lotNumber: row.lot_number,
+        registrationId: row.registration_id,
+        bidderNumber: row.bidder_number,
+        bidderName: row.bidder_name,
+        maxAmount: Money.fromCents(row.max_amount),
+        currentAmount: row.current_amount === null ? null : Money.fromCents(row.current_amount),
+        status: row.status, // active, outbid, won, lost, cancelled
+        createdAt: row.created_at,
+        resolvedAt: row.resolved_at
+    };
+}
+
+function clearOnlineBids() {
+    auctionState.onlineBids = [];
+    db.clearBidQueue();
+}
+
 // Get sanitized state for public (bidders)
 function getPublicAuctionState() {
     return {
         isLive: auctionState.isLive,
         currentLot: auctionState.currentLot,
         currentBid: auctionState.currentBid,
-        bidIncrement: auctionState.bidIncrement,
+        ...getBidSteps(),
         onlineBidders: auctionState.connectedClients.bidders
     };
 }
 
 module.exports = { 
     initializeSocket,
-    auctionState
+    auctionState,
+    formatBid,
+    formatAbsenteeBid
 };
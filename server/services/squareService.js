@@ -1,115 +1,218 @@
 /**
  * Square Payment Service
- * Handles payment processing via Square
+ * Handles payment processing and refunds. Card calls go to the payment
+ * provider set by PAYMENT_PROVIDER (Square, or the offline mock; see payments/).
  * 
- * Premium Structure:
- * - 10% buyer's premium on all sales
- * - Additional 3% for card transactions
+ * Premium Structure (set per auction, see feeService):
+ * - Buyer's premium on each lot, flat or tiered by hammer price
+ * - Sales tax on hammer plus premium, by auction location (see taxService)
+ * - Additional card fee on the part paid by card
+ *
+ * Only cards go through Square; cash, checks, transfers and store credit
+ * are recorded here for our books.
  */
 
-const { Client, Environment } = require('square');
 const { v4: uuidv4 } = require('uuid');
+const fees = require('./feeService');
+const tax = require('./taxService');
+const { getPaymentProvider } = require('./payments');
+const Money = require('../../js/money');
 
-// Initialize Square client
-const squareClient = new Client({
-    accessToken: process.env.SQUARE_ACCESS_TOKEN,
-    environment: process.env.NODE_ENV === 'production' 
-        ? Environment.Production 
-        : Environment.Sandbox
-});
-
-const { paymentsApi, ordersApi, customersApi } = squareClient;
-
-// Premium rates
-const BUYERS_PREMIUM_RATE = 0.10; // 10%
-const CARD_FEE_RATE = 0.03;       // 3%
+// Ways a buyer can pay. requires lists the tender fields each one must
+// carry; only methods with cardFee pay the card processing fee.
+const PAYMENT_METHODS = {
+    cash: { label: 'Cash', prefix: 'CASH', requires: [] },
+    card: { label: 'Card', requires: ['sourceId'], cardFee: true },
+    check: { label: 'Check', prefix: 'CHECK', requires: ['checkNumber'] },
+    ach: { label: 'ACH', prefix: 'ACH', requires: ['reference'] },
+    wire: { label: 'Wire Transfer', prefix: 'WIRE', requires: ['reference'] },
+    credit: { label: 'Store Credit', prefix: 'CREDIT', requires: [] }
+};
 
 /**
- * Calculate totals including premiums
- * @param {number} hammerPrice - Winning bid amount
- * @param {boolean} isCardPayment - Whether paying by card
- * @returns {Object} Breakdown of all charges
+ * Calculate charges including premiums and tax, in integer cents.
+ * Every amount is whole cents before it is added, so the parts always
+ * sum to the total and to the Square order built from them.
+ * @param {Array} items - Lots being paid for ({ hammerPrice } in dollars)
+ * @param {Array} tenders - How the buyer is paying: [{ type, amount }], type from PAYMENT_METHODS.
+ *   amount (dollars) is what the tender puts toward the invoice; card tenders are
+ *   charged that plus the card fee. A tender with no amount covers the rest.
+ * @param {Object} options
+ * @param {Object} options.feeSchedule - Defaults to the current auction's schedule
+ * @param {number} options.taxRate - Percent; defaults to the current auction's location
+ * @param {string} options.taxExemptCertificate - Buyer's resale certificate, if any
+ * @returns {Object} Breakdown of all charges in cents, with per-lot lines
  */
-function calculateTotals(hammerPrice, isCardPayment = false) {
-    const buyersPremium = hammerPrice * BUYERS_PREMIUM_RATE;
+function calculateCharges(items, tenders = [], {
+    feeSchedule = fees.getCurrentFeeSchedule(),
+    taxRate = tax.getCurrentTaxRate(),
+    taxExemptCertificate = null
+} = {}) {
+    // Premium tiers apply lot by lot
+    const lines = items.map(item => {
+        const hammer = Money.toCents(item.hammerPrice || 0);
+        return { lotNumber: item.lotNumber, hammer, premium: fees.calculatePremium(hammer, feeSchedule) };
+    });
+
+    const hammerPrice = Money.sum(lines.map(line => line.hammer));
+    const buyersPremium = Money.sum(lines.map(line => line.premium));
     const subtotal = hammerPrice + buyersPremium;
-    const cardFee = isCardPayment ? subtotal * CARD_FEE_RATE : 0;
-    const total = subtotal + cardFee;
+    const appliedTaxRate = taxExemptCertificate ? 0 : taxRate;
+    const salesTax = tax.calculateTax(subtotal, appliedTaxRate);
+    const amountDue = subtotal + salesTax;
+
+    // The card fee applies only to the part paid by card
+    let remaining = amountDue;
+    const tenderLines = tenders.map(tender => {
+        const amount = tender.amount === undefined || tender.amount === null || tender.amount === ''
+            ? remaining
+            : Money.toCents(tender.amount);
+        const cardFee = PAYMENT_METHODS[tender.type]?.cardFee ? fees.calculateCardFee(amount, feeSchedule) : 0;
+        remaining -= amount;
+        return { type: tender.type, amount, cardFee, charge: amount + cardFee };
+    });
+
+    const cardFee = Money.sum(tenderLines.map(tender => tender.cardFee));
+    const applied = Money.sum(tenderLines.map(tender => tender.amount));
+    const isCardPayment = tenderLines.some(tender => tender.type === 'card');
 
     return {
-        hammerPrice: roundToTwo(hammerPrice),
-        buyersPremium: roundToTwo(buyersPremium),
-        buyersPremiumRate: `${BUYERS_PREMIUM_RATE * 100}%`,
-        subtotal: roundToTwo(subtotal),
-        cardFee: roundToTwo(cardFee),
-        cardFeeRate: isCardPayment ? `${CARD_FEE_RATE * 100}%` : '0%',
-        total: roundToTwo(total),
+        lines,
+        hammerPrice,
+        buyersPremium,
+        buyersPremiumRate: fees.describePremium(feeSchedule),
+        subtotal,
+        tax: salesTax,
+        taxRate: tax.describeTaxRate(appliedTaxRate),
+        taxExemptCertificate: taxExemptCertificate || null,
+        amountDue,
+        tenders: tenderLines,
+        cardFee,
+        cardFeeRate: isCardPayment ? fees.describeCardFee(feeSchedule) : '0%',
+        total: amountDue + cardFee,
+        amountPaid: applied + cardFee,
+        balanceDue: amountDue - applied,
         isCardPayment
     };
 }
 
 /**
- * Create a Square order for the transaction
+ * Calculate totals including premiums and tax, in dollars for the API
+ * (same arguments as calculateCharges)
+ */
+function calculateTotals(items, tenders = [], options = {}) {
+    return toDollarTotals(calculateCharges(items, tenders, options));
+}
+
+// API shape of calculateCharges' result (amounts in dollars)
+function toDollarTotals(charges) {
+    return {
+        hammerPrice: Money.fromCents(charges.hammerPrice),
+        buyersPremium: Money.fromCents(charges.buyersPremium),
+        buyersPremiumRate: charges.buyersPremiumRate,
+        subtotal: Money.fromCents(charges.subtotal),
+        tax: Money.fromCents(charges.tax),
+        taxRate: charges.taxRate,
+        taxExemptCertificate: charges.taxExemptCertificate,
+        cardFee: Money.fromCents(charges.cardFee),
+        cardFeeRate: charges.cardFeeRate,
+        total: Money.fromCents(charges.total),
+        tenders: charges.tenders.map(tender => ({
+            type: tender.type,
+            amount: Money.fromCents(tender.amount),
+            cardFee: Money.fromCents(tender.cardFee),
+            charge: Money.fromCents(tender.charge)
+        })),
+        amountPaid: Money.fromCents(charges.amountPaid),
+        balanceDue: Money.fromCents(charges.balanceDue),
+        isCardPayment: charges.isCardPayment
+    };
+}
+
+/**
+ * Create an itemised order for the transaction (paid in full by one tender).
+ * Each lot's line item carries the lot's catalog details as metadata, so
+ * Square orders can be matched back to our lots and invoice.
+ * @param {Object} options
+ * @param {Object} options.feeSchedule - When not the current auction's
+ * @param {number} options.taxRate - When not the current auction's
+ * @param {string} options.idempotencyKey - Same key, same order; a new one by default
+ * @param {Object} options.invoice - invoices row the lots are on
+ * @param {Object} options.auction - Auction the lots were sold in
+ * @param {Array} options.lots - Lot row behind each item, null where there is none
+ * @param {string} options.referenceId - Defaults to the invoice's (see invoiceReference),
+ *   or one from the current time
  */
-async function createOrder(items, buyerInfo, locationId) {
-    const lineItems = items.map(item => ({
+async function createOrder(items, buyerInfo, locationId, {
+    feeSchedule,
+    taxRate,
+    idempotencyKey = uuidv4(),
+    invoice = null,
+    auction = null,
+    lots = [],
+    referenceId = invoice ? invoiceReference(invoice.id) : `AHA-${Date.now()}`
+} = {}) {
+    const charges = calculateCharges(items, [{ type: buyerInfo.isCardPayment ? 'card' : 'cash' }], {
+        feeSchedule,
+        taxRate,
+        taxExemptCertificate: buyerInfo.taxExemptCertificate
+    });
+
+    const lineItems = items.map((item, index) => ({
         name: `Lot ${item.lotNumber}: ${item.description}`,
-        quantity: '1',
-        basePriceMoney: {
-            amount: BigInt(Math.round(item.hammerPrice * 100)), // Convert to cents
-            currency: 'USD'
-        },
-        note: `Hammer: $${item.hammerPrice}`
+        amount: charges.lines[index].hammer,
+        note: `Hammer: ${Money.format(charges.lines[index].hammer)}`,
+        metadata: lotMetadata(item, lots[index], invoice)
     }));
 
-    // Calculate total premium
-    const totalHammer = items.reduce((sum, item) => sum + item.hammerPrice, 0);
-    const totals = calculateTotals(totalHammer, buyerInfo.isCardPayment);
-
     // Add buyer's premium as line item
     lineItems.push({
-        name: "Buyer's Premium (10%)",
-        quantity: '1',
-        basePriceMoney: {
-            amount: BigInt(Math.round(totals.buyersPremium * 100)),
-            currency: 'USD'
-        }
+        name: `Buyer's Premium (${charges.buyersPremiumRate})`,
+        amount: charges.buyersPremium,
+        metadata: { kind: 'buyers_premium' }
     });
 
+    // Add sales tax (exempt buyers have none)
+    if (charges.tax > 0) {
+        lineItems.push({
+            name: `Sales Tax (${charges.taxRate})`,
+            amount: charges.tax,
+            metadata: { kind: 'sales_tax' }
+        });
+    }
+
     // Add card fee if applicable
-    if (buyerInfo.isCardPayment && totals.cardFee > 0) {
+    if (buyerInfo.isCardPayment && charges.cardFee > 0) {
         lineItems.push({
-            name: "Card Processing Fee (3%)",
-            quantity: '1',
-            basePriceMoney: {
-                amount: BigInt(Math.round(totals.cardFee * 100)),
-                currency: 'USD'
-            }
+            name: `Card Processing Fee (${charges.cardFeeRate})`,
+            amount: charges.cardFee,
+            metadata: { kind: 'card_fee' }
         });
     }
 
     try {
-        const response = await ordersApi.createOrder({
-            order: {
-                locationId: locationId || process.env.SQUARE_LOCATION_ID,
-                lineItems,
-                referenceId: `AHA-${Date.now()}`, // Almost Heaven Auctions reference
-                metadata: {
-                    buyerNumber: buyerInfo.buyerNumber?.toString(),
-                    buyerName: buyerInfo.name,
-                    auctionDate: new Date().toISOString().split('T')[0]
-                }
-            },
-            idempotencyKey: uuidv4()
+        const order = await getPaymentProvider().createOrder({
+            locationId: locationId || process.env.SQUARE_LOCATION_ID,
+            lineItems,
+            referenceId, // Almost Heaven Auctions reference
+            metadata: toMetadata({
+                buyerNumber: buyerInfo.buyerNumber,
+                buyerName: buyerInfo.name,
+                taxExemptCertificate: buyerInfo.taxExemptCertificate,
+                invoiceId: invoice?.id,
+                auctionId: auction?.id,
+                auctionDate: auction?.auction_date || new Date().toISOString().split('T')[0]
+            }),
+            idempotencyKey
         });
 
         return {
             success: true,
-            order: response.result.order,
-            totals
+            order,
+            totals: toDollarTotals(charges)
         };
     } catch (error) {
-        console.error('Square Order Error:', error);
+        console.error('Order Error:', error.message);
         return {
             success: false,
             error: error.message
@@ -117,53 +220,172 @@ async function createOrder(items, buyerInfo, locationId) {
     }
 }
 
+// Catalog details for a lot's order line item
+function lotMetadata(item, lot, invoice) {
+    return toMetadata({
+        kind: 'lot',
+        lotId: lot?.id,
+        lotNumber: item.lotNumber,
+        auctionId: lot?.auction_id,
+        invoiceId: invoice?.id,
+        category: lot?.category,
+        consignorId: lot?.consignor_id,
+        online: lot?.is_online ? 'true' : null
+    });
+}
+
+// Square only takes string values (up to 255 characters), so leave out missing ones
+function toMetadata(values) {
+    return Object.fromEntries(Object.entries(values)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => [key, String(value).slice(0, 255)]));
+}
+
 /**
- * Process card payment via Square
+ * Reference ID for an invoice's Square orders and payments
  */
-async function processCardPayment(sourceId, amount, orderId, buyerInfo) {
+function invoiceReference(invoiceId) {
+    return `AHA-INV-${invoiceId}`;
+}
+
+/**
+ * The invoice ID in a Square reference ID, or null when it isn't an invoice's
+ */
+function parseInvoiceReference(referenceId) {
+    const match = /^AHA-INV-(\d+)$/.exec(referenceId || '');
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Process card payment
+ * @param {Object} options
+ * @param {string} options.idempotencyKey - Sending the same key again returns the
+ *   first charge instead of making another; a new one by default
+ * @param {string} options.referenceId - Defaults to one from the buyer and current time
+ * @returns {Promise<Object>} { success, payment: { id, status, receiptUrl, ... } } or { success: false, error }
+ */
+async function processCardPayment(sourceId, amount, orderId, buyerInfo, {
+    idempotencyKey = uuidv4(),
+    referenceId = `AHA-${buyerInfo.buyerNumber}-${Date.now()}`
+} = {}) {
     try {
-        const response = await paymentsApi.createPayment({
-            sourceId, // From Square Web Payments SDK
-            idempotencyKey: uuidv4(),
-            amountMoney: {
-                amount: BigInt(Math.round(amount * 100)), // Convert to cents
-                currency: 'USD'
-            },
+        const payment = await getPaymentProvider().charge({
+            sourceId, // From Square Web Payments SDK (or a test nonce for the mock)
+            idempotencyKey,
+            amount: Money.toCents(amount),
             orderId,
-            referenceId: `AHA-${buyerInfo.buyerNumber}-${Date.now()}`,
+            referenceId,
             note: `Almost Heaven Auctions - Buyer #${buyerInfo.buyerNumber}`,
-            buyerEmailAddress: buyerInfo.email || undefined
+            buyerEmail: buyerInfo.email
         });
 
         return {
             success: true,
-            payment: response.result.payment
+            payment
+        };
+    } catch (error) {
+        console.error('Payment Error:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Square orders and card payments from one day, to check against our records
+ * @param {string} date - YYYY-MM-DD, a day in server local time
+ * @returns {Promise<Object>} { success, orders, payments } or { success: false, error }
+ */
+async function fetchDaySales(date, locationId) {
+    const from = new Date(`${date}T00:00:00`);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 1);
+
+    try {
+        const provider = getPaymentProvider();
+        const range = { locationId: locationId || process.env.SQUARE_LOCATION_ID, from, to };
+        return {
+            success: true,
+            orders: await provider.searchOrders(range),
+            payments: await provider.listPayments(range)
         };
     } catch (error) {
-        console.error('Square Payment Error:', error);
+        console.error('Sales Lookup Error:', error.message);
         return {
             success: false,
-            error: error.errors?.[0]?.detail || error.message
+            error: error.message
         };
     }
 }
 
 /**
- * Record a cash payment (no actual Square transaction, just for records)
+ * Look up a card payment's current state with the provider
+ * @returns {Promise<Object>} { success, payment } or { success: false, error }
  */
-function recordCashPayment(items, buyerInfo, totals) {
+async function fetchCardPayment(paymentId) {
+    try {
+        return {
+            success: true,
+            payment: await getPaymentProvider().getPayment(paymentId)
+        };
+    } catch (error) {
+        console.error('Payment Lookup Error:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Record a payment taken outside Square: cash, check, ACH, wire or store credit
+ * @param {Object} details - The method's required fields (checkNumber, reference)
+ */
+function recordOfflinePayment(type, items, buyerInfo, totals, details = {}) {
     return {
         success: true,
-        paymentType: 'cash',
-        transactionId: `CASH-${Date.now()}`,
+        paymentType: type,
+        transactionId: `${PAYMENT_METHODS[type].prefix}-${Date.now()}`,
         buyerNumber: buyerInfo.buyerNumber,
         buyerName: buyerInfo.name,
         items,
         totals,
+        ...details,
         timestamp: new Date().toISOString()
     };
 }
 
+/**
+ * Refund part or all of a card payment
+ * @param {string} paymentId - Provider payment to refund
+ * @param {number} amount - Dollars to give back
+ * @param {Object} options
+ * @param {string} options.idempotencyKey - Sending the same key again returns the
+ *   first refund instead of making another; a new one by default
+ */
+async function refundCardPayment(paymentId, amount, reason, { idempotencyKey = uuidv4() } = {}) {
+    try {
+        const refund = await getPaymentProvider().refund({
+            idempotencyKey,
+            paymentId,
+            amount: Money.toCents(amount),
+            reason
+        });
+
+        return {
+            success: true,
+            refund
+        };
+    } catch (error) {
+        console.error('Refund Error:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
 /**
  * Get Square Web Payments SDK application ID
  */
@@ -178,18 +400,32 @@ function getSquareLocationId() {
     return process.env.SQUARE_LOCATION_ID;
 }
 
-// Helper to round to 2 decimal places
-function roundToTwo(num) {
-    return Math.round((num + Number.EPSILON) * 100) / 100;
+/**
+ * Which provider takes card payments: { name, label, configured }
+ */
+function getPaymentProviderInfo() {
+    const provider = getPaymentProvider();
+    return {
+        name: provider.name,
+        label: provider.label,
+        configured: provider.isConfigured()
+    };
 }
 
 module.exports = {
+    PAYMENT_METHODS,
+    calculateCharges,
     calculateTotals,
+    toDollarTotals,
     createOrder,
+    invoiceReference,
+    parseInvoiceReference,
     processCardPayment,
-    recordCashPayment,
+    fetchCardPayment,
+    fetchDaySales,
+    recordOfflinePayment,
+    refundCardPayment,
     getSquareAppId,
     getSquareLocationId,
-    BUYERS_PREMIUM_RATE,
-    CARD_FEE_RATE
+    getPaymentProviderInfo
 };
@@ -0,0 +1,119 @@
+/**
+ * Square Sync Service
+ * Pulls an auction day's Square orders and card payments and checks each
+ * one against our database, to catch sales that reached Square but were
+ * never recorded here (the server went down between charging and saving,
+ * or a sale was rung up in the Square app instead of at our counter).
+ * It only reports; nothing is changed.
+ *
+ * Issues found:
+ * - order_missing: a paid Square order with no transaction
+ * - payment_missing: a completed card payment with no tender or transaction
+ * - invoice_mismatch: the order names one of our invoices, its transaction another
+ *
+ * Amounts are integer cents, as everywhere in the database.
+ */
+
+const db = require('./databaseService');
+const { fetchDaySales, parseInvoiceReference } = require('./squareService');
+const { FAILED_PAYMENT_STATUSES } = require('./squareWebhookService');
+
+/**
+ * Check the sales on an auction's date
+ * @returns {Promise<Object>} See syncDate; null for an unknown auction
+ */
+async function syncAuction(auctionId) {
+    const auction = db.getAuctionById(auctionId);
+    if (!auction) return null;
+
+    return { auctionId: auction.id, ...(await syncDate(auction.auction_date)) };
+}
+
+/**
+ * Check one day's Square orders and payments against our records
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object>} { date, orders, payments, issues: [{ type, orderId, paymentId,
+ *   invoiceId, buyerNumber, amount, createdAt, detail }] }
+ * @throws {Error} When the provider can't be reached
+ */
+async function syncDate(date) {
+    const sales = await fetchDaySales(date);
+    if (!sales.success) {
+        throw new Error(sales.error);
+    }
+
+    // Orders nobody paid for are left by declined cards; only paid ones count
+    const paidOrders = sales.orders.filter(order => order.paymentIds.length > 0 || order.state === 'COMPLETED');
+    const payments = sales.payments.filter(payment => !FAILED_PAYMENT_STATUSES.includes(payment.status));
+    const issues = [
+        ...paidOrders.map(checkOrder),
+        ...payments.map(checkPayment)
+    ].filter(Boolean);
+
+    issues.forEach(issue => console.warn(`Square sync ${date}: ${issue.detail}`));
+
+    return {
+        date,
+        orders: paidOrders.length,
+        payments: payments.length,
+        issues
+    };
+}
+
+function checkOrder(order) {
+    const row = db.getTransactionByOrderId(order.id);
+    const invoiceId = orderInvoiceId(order);
+
+    if (!row) {
+        return issue('order_missing', {
+            orderId: order.id,
+            paymentId: order.paymentIds[0] || null,
+            invoiceId,
+            buyerNumber: order.metadata.buyerNumber || null,
+            amount: order.totalAmount,
+            createdAt: order.createdAt
+        }, `Square order ${order.id} has no transaction`);
+    }
+
+    if (invoiceId && row.invoice_id && invoiceId !== row.invoice_id) {
+        return issue('invoice_mismatch', {
+            orderId: order.id,
+            paymentId: row.square_payment_id,
+            invoiceId,
+            buyerNumber: row.bidder_number,
+            amount: order.totalAmount,
+            createdAt: order.createdAt
+        }, `Square order ${order.id} is for invoice ${invoiceId} but ${row.transaction_id} is on invoice ${row.invoice_id}`);
+    }
+    return null;
+}
+
+function checkPayment(payment) {
+    if (db.getTenderBySquarePayment(payment.id) || db.getTransactionBySquarePayment(payment.id)) {
+        return null;
+    }
+
+    return issue('payment_missing', {
+        orderId: payment.orderId,
+        paymentId: payment.id,
+        invoiceId: parseInvoiceReference(payment.referenceId),
+        buyerNumber: null,
+        amount: payment.amount,
+        createdAt: payment.createdAt
+    }, `Square payment ${payment.id} is not recorded`);
+}
+
+// Our invoice an order was made for, from its reference or metadata
+function orderInvoiceId(order) {
+    return parseInvoiceReference(order.referenceId)
+        ?? (order.metadata.invoiceId ? Number(order.metadata.invoiceId) : null);
+}
+
+function issue(type, details, detail) {
+    return { type, ...details, detail };
+}
+
+module.exports = {
+    syncAuction,
+    syncDate
+};
@@ -0,0 +1,318 @@
+/**
+ * Square Webhook Service
+ * Applies what Square tells us after the fact to our transactions:
+ * - payment.updated: card payments that complete late, or fail after we took them
+ * - refund.created / refund.updated: refunds issued from the Square Dashboard,
+ *   and our own refunds that Square later rejects
+ * - dispute.*: chargebacks opened, won or lost
+ *
+ * Amounts are integer cents, as everywhere in the database.
+ */
+
+const { WebhooksHelper } = require('square');
+const db = require('./databaseService');
+const invoices = require('./invoiceService');
+const Money = require('../../js/money');
+
+// Square payment and refund statuses that mean the money never moved
+const FAILED_PAYMENT_STATUSES = ['FAILED', 'CANCELED'];
+const FAILED_REFUND_STATUSES = ['FAILED', 'REJECTED'];
+
+// A refund, void or payment still holding its transaction after this long
+// died part way (as CHECKOUT_STALE_MS in the checkout routes)
+const HOLD_STALE_SECONDS = 60;
+
+// Dispute states that close a dispute against us / in our favour
+const LOST_DISPUTE_STATES = ['LOST', 'ACCEPTED'];
+const WON_DISPUTE_STATES = ['WON'];
+
+// Each event type's handler and the key its object sits under in data.object
+const HANDLERS = {
+    'payment.created': { object: 'payment', handle: handlePayment },
+    'payment.updated': { object: 'payment', handle: handlePayment },
+    'refund.created': { object: 'refund', handle: handleRefund },
+    'refund.updated': { object: 'refund', handle: handleRefund },
+    'dispute.created': { object: 'dispute', handle: handleDispute },
+    'dispute.state.changed': { object: 'dispute', handle: handleDispute },
+    'dispute.state.updated': { object: 'dispute', handle: handleDispute }
+};
+
+/**
+ * Whether webhooks can be verified: both the subscription's signature key
+ * and the exact notification URL it was registered with are needed
+ */
+function isConfigured() {
+    return Boolean(process.env.SQUARE_WEBHOOK_SIGNATURE_KEY && process.env.SQUARE_WEBHOOK_URL);
+}
+
+/**
+ * Check the x-square-hmacsha256-signature header against the raw body
+ * @param {string} rawBody - Request body exactly as received
+ */
+function verifySignature(rawBody, signature) {
+    if (!signature) return false;
+
+    return WebhooksHelper.isValidWebhookEventSignature(
+        rawBody,
+        signature,
+        process.env.SQUARE_WEBHOOK_SIGNATURE_KEY,
+        process.env.SQUARE_WEBHOOK_URL
+    );
+}
+
+/**
+ * Apply an event and record it. An event seen before (Square retries until
+ * it gets a 2xx) is not applied again, and neither is one whose payload
+ * isn't shaped as expected: retrying it would never go any better. A
+ * deferred event is not recorded, so it's applied when Square retries.
+ * @param {Object} event - Parsed webhook body
+ * @returns {Object} { duplicate, deferred, handled, transactionId, note }
+ */
+function processEvent(event) {
+    if (db.getWebhookEvent(event.event_id)) {
+        return { duplicate: true, handled: false, transactionId: null, note: 'Already received' };
+    }
+
+    const handler = HANDLERS[event.type];
+    const object = handler ? event.data?.object?.[handler.object] : null;
+
+    let result;
+    if (!handler) {
+        result = unmatched('Unhandled event type');
+    } else if (!isUsable(object, handler.object)) {
+        result = unmatched(`No usable ${handler.object} in the event`);
+    } else {
+        result = handler.handle(object);
+    }
+
+    if (result.deferred) {
+        console.warn(`Square webhook: ${event.type} (${event.event_id}) deferred: ${result.note}`);
+        return { duplicate: false, ...result };
+    }
+
+    if (!handler) {
+        console.warn(`Square webhook: unhandled event ${event.type} (${event.event_id})`);
+    } else if (!result.handled) {
+        console.warn(`Square webhook: ${event.type} (${event.event_id}) not applied: ${result.note}`);
+    }
+
+    db.saveWebhookEvent({
+        event_id: event.event_id,
+        type: event.type,
+        transaction_id: result.transactionId,
+        handled: result.handled,
+        note: result.note,
+        payload: event
+    });
+
+    return { duplicate: false, ...result };
+}
+
+// ===========================================
+// PAYMENTS
+// ===========================================
+
+/**
+ * A payment that completes late only confirms what we recorded. One that
+ * fails or is cancelled after we took it comes off the transaction: the
+ * card fee isn't owed, the balance is due again and the lots are unpaid.
+ */
+function handlePayment(payment) {
+    const { tender, row } = findPayment(payment.id);
+    if (!row) {
+        return unmatched(`No transaction for Square payment ${payment.id}`);
+    }
+
+    const failed = FAILED_PAYMENT_STATUSES.includes(payment.status);
+    const alreadyFailed = tender && FAILED_PAYMENT_STATUSES.includes(tender.square_status);
+    if (tender) {
+        db.setTenderSquareStatus(tender.id, payment.status);
+    }
+
+    if (!failed || alreadyFailed || row.status === 'voided') {
+        return applied(row, `Payment ${payment.status}`);
+    }
+
+    // Checkouts from before split tender were one card tender for the whole row
+    const amount = tender ? tender.amount : row.total - row.card_fee;
+    const cardFee = tender ? tender.card_fee : row.card_fee;
+    const paid = {
+        ...row,
+        card_fee: row.card_fee - cardFee,
+        total: row.total - cardFee,
+        amount_paid: (row.amount_paid ?? row.total) - amount - cardFee
+    };
+
+    const updated = db.updateTransaction(row.transaction_id, {
+        card_fee: paid.card_fee,
+        total: paid.total,
+        amount_paid: paid.amount_paid,
+        status: settledStatusOf(paid)
+    });
+    invoices.markUnpaid(updated);
+
+    console.warn(`Square webhook: card payment ${payment.id} ${payment.status}; ${Money.format(amount)} is due again on ${row.transaction_id}`);
+    return applied(updated, `Payment ${payment.status}: ${Money.format(amount + cardFee)} removed`);
+}
+
+// ===========================================
+// REFUNDS
+// ===========================================
+
+/**
+ * Our own refunds are already recorded, so only a rejection changes
+ * anything. Refunds made in the Square Dashboard are recorded against the
+ * card tender they went back to; which lots they cover isn't known, so
+ * none are returned. A refund Square reports while our own refund or void
+ * is still running on the transaction is likely that one, not yet
+ * recorded: it waits for Square's retry.
+ */
+function handleRefund(refund) {
+    const failed = FAILED_REFUND_STATUSES.includes(refund.status);
+    const known = db.getRefundBySquareId(refund.id);
+
+    if (known) {
+        const row = db.getTransactionById(known.transaction_id);
+        const alreadyFailed = FAILED_REFUND_STATUSES.includes(known.square_status);
+        db.setRefundSquareStatus(known.id, refund.status);
+
+        if (!failed || alreadyFailed) {
+            return applied(row, `Refund ${refund.status}`);
+        }
+
+        const amountRefunded = Math.max((row.amount_refunded || 0) - known.amount, 0);
+        const updated = db.updateTransaction(row.transaction_id, {
+            amount_refunded: amountRefunded,
+            status: row.status === 'voided' ? undefined : settledStatusOf({ ...row, amount_refunded: amountRefunded })
+        });
+
+        console.warn(`Square webhook: refund ${refund.id} of ${Money.format(known.amount)} on ${row.transaction_id} was ${refund.status}; the buyer has not been repaid`);
+        return applied(updated, `Refund ${refund.status}: ${Money.format(known.amount)} not returned`);
+    }
+
+    if (failed) {
+        return { handled: true, transactionId: null, note: `Refund ${refund.status}; nothing was recorded for it` };
+    }
+
+    const { tender, row } = findPayment(refund.payment_id);
+    if (!row) {
+        return unmatched(`No transaction for Square payment ${refund.payment_id}`);
+    }
+
+    if (db.isTransactionHeld(row.transaction_id, HOLD_STALE_SECONDS)) {
+        return deferred(row, `A refund or void is under way on ${row.transaction_id}`);
+    }
+
+    const amount = Number(refund.amount_money.amount);
+    db.addRefund({
+        refund_id: `RF-${Date.now()}`,
+        transaction_id: row.transaction_id,
+        tender_id: tender ? tender.id : null,
+        kind: 'refund',
+        method: 'card',
+        amount,
+        square_refund_id: refund.id,
+        square_status: refund.status,
+        reason: refund.reason || 'Refunded from the Square Dashboard'
+    });
+
+    const amountRefunded = (row.amount_refunded || 0) + amount;
+    const updated = db.updateTransaction(row.transaction_id, {
+        amount_refunded: amountRefunded,
+        status: row.status === 'voided' ? undefined : settledStatusOf({ ...row, amount_refunded: amountRefunded })
+    });
+
+    return applied(updated, `Refund of ${Money.format(amount)} recorded from Square`);
+}
+
+// ===========================================
+// DISPUTES
+// ===========================================
+
+/**
+ * An open dispute holds the transaction as 'disputed'; a lost one leaves it
+ * 'charged_back'. A won dispute puts it back as it was.
+ */
+function handleDispute(dispute) {
+    const paymentId = dispute.disputed_payment?.payment_id || dispute.payment_id;
+    const { row } = findPayment(paymentId);
+    if (!row) {
+        return unmatched(`No transaction for Square payment ${paymentId}`);
+    }
+    if (row.status === 'voided') {
+        return applied(row, `Dispute ${dispute.state} on a voided transaction`);
+    }
+
+    let status = 'disputed';
+    if (LOST_DISPUTE_STATES.includes(dispute.state)) {
+        status = 'charged_back';
+        console.warn(`Square webhook: dispute ${dispute.id} on ${row.transaction_id} closed ${dispute.state}`);
+    } else if (WON_DISPUTE_STATES.includes(dispute.state)) {
+        status = settledStatusOf(row);
+    }
+
+    const updated = db.updateTransaction(row.transaction_id, { status });
+    return applied(updated, `Dispute ${dispute.state}`);
+}
+
+// ===========================================
+// HELPERS
+// ===========================================
+
+// Whether an event's object has what its handler reads
+function isUsable(object, kind) {
+    if (!object || typeof object !== 'object' || !object.id) return false;
+
+    if (kind === 'dispute') {
+        return Boolean(object.state);
+    }
+    if (kind === 'refund' && object.amount_money?.amount === undefined) {
+        return false;
+    }
+    return Boolean(object.status);
+}
+
+// The tender (if any) and transaction a Square payment belongs to
+function findPayment(paymentId) {
+    if (!paymentId) return { tender: null, row: null };
+
+    const tender = db.getTenderBySquarePayment(paymentId);
+    const row = tender
+        ? db.getTransactionById(tender.transaction_id)
+        : db.getTransactionBySquarePayment(paymentId);
+    return { tender: tender || null, row: row || null };
+}
+
+/**
+ * Status from what has been paid and refunded: the same rules checkout
+ * uses when taking tenders and refunds (card fees are never refunded)
+ */
+function settledStatusOf(row) {
+    const paid = row.amount_paid ?? row.total;
+    const refunded = row.amount_refunded || 0;
+
+    if (refunded > 0) {
+        return refunded >= paid - row.card_fee ? 'refunded' : 'partially_refunded';
+    }
+    return paid >= row.total ? 'completed' : 'partial';
+}
+
+function applied(row, note) {
+    return { handled: true, transactionId: row.transaction_id, note };
+}
+
+function unmatched(note) {
+    return { handled: false, transactionId: null, note };
+}
+
+function deferred(row, note) {
+    return { handled: false, deferred: true, transactionId: row.transaction_id, note };
+}
+
+module.exports = {
+    FAILED_PAYMENT_STATUSES,
+    FAILED_REFUND_STATUSES,
+    isConfigured,
+    verifySignature,
+    processEvent
+};
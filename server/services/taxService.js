@@ -0,0 +1,52 @@
+/**
+ * Tax Service
+ * Sales tax on hammer plus premium, at the rate set for the auction's
+ * location. Buyers with a resale certificate on file are exempt.
+ */
+
+const db = require('./databaseService');
+const Money = require('../../js/money');
+
+/**
+ * Validate a tax rate (percent) from user input
+ * @throws {Error} When the rate is out of range
+ */
+function normalizeTaxRate(rate) {
+    const value = Number(rate);
+    if (rate === null || rate === undefined || rate === '' || !(value >= 0 && value <= 100)) {
+        throw new Error('Tax rate must be between 0 and 100 percent');
+    }
+    return value;
+}
+
+/**
+ * Tax percent for an auction; locations without a rate are untaxed
+ */
+function getTaxRate(auction) {
+    if (!auction) return 0;
+    const row = db.getTaxRateForLocation(auction.location);
+    return row ? row.rate : 0;
+}
+
+function getCurrentTaxRate() {
+    return getTaxRate(db.getCurrentAuction());
+}
+
+/**
+ * Tax on an amount, in cents
+ */
+function calculateTax(amountCents, rate) {
+    return Money.percentOf(amountCents, rate);
+}
+
+function describeTaxRate(rate) {
+    return `${rate}%`;
+}
+
+module.exports = {
+    normalizeTaxRate,
+    getTaxRate,
+    getCurrentTaxRate,
+    calculateTax,
+    describeTaxRate
+};
@@ -0,0 +1,222 @@
+/**
+ * Timed Auction Service
+ * Online-only sales where every lot has its own closing time:
+ * - Valid bids are accepted immediately (no clerk in the loop)
+ * - Soft close: a bid in the last N minutes pushes that lot's close out
+ * - A scheduler closes lots as they end and declares the winners
+ */
+
+const db = require('./databaseService');
+const bidding = require('./biddingService');
+const invoices = require('./invoiceService');
+const { formatImages } = require('./imageService');
+const Money = require('../../js/money');
+
+// Default soft-close window when an auction doesn't set its own
+const SOFT_CLOSE_MINUTES = parseInt(process.env.TIMED_SOFT_CLOSE_MINUTES) || 2;
+
+// How often the scheduler looks for lots that have ended
+const CLOSE_CHECK_SECONDS = parseInt(process.env.TIMED_CLOSE_CHECK_SECONDS) || 5;
+
+let bidSequence = 0;
+
+/**
+ * Lowest bid the lot will take right now.
+ * The first bid may be the starting bid itself; after that, one increment over.
+ */
+function getMinimumBid(lot, table) {
+    if (!lot.bid_count) {
+        return Money.fromCents(lot.starting_bid) || bidding.getIncrement(0, table);
+    }
+    return bidding.getNextValidBid(Money.fromCents(lot.current_bid), table);
+}
+
+function isLotOpen(lot, now = new Date()) {
+    return ['pending', 'active'].includes(lot.status)
+        && Boolean(lot.ends_at)
+        && new Date(lot.ends_at) > now;
+}
+
+/**
+ * Place a bid on a timed lot for an approved registration.
+ * Runs synchronously, so two bids can't interleave between check and write.
+ * @returns {Object} { lot, bid, previousHighBidder, extended } or { error, statusCode }
+ */
+function placeBid(lotId, registration, amount) {
+    const lot = db.getLotById(lotId);
+    if (!lot) {
+        return { error: 'Lot not found', statusCode: 404 };
+    }
+
+    const auction = db.getAuctionById(lot.auction_id);
+    if (!auction || auction.auction_type !== 'timed') {
+        return { error: 'This lot is not in a timed auction', statusCode: 400 };
+    }
+    if (registration.auction_id !== auction.id) {
+        return { error: 'You are not registered for this auction', statusCode: 403 };
+    }
+    if (registration.status !== 'approved') {
+        return { error: 'Your registration must be approved before you can bid', statusCode: 403 };
+    }
+
+    const now = new Date();
+    if (!isLotOpen(lot, now)) {
+        return { error: 'Bidding on this lot has closed', statusCode: 409 };
+    }
+    if (lot.bid_count && lot.high_bidder_number === registration.bidder_number) {
+        return { error: 'You are already the high bidder', statusCode: 409 };
+    }
+
+    const table = bidding.resolveIncrementTable(auction, lot.lot_number);
+    const minimumBid = getMinimumBid(lot, table);
+    if (!(amount >= minimumBid)) {
+        return { error: `Minimum bid is $${minimumBid}`, statusCode: 400, minimumBid };
+    }
+
+    // Bids climb from the minimum in whole increments, as on the floor
+    const onIncrement = bidding.roundUpToIncrement(amount, minimumBid, table);
+    if (onIncrement !== amount) {
+        return { error: `Bids go up in set increments; try $${onIncrement}`, statusCode: 400, minimumBid };
+    }
+
+    // Soft close: a late bid keeps the lot open for another full window
+    const windowMs = (auction.soft_close_minutes || SOFT_CLOSE_MINUTES) * 60 * 1000;
+    const extended = new Date(lot.ends_at) - now < windowMs;
+    const endsAt = extended ? new Date(now.getTime() + windowMs).toISOString() : lot.ends_at;
+
+    const bid = {
+        bid_id: `bid_${Date.now()}_t${bidSequence++}`,
+        auction_id: auction.id,
+        lot_number: lot.lot_number,
+        bidder_id: registration.bidder_number,
+        bidder_name: registration.name,
+        amount: Money.toCents(amount),
+        source: 'timed',
+        status: 'accepted',
+        is_online: true,
+        in_queue: false,
+        created_at: now.toISOString(),
+        resolved_at: now.toISOString()
+    };
+    db.saveBid(bid);
+
+    const updated = db.updateLot(lot.id, {
+        current_bid: bid.amount,
+        high_bidder_number: registration.bidder_number,
+        bid_count: (lot.bid_count || 0) + 1,
+        ends_at: endsAt,
+        status: 'active'
+    });
+
+    return {
+        lot: updated,
+        bid,
+        previousHighBidder: lot.bid_count ? lot.high_bidder_number : null,
+        extended
+    };
+}
+
+/**
+ * Close every timed lot whose time is up.
+ * Lots with bids are sold to the high bidder (and go on their invoice);
+ * the rest are passed.
+ * @returns {Array} Closed lot rows
+ */
+function closeEndedLots(now = new Date()) {
+    const closed = db.getTimedLotsDue(now.toISOString()).map(lot => {
+        if (!lot.bid_count) {
+            return db.updateLot(lot.id, { status: 'passed' });
+        }
+
+        const winner = db.getRegistrationByNumber(lot.auction_id, lot.high_bidder_number);
+        return db.updateLot(lot.id, {
+            status: 'sold',
+            winning_bid: lot.current_bid,
+            winner_bidder_number: lot.high_bidder_number,
+            winner_name: winner ? winner.name : `Bidder #${lot.high_bidder_number}`,
+            is_online: 1,
+            sold_at: now.toISOString()
+        });
+    });
+
+    invoices.addSoldLots(closed);
+    return closed;
+}
+
+/**
+ * Set staggered close times for an auction's lots (in lot-number order)
+ * @param {number} auctionId
+ * @param {string} firstEndsAt - Close time of the first lot
+ * @param {number} intervalSeconds - Gap between consecutive lots
+ */
+function scheduleLotClosings(auctionId, firstEndsAt, intervalSeconds = 0) {
+    const start = new Date(firstEndsAt).getTime();
+
+    return db.getLotsByAuction(auctionId)
+        .filter(lot => ['pending', 'active'].includes(lot.status))
+        .map((lot, index) => db.updateLot(lot.id, {
+            ends_at: new Date(start + index * intervalSeconds * 1000).toISOString()
+        }));
+}
+
+/**
+ * Check for ended lots on an interval and tell everyone the results
+ * @param {Object} io - Socket.io server
+ */
+function startScheduler(io) {
+    const tick = () => {
+        try {
+            closeEndedLots().forEach(lot => {
+                const result = formatTimedLot(lot);
+                io.emit('timed:closed', result);
+
+                if (lot.status === 'sold') {
+                    const winner = db.getRegistrationByNumber(lot.auction_id, lot.winner_bidder_number);
+                    if (winner) {
+                        io.to(`registration:${winner.id}`).emit('timed:won', result);
+                    }
+                    console.log(`Timed lot ${lot.lot_number} sold to #${lot.winner_bidder_number} for $${result.currentBid}`);
+                } else {
+                    console.log(`Timed lot ${lot.lot_number} passed (no bids)`);
+                }
+            });
+        } catch (error) {
+            console.error('Error closing timed lots:', error);
+        }
+    };
+
+    tick();
+    return setInterval(tick, CLOSE_CHECK_SECONDS * 1000);
+}
+
+// Public view of a timed lot (bidder identity is the paddle number only)
+function formatTimedLot(lot) {
+    const auction = db.getAuctionById(lot.auction_id);
+    const table = bidding.resolveIncrementTable(auction, lot.lot_number);
+
+    return {
+        id: lot.id,
+        auctionId: lot.auction_id,
+        number: lot.lot_number,
+        description: lot.description,
+        category: lot.category || 'General',
+        images: formatImages(lot.images),
+        startingBid: Money.fromCents(lot.starting_bid),
+        currentBid: lot.bid_count ? Money.fromCents(lot.current_bid) : null,
+        nextBid: getMinimumBid(lot, table),
+        bidCount: lot.bid_count || 0,
+        highBidderNumber: lot.high_bidder_number || null,
+        endsAt: lot.ends_at,
+        isOpen: isLotOpen(lot),
+        status: lot.status // pending, active, sold, passed
+    };
+}
+
+module.exports = {
+    SOFT_CLOSE_MINUTES,
+    placeBid,
+    closeEndedLots,
+    scheduleLotClosings,
+    startScheduler,
+    formatTimedLot
+};
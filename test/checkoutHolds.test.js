@@ -0,0 +1,141 @@
+/**
+ * Checkout holds - a checkout holds its lots (and a further payment its
+ * transaction) before any card is charged, so two registers, or a register
+ * and a payment link, can't both take payment for the same lots.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer, createAuction } = require('./helpers/server');
+const invoices = require('../server/services/invoiceService');
+const mockProvider = require('../server/services/payments/mockProvider');
+const checkoutRoutes = require('../server/routes/checkout');
+
+const CARD = 'cnon:card-nonce-ok';
+
+let server;
+let auction;
+
+test.before(async () => {
+    server = await startServer({ '/api/checkout': checkoutRoutes });
+    auction = createAuction({ title: 'Harvest', premiumRate: 10 });
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+test.after(() => server.close());
+
+// Card charges wait until released, to hold a checkout part way through
+function pauseCharges() {
+    const charge = mockProvider.charge;
+    let started;
+    let release;
+    const charging = new Promise(resolve => { started = resolve; });
+    const released = new Promise(resolve => { release = resolve; });
+
+    const paused = test.mock.method(mockProvider, 'charge', async (...args) => {
+        started();
+        await released;
+        return charge(...args);
+    });
+    return { charging, release, paused };
+}
+
+function sell(lotNumber, buyerNumber) {
+    return invoices.recordSale({ auctionId: auction.id, lotNumber, winningBid: 10000, buyerNumber }).lot;
+}
+
+function processCheckout(lot, buyerNumber, tender) {
+    return server.request('POST', '/api/checkout/process', {
+        items: [{ lotId: lot.id, lotNumber: lot.lot_number, hammerPrice: 100 }],
+        buyer: { buyerNumber },
+        ...tender
+    });
+}
+
+test('a second register can\'t check out lots while a card is being charged for them', async () => {
+    const lot = sell('1', 301);
+    const { charging, release, paused } = pauseCharges();
+
+    const first = processCheckout(lot, 301, { paymentType: 'card', sourceId: CARD });
+    await charging;
+
+    const second = await processCheckout(lot, 301, { paymentType: 'cash' });
+    assert.equal(second.status, 409);
+    assert.match(second.body.error, /being paid for/);
+
+    release();
+    const { status, body } = await first;
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(paused.mock.callCount(), 1);
+
+    const paidLot = db.getLotById(lot.id);
+    assert.equal(paidLot.transaction_id, body.transaction.id);
+    assert.equal(paidLot.held_by, null);
+    assert.equal(db.getTransactions().filter(row => row.bidder_number === '301').length, 1);
+});
+
+test('a payment link can\'t pay for lots a register is charging for', async () => {
+    const lot = sell('2', 302);
+    const token = invoices.getPayToken(db.getInvoiceByBuyer(auction.id, 302));
+    const { charging, release } = pauseCharges();
+
+    const atRegister = processCheckout(lot, 302, { paymentType: 'card', sourceId: CARD });
+    await charging;
+
+    const online = await server.request('POST', `/api/checkout/pay/${token}`, { sourceId: CARD });
+    assert.equal(online.status, 409);
+
+    release();
+    assert.equal((await atRegister).status, 200);
+});
+
+test('a register can\'t check out lots a payment link is charging for', async () => {
+    const lot = sell('3', 303);
+    const token = invoices.getPayToken(db.getInvoiceByBuyer(auction.id, 303));
+    const { charging, release } = pauseCharges();
+
+    const online = server.request('POST', `/api/checkout/pay/${token}`, { sourceId: CARD });
+    await charging;
+
+    const atRegister = await processCheckout(lot, 303, { paymentType: 'cash' });
+    assert.equal(atRegister.status, 409);
+
+    release();
+    const { status, body } = await online;
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(db.getLotById(lot.id).paid_at);
+});
+
+test('a declined card lets the lots go', async () => {
+    const lot = sell('4', 304);
+
+    const declined = await processCheckout(lot, 304, { paymentType: 'card', sourceId: 'cnon:card-nonce-declined' });
+    assert.equal(declined.status, 400);
+    assert.equal(db.getLotById(lot.id).held_by, null);
+
+    const paid = await processCheckout(lot, 304, { paymentType: 'cash' });
+    assert.equal(paid.status, 200, JSON.stringify(paid.body));
+});
+
+test('two payments toward one balance can\'t run at once', async () => {
+    const lot = sell('5', 305);
+    const partial = await processCheckout(lot, 305, { tenders: [{ type: 'cash', amount: 10 }] });
+    assert.equal(partial.status, 200, JSON.stringify(partial.body));
+    const url = `/api/checkout/transactions/${partial.body.transaction.id}/tenders`;
+
+    const { charging, release, paused } = pauseCharges();
+    const first = server.request('POST', url, { type: 'card', sourceId: CARD });
+    await charging;
+
+    const second = await server.request('POST', url, { type: 'cash' });
+    assert.equal(second.status, 409);
+    assert.match(second.body.error, /Another payment/);
+
+    release();
+    const { status, body } = await first;
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.transaction.totals.balanceDue, 0);
+    assert.equal(paused.mock.callCount(), 1);
+    assert.equal(db.getTransactionById(partial.body.transaction.id).reversal_started_at, null);
+});
@@ -0,0 +1,98 @@
+/**
+ * Checkout rates - lots are priced with the premium, tax and card fee of
+ * the auction they were sold in, not whichever auction is current when
+ * the buyer pays.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer, createAuction } = require('./helpers/server');
+const invoices = require('../server/services/invoiceService');
+const checkoutRoutes = require('../server/routes/checkout');
+
+let server;
+let first;
+let second;
+const lots = {};
+
+test.before(async () => {
+    server = await startServer({ '/api/checkout': checkoutRoutes });
+
+    // Buyers 103 and 104 win $100 lots at a 10% premium and 6% tax...
+    first = createAuction({ title: 'Autumn', premiumRate: 10, cardFeeRate: 3 });
+    db.saveTaxRate(first.location, 6);
+    for (const [lotNumber, buyerNumber] of [['1', 103], ['2', 104], ['3', 105]]) {
+        lots[buyerNumber] = invoices.recordSale({ auctionId: first.id, lotNumber, winningBid: 10000, buyerNumber }).lot;
+    }
+
+    // ...and pay after the next auction, at 20%, 7% and a 5% card fee, is current
+    second = createAuction({ title: 'Winter', premiumRate: 20, cardFeeRate: 5 });
+    db.saveTaxRate(second.location, 7);
+});
+
+test.after(() => server.close());
+
+function itemFor(lot) {
+    return { lotId: lot.id, lotNumber: lot.lot_number, hammerPrice: 100 };
+}
+
+test('calculate uses the rates of the auction the lot was sold in', async () => {
+    const { status, body } = await server.request('POST', '/api/checkout/calculate', {
+        items: [itemFor(lots[103])],
+        buyerNumber: 103
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.totals.buyersPremium, 10);
+    assert.equal(body.totals.tax, 6.6);
+    assert.equal(body.totals.total, 116.6);
+});
+
+test('process charges the sold auction\'s rates, not the current auction\'s', async () => {
+    const { status, body } = await server.request('POST', '/api/checkout/process', {
+        items: [itemFor(lots[103])],
+        buyer: { buyerNumber: 103 },
+        paymentType: 'cash',
+        auctionId: first.id
+    });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.transaction.totals.buyersPremium, 10);
+    assert.equal(body.transaction.totals.total, 116.6);
+
+    const row = db.getTransactionById(body.transaction.id);
+    assert.equal(row.auction_id, first.id);
+    assert.equal(row.premium_rate, '10%');
+});
+
+test('process without an auctionId finds the auction through the invoice', async () => {
+    const { status, body } = await server.request('POST', '/api/checkout/process', {
+        items: [itemFor(lots[104])],
+        buyer: { buyerNumber: 104 },
+        paymentType: 'cash'
+    });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.transaction.totals.total, 116.6);
+    assert.equal(db.getTransactionById(body.transaction.id).auction_id, first.id);
+});
+
+test('a later card tender pays the sold auction\'s card fee', async () => {
+    const partial = await server.request('POST', '/api/checkout/process', {
+        items: [itemFor(lots[105])],
+        buyer: { buyerNumber: 105 },
+        tenders: [{ type: 'cash', amount: 16.6 }]
+    });
+    assert.equal(partial.status, 200, JSON.stringify(partial.body));
+    assert.equal(partial.body.transaction.totals.balanceDue, 100);
+
+    const { status, body } = await server.request('POST', `/api/checkout/transactions/${partial.body.transaction.id}/tenders`, {
+        type: 'card',
+        sourceId: 'cnon:card-nonce-ok'
+    });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.transaction.totals.cardFee, 3);
+    assert.equal(body.transaction.totals.cardFeeRate, '3%');
+    assert.equal(body.transaction.totals.total, 119.6);
+});
@@ -0,0 +1,82 @@
+/**
+ * Test server - the API routes against a scratch database.
+ * Require this before any server module: it points DATABASE_PATH at a
+ * temporary file and payments at the offline mock.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auction-test-'));
+process.env.DATABASE_PATH = path.join(dir, 'auctions.db');
+process.env.PAYMENT_PROVIDER = 'mock';
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+const express = require('express');
+const db = require('../../server/services/databaseService');
+const auth = require('../../server/services/authService');
+
+const log = console.log;
+console.log = () => {};
+db.initDatabase();
+console.log = log;
+
+/**
+ * Start an app with the given routers mounted, e.g. { '/api/checkout': router }
+ * @returns {Promise<Object>} { request, close }
+ */
+async function startServer(routes) {
+    const app = express();
+    app.use(express.json());
+    Object.entries(routes).forEach(([mount, router]) => app.use(mount, router));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    auth.createUser({ username: `clerk${server.address().port}`, password: 'test-password', role: 'admin' });
+    const { token } = auth.login(`clerk${server.address().port}`, 'test-password');
+
+    /**
+     * @returns {Promise<Object>} { status, body }
+     */
+    async function request(method, url, body) {
+        const response = await fetch(base + url, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    function close() {
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return { request, close };
+}
+
+/**
+ * A live auction with its own premium, made current unless told otherwise
+ */
+function createAuction({ title, premiumRate, cardFeeRate = 3, current = true }) {
+    const auction = db.createAuction({
+        title,
+        auction_date: '2026-10-01',
+        start_time: '18:00',
+        location: `${title} Hall`
+    });
+    db.updateAuction(auction.id, {
+        fee_schedule_json: JSON.stringify({ premiumTiers: [{ upTo: null, rate: premiumRate }], cardFeeRate })
+    });
+    if (current) db.setCurrentAuction(auction.id);
+    return db.getAuctionById(auction.id);
+}
+
+module.exports = {
+    db,
+    startServer,
+    createAuction
+};
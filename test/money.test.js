@@ -0,0 +1,49 @@
+/**
+ * Money - shared dollar/cent conversion and rounding
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Money = require('../js/money');
+
+test('toCents rounds half a cent away from zero', () => {
+    assert.equal(Money.toCents(1.005), 101);
+    assert.equal(Money.toCents('1.005'), 101);
+    assert.equal(Money.toCents(1.004), 100);
+    assert.equal(Money.toCents(-1.005), -101);
+    assert.equal(Money.toCents(0.1 + 0.2), 30);
+    assert.equal(Money.toCents(1234.56), 123456);
+});
+
+test('toCents is NaN for anything that is not an amount', () => {
+    for (const amount of [null, '', 'abc', undefined, Infinity, NaN]) {
+        assert.ok(Number.isNaN(Money.toCents(amount)), `${amount}`);
+    }
+});
+
+test('fromCents turns cents back into dollars', () => {
+    assert.equal(Money.fromCents(101), 1.01);
+    assert.equal(Money.fromCents(null), 0);
+    assert.equal(Money.fromCents(Money.toCents(19.99)), 19.99);
+});
+
+test('percentOf rounds to whole cents, ties away from zero', () => {
+    assert.equal(Money.percentOf(1000, 10), 100);
+    assert.equal(Money.percentOf(150, 3), 5); // 4.5
+    assert.equal(Money.percentOf(1500, 2.3), 35); // 34.5, computed a hair under
+    assert.equal(Money.percentOf(-150, 3), -5);
+    assert.equal(Money.percentOf(333, 0), 0);
+});
+
+test('sum adds cents exactly', () => {
+    assert.equal(Money.sum([]), 0);
+    assert.equal(Money.sum([10, 20, 30]), 60);
+    assert.equal(Money.sum(Array(10).fill(Money.toCents(0.1))), 100);
+});
+
+test('format shows dollars with cents and thousands separators', () => {
+    assert.equal(Money.format(123450), '$1,234.50');
+    assert.equal(Money.format(-500), '-$5.00');
+    assert.equal(Money.format(0), '$0.00');
+    assert.equal(Money.formatDollars(1.005), '$1.01');
+});
@@ -0,0 +1,146 @@
+/**
+ * Refunds and voids - a retried request gives the money back once, and only
+ * one refund or void runs on a transaction at a time.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer, createAuction } = require('./helpers/server');
+const invoices = require('../server/services/invoiceService');
+const mockProvider = require('../server/services/payments/mockProvider');
+const checkoutRoutes = require('../server/routes/checkout');
+
+let server;
+let auction;
+let nextBuyer = 500;
+
+test.before(async () => {
+    server = await startServer({ '/api/checkout': checkoutRoutes });
+    auction = createAuction({ title: 'Barn', premiumRate: 10, cardFeeRate: 3 });
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+test.after(() => server.close());
+
+// Two $100 lots paid by card: $220 and a $6.60 card fee
+async function cardSale() {
+    const buyerNumber = nextBuyer++;
+    const lots = [1, 2].map(n => invoices.recordSale({
+        auctionId: auction.id,
+        lotNumber: buyerNumber * 10 + n,
+        winningBid: 10000,
+        buyerNumber
+    }).lot);
+
+    const { status, body } = await server.request('POST', '/api/checkout/process', {
+        items: lots.map(lot => ({ lotId: lot.id, lotNumber: lot.lot_number, hammerPrice: 100 })),
+        buyer: { buyerNumber },
+        paymentType: 'card',
+        sourceId: 'cnon:card-nonce-ok'
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    return { id: body.transaction.id, lots };
+}
+
+function refund(id, body) {
+    return server.request('POST', `/api/checkout/transactions/${id}/refund`, body);
+}
+
+function voidSale(id, body = {}) {
+    return server.request('POST', `/api/checkout/transactions/${id}/void`, body);
+}
+
+test('a retried refund replays instead of refunding again', async () => {
+    const sale = await cardSale();
+    const refunds = test.mock.method(mockProvider, 'refund');
+    const request = { lotNumbers: [sale.lots[0].lot_number], reason: 'Damaged', refundKey: 'refund-key-1' };
+
+    const first = await refund(sale.id, request);
+    const retry = await refund(sale.id, request);
+
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.replayed, true);
+    assert.equal(refunds.mock.callCount(), 1);
+
+    const row = db.getTransactionById(sale.id);
+    assert.equal(row.amount_refunded, 11000);
+    assert.equal(row.status, 'partially_refunded');
+    assert.equal(db.getRefunds([sale.id]).length, 1);
+    assert.equal(db.getLotById(sale.lots[0].id).status, 'returned');
+    assert.equal(db.getLotById(sale.lots[1].id).status, 'sold');
+});
+
+test('a refund can\'t give back more than is left', async () => {
+    const sale = await cardSale();
+
+    assert.equal((await refund(sale.id, { amount: 200 })).status, 200);
+    const over = await refund(sale.id, { amount: 30 });
+
+    assert.equal(over.status, 400);
+    assert.equal(db.getTransactionById(sale.id).amount_refunded, 20000);
+});
+
+test('a second refund waits for the one under way', async () => {
+    const sale = await cardSale();
+    const original = mockProvider.refund;
+    let started;
+    let release;
+    const refunding = new Promise(resolve => { started = resolve; });
+    const released = new Promise(resolve => { release = resolve; });
+    test.mock.method(mockProvider, 'refund', async (...args) => {
+        started();
+        await released;
+        return original(...args);
+    });
+
+    const first = refund(sale.id, { amount: 50, refundKey: 'refund-key-2' });
+    await refunding;
+
+    const second = await refund(sale.id, { amount: 50, refundKey: 'refund-key-3' });
+    assert.equal(second.status, 409);
+    const voided = await voidSale(sale.id);
+    assert.equal(voided.status, 409);
+
+    release();
+    assert.equal((await first).status, 200);
+    const row = db.getTransactionById(sale.id);
+    assert.equal(row.amount_refunded, 5000);
+    assert.equal(row.reversal_started_at, null);
+
+    // The hold is gone once the first refund is done
+    assert.equal((await refund(sale.id, { amount: 50, refundKey: 'refund-key-3' })).status, 200);
+});
+
+test('a retried void replays and the lots are owed again', async () => {
+    const sale = await cardSale();
+    const refunds = test.mock.method(mockProvider, 'refund');
+
+    const first = await voidSale(sale.id, { reason: 'Wrong buyer', refundKey: 'void-key-1' });
+    const retry = await voidSale(sale.id, { reason: 'Wrong buyer', refundKey: 'void-key-1' });
+
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(retry.body.replayed, true);
+    assert.equal(refunds.mock.callCount(), 1);
+
+    const row = db.getTransactionById(sale.id);
+    assert.equal(row.status, 'voided');
+    assert.equal(row.amount_refunded, 22660);
+    sale.lots.forEach(lot => assert.equal(db.getLotById(lot.id).paid_at, null));
+
+    const again = await voidSale(sale.id, { refundKey: 'void-key-2' });
+    assert.equal(again.status, 400);
+});
+
+test('refund keys are per transaction', async () => {
+    const first = await cardSale();
+    const second = await cardSale();
+
+    assert.equal((await refund(first.id, { amount: 10, refundKey: 'shared-key' })).status, 200);
+    const other = await refund(second.id, { amount: 10, refundKey: 'shared-key' });
+
+    assert.equal(other.status, 200);
+    assert.notEqual(other.body.replayed, true);
+    assert.equal(db.getTransactionById(second.id).amount_refunded, 1000);
+});
@@ -0,0 +1,101 @@
+/**
+ * Resale guard - a lot belongs to the buyer it was last sold to, in the
+ * auction it was sold in. A paid lot can't be resold, and a checkout can't
+ * pay for (or mark paid) a lot another buyer won.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer, createAuction } = require('./helpers/server');
+const invoices = require('../server/services/invoiceService');
+const checkoutRoutes = require('../server/routes/checkout');
+
+let server;
+let spring;
+let summer;
+
+test.before(async () => {
+    server = await startServer({ '/api/checkout': checkoutRoutes });
+    spring = createAuction({ title: 'Spring', premiumRate: 10 });
+    summer = createAuction({ title: 'Summer', premiumRate: 10 });
+});
+
+test.after(() => server.close());
+
+function sell(auction, lotNumber, buyerNumber, winningBid = 5000) {
+    return invoices.recordSale({ auctionId: auction.id, lotNumber, winningBid, buyerNumber });
+}
+
+function checkout(buyerNumber, items, extra = {}) {
+    return server.request('POST', '/api/checkout/process', {
+        items,
+        buyer: { buyerNumber },
+        paymentType: 'cash',
+        ...extra
+    });
+}
+
+test('a paid lot is not resold to another buyer', async () => {
+    const { lot } = sell(summer, '10', 201);
+    const paid = await checkout(201, [{ lotId: lot.id, lotNumber: '10', hammerPrice: 50 }]);
+    assert.equal(paid.status, 200, JSON.stringify(paid.body));
+
+    const resale = sell(summer, '10', 202);
+    assert.equal(resale.statusCode, 409);
+    assert.equal(db.getLotById(lot.id).winner_bidder_number, '201');
+});
+
+test('an unpaid lot resold to another buyer leaves the first buyer\'s invoice', () => {
+    const { lot } = sell(summer, '11', 203);
+    sell(summer, '11', 204);
+
+    assert.equal(db.getLotById(lot.id).winner_bidder_number, '204');
+    assert.equal(db.getInvoiceByBuyer(summer.id, 203).status, 'paid');
+    assert.equal(db.getInvoiceByBuyer(summer.id, 204).status, 'open');
+});
+
+test('a checkout can\'t pay for another buyer\'s lot by its id', async () => {
+    const { lot } = sell(summer, '12', 205);
+    sell(summer, '13', 206);
+
+    const { status, body } = await checkout(206, [{ lotId: lot.id, lotNumber: '12', hammerPrice: 1 }]);
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Lot 12 was not sold to buyer #206/);
+    assert.equal(db.getLotById(lot.id).paid_at, null);
+    assert.equal(db.getInvoiceByBuyer(summer.id, 205).status, 'open');
+});
+
+test('a checkout can\'t pay for the buyer\'s lot from another auction', async () => {
+    const { lot } = sell(spring, '14', 207);
+
+    const { status, body } = await checkout(207, [{ lotId: lot.id, lotNumber: '14', hammerPrice: 50 }], {
+        auctionId: summer.id
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /not sold to buyer #207 in this auction/);
+    assert.equal(db.getLotById(lot.id).paid_at, null);
+});
+
+test('a typed-in lot number is found in the checkout\'s own auction', async () => {
+    const earlier = sell(spring, '15', 208).lot;
+    const later = sell(summer, '15', 208).lot;
+
+    const { status, body } = await checkout(208, [{ lotNumber: '15', hammerPrice: 50 }], { auctionId: summer.id });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(db.getLotById(later.id).paid_at);
+    assert.equal(db.getLotById(earlier.id).paid_at, null);
+    assert.equal(db.getInvoiceByBuyer(spring.id, 208).status, 'open');
+});
+
+test('lots are looked up by buyer and auction', () => {
+    const { lot } = sell(spring, '16', 209);
+
+    assert.equal(db.getSoldLotForBuyer(spring.id, '16', 209).id, lot.id);
+    assert.ok(!db.getSoldLotForBuyer(summer.id, '16', 209));
+    assert.ok(!db.getSoldLotForBuyer(spring.id, '16', 210));
+    assert.deepEqual(invoices.findItemLots([{ lotId: lot.id }], 210, spring.id), [null]);
+    assert.deepEqual(invoices.findItemLots([{ lotId: lot.id }], 209, summer.id), [null]);
+});
@@ -0,0 +1,162 @@
+/**
+ * Square Service - checkout charges and the orders built from them.
+ * Every amount is whole cents, so the line items of an order must add up
+ * to exactly what the buyer is charged, and the tenders of a split payment
+ * to exactly what is due.
+ */
+
+// Orders go to the offline mock, never to Square
+process.env.PAYMENT_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Money = require('../js/money');
+const { calculateCharges, createOrder } = require('../server/services/squareService');
+
+const FLAT = { premiumTiers: [{ upTo: null, rate: 10 }], cardFeeRate: 3 };
+const TIERED = {
+    premiumTiers: [{ upTo: 1000, rate: 20 }, { upTo: 5000, rate: 15 }, { upTo: null, rate: 12.5 }],
+    cardFeeRate: 3.5
+};
+
+// Hammer prices chosen to land on rounding edges: odd cents, tier limits,
+// and amounts whose premium, tax or fee is a half cent
+const HAMMERS = [0, 0.01, 0.05, 1.005, 9.99, 33.33, 150, 999.99, 1000, 1000.01, 1234.56, 4999.99, 5000, 7777.77, 12345.67];
+const TAX_RATES = [0, 6, 7.25, 8.875];
+
+// A few deterministic carts of one to five lots
+function carts() {
+    const result = [];
+    for (let size = 1; size <= 5; size++) {
+        for (let start = 0; start < HAMMERS.length; start++) {
+            result.push(Array.from({ length: size }, (_, index) => ({
+                lotNumber: index + 1,
+                description: `Lot ${index + 1}`,
+                hammerPrice: HAMMERS[(start + index * 7) % HAMMERS.length]
+            })));
+        }
+    }
+    return result;
+}
+
+function eachCase(callback) {
+    for (const feeSchedule of [FLAT, TIERED]) {
+        for (const taxRate of TAX_RATES) {
+            for (const items of carts()) {
+                callback({ items, feeSchedule, taxRate });
+            }
+        }
+    }
+}
+
+test('tiered premiums are marginal and rounded per band', () => {
+    const charges = calculateCharges([{ lotNumber: 1, hammerPrice: 1500 }], [], { feeSchedule: TIERED, taxRate: 0 });
+    assert.equal(charges.buyersPremium, 20000 + 7500);
+
+    const edge = calculateCharges([{ lotNumber: 1, hammerPrice: 1000.01 }], [], { feeSchedule: TIERED, taxRate: 0 });
+    assert.equal(edge.buyersPremium, 20000 + 0); // 15% of a cent rounds to nothing
+});
+
+test('charges add up: hammer, premium and tax make the amount due', () => {
+    eachCase(({ items, feeSchedule, taxRate }) => {
+        const charges = calculateCharges(items, [{ type: 'card' }], { feeSchedule, taxRate });
+
+        assert.equal(charges.hammerPrice, Money.sum(charges.lines.map(line => line.hammer)));
+        assert.equal(charges.buyersPremium, Money.sum(charges.lines.map(line => line.premium)));
+        assert.equal(charges.amountDue, charges.hammerPrice + charges.buyersPremium + charges.tax);
+        assert.equal(charges.total, charges.amountDue + charges.cardFee);
+        assert.equal(charges.balanceDue, 0);
+    });
+});
+
+test('tax-exempt buyers pay no tax', () => {
+    const items = [{ lotNumber: 1, hammerPrice: 100 }];
+    const charges = calculateCharges(items, [{ type: 'cash' }], { feeSchedule: FLAT, taxRate: 6, taxExemptCertificate: 'R-123' });
+    assert.equal(charges.tax, 0);
+    assert.equal(charges.taxRate, '0%');
+    assert.equal(charges.total, 11000);
+});
+
+test('the card fee is charged on the card part of a split payment only', () => {
+    const items = [{ lotNumber: 1, hammerPrice: 100 }];
+    const charges = calculateCharges(items, [{ type: 'cash', amount: 40 }, { type: 'card' }], { feeSchedule: FLAT, taxRate: 0 });
+
+    assert.deepEqual(charges.tenders.map(tender => tender.cardFee), [0, Money.percentOf(7000, 3)]);
+    assert.equal(charges.cardFee, 210);
+    assert.equal(charges.total, 11210);
+});
+
+test('split tenders sum to the charge, and each tender to its amount plus fee', () => {
+    eachCase(({ items, feeSchedule, taxRate }) => {
+        const tenders = [
+            { type: 'cash', amount: 1.01 },
+            { type: 'card', amount: 0.33 },
+            { type: 'check', amount: 0.5 },
+            { type: 'card' }
+        ];
+        const charges = calculateCharges(items, tenders, { feeSchedule, taxRate });
+        if (charges.amountDue < Money.toCents(1.84)) return;
+
+        charges.tenders.forEach(line => assert.equal(line.charge, line.amount + line.cardFee));
+        assert.equal(Money.sum(charges.tenders.map(line => line.amount)), charges.amountDue);
+        assert.equal(Money.sum(charges.tenders.map(line => line.cardFee)), charges.cardFee);
+        assert.equal(Money.sum(charges.tenders.map(line => line.charge)), charges.total);
+        assert.equal(charges.amountPaid, charges.total);
+        assert.equal(charges.balanceDue, 0);
+    });
+});
+
+test('tenders that fall short leave the rest as the balance due', () => {
+    const items = [{ lotNumber: 1, hammerPrice: 100 }];
+    const charges = calculateCharges(items, [{ type: 'card', amount: 30 }], { feeSchedule: FLAT, taxRate: 0 });
+
+    assert.equal(charges.balanceDue, 8000);
+    assert.equal(charges.amountPaid, 3000 + 90);
+});
+
+test('order line items add up to the charged total', async () => {
+    const cases = [];
+    eachCase(testCase => cases.push(testCase));
+
+    for (const { items, feeSchedule, taxRate } of cases) {
+        for (const isCardPayment of [true, false]) {
+            const charges = calculateCharges(items, [{ type: isCardPayment ? 'card' : 'cash' }], { feeSchedule, taxRate });
+            const result = await createOrder(items, { buyerNumber: 42, name: 'Test Buyer', isCardPayment }, 'LOCATION', {
+                feeSchedule,
+                taxRate
+            });
+
+            assert.ok(result.success, result.error);
+            assert.equal(Money.sum(result.order.lineItems.map(item => item.amount)), isCardPayment ? charges.total : charges.amountDue);
+            assert.equal(result.order.totalAmount, isCardPayment ? charges.total : charges.amountDue);
+            assert.equal(Money.toCents(result.totals.total), charges.total);
+        }
+    }
+});
+
+test('each lot line item carries its lot and invoice', async () => {
+    const items = [{ lotNumber: 7, description: 'Lamp', hammerPrice: 25 }];
+    const lots = [{ id: 70, auction_id: 3, category: 'Lighting', consignor_id: 5, is_online: 1 }];
+
+    const { order } = await createOrder(items, { buyerNumber: 42, isCardPayment: true }, 'LOCATION', {
+        feeSchedule: FLAT,
+        taxRate: 6,
+        invoice: { id: 12 },
+        auction: { id: 3, auction_date: '2026-01-17' },
+        lots
+    });
+
+    assert.equal(order.referenceId, 'AHA-INV-12');
+    assert.deepEqual(order.lineItems[0].metadata, {
+        kind: 'lot',
+        lotId: '70',
+        lotNumber: '7',
+        auctionId: '3',
+        invoiceId: '12',
+        category: 'Lighting',
+        consignorId: '5',
+        online: 'true'
+    });
+    assert.deepEqual(order.lineItems.slice(1).map(item => item.metadata.kind), ['buyers_premium', 'sales_tax', 'card_fee']);
+    assert.equal(order.metadata.auctionDate, '2026-01-17');
+});
@@ -0,0 +1,181 @@
+/**
+ * Square webhooks - the recorded payloads in server/samples/square-webhooks,
+ * applied to card checkouts taken through the checkout routes. Each sample
+ * is pointed at the checkout's own Square payment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, startServer, createAuction } = require('./helpers/server');
+const invoices = require('../server/services/invoiceService');
+const mockProvider = require('../server/services/payments/mockProvider');
+const { processEvent } = require('../server/services/squareWebhookService');
+const checkoutRoutes = require('../server/routes/checkout');
+
+const SAMPLES = path.join(__dirname, '../server/samples/square-webhooks');
+const SAMPLE_PAYMENT_ID = 'hYy9pRFVxpDsO1FB05SunFWUe9JZY';
+
+let server;
+let auction;
+let nextBuyer = 400;
+
+test.before(async () => {
+    server = await startServer({ '/api/checkout': checkoutRoutes });
+    // $100 at a 10% premium and 3% card fee is the samples' $113.30
+    auction = createAuction({ title: 'Estate', premiumRate: 10, cardFeeRate: 3 });
+    console.warn = () => {};
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+test.after(() => server.close());
+
+/**
+ * A sample event for this payment, with its own event id
+ * @param {Object} replace - Other values to swap, e.g. a refund id
+ */
+function sample(name, paymentId, replace = {}) {
+    let body = fs.readFileSync(path.join(SAMPLES, `${name}.json`), 'utf8')
+        .replaceAll(SAMPLE_PAYMENT_ID, paymentId);
+    for (const [from, to] of Object.entries(replace)) {
+        body = body.replaceAll(from, to);
+    }
+    const event = JSON.parse(body);
+    return { ...event, event_id: `${event.event_id}-${paymentId}` };
+}
+
+// A $100 lot paid in full by card
+async function cardSale() {
+    const buyerNumber = nextBuyer++;
+    const { lot } = invoices.recordSale({ auctionId: auction.id, lotNumber: String(buyerNumber), winningBid: 10000, buyerNumber });
+    const { status, body } = await server.request('POST', '/api/checkout/process', {
+        items: [{ lotId: lot.id, lotNumber: lot.lot_number, hammerPrice: 100 }],
+        buyer: { buyerNumber },
+        paymentType: 'card',
+        sourceId: 'cnon:card-nonce-ok'
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+
+    const row = db.getTransactionById(body.transaction.id);
+    assert.equal(row.total, 11330);
+    return { row, lot, paymentId: row.square_payment_id };
+}
+
+test('a late completed payment only confirms the checkout', async () => {
+    const { row, paymentId } = await cardSale();
+
+    const result = processEvent(sample('payment-updated-completed', paymentId));
+
+    assert.equal(result.handled, true);
+    assert.equal(result.transactionId, row.transaction_id);
+    assert.equal(db.getTransactionById(row.transaction_id).status, 'completed');
+    assert.equal(db.getTenders([row.transaction_id])[0].square_status, 'COMPLETED');
+});
+
+test('a payment that fails later is due again and its lots are unpaid', async () => {
+    const { row, lot, paymentId } = await cardSale();
+
+    const result = processEvent(sample('payment-updated-failed', paymentId));
+
+    assert.equal(result.handled, true);
+    const updated = db.getTransactionById(row.transaction_id);
+    assert.equal(updated.status, 'partial');
+    assert.equal(updated.card_fee, 0);
+    assert.equal(updated.amount_paid, 0);
+    assert.equal(db.getLotById(lot.id).paid_at, null);
+});
+
+test('a Dashboard refund is recorded once, however often Square sends it', async () => {
+    const { row, paymentId } = await cardSale();
+    const event = sample('refund-created-dashboard', paymentId);
+
+    assert.equal(processEvent(event).handled, true);
+    assert.equal(processEvent(event).duplicate, true);
+
+    const updated = db.getTransactionById(row.transaction_id);
+    assert.equal(updated.amount_refunded, 2500);
+    assert.equal(updated.status, 'partially_refunded');
+    assert.equal(db.getRefunds([row.transaction_id]).length, 1);
+});
+
+test('a rejected refund comes off the transaction', async () => {
+    const { row, paymentId } = await cardSale();
+
+    processEvent(sample('refund-created-dashboard', paymentId));
+    const result = processEvent(sample('refund-updated-rejected', paymentId));
+
+    assert.equal(result.handled, true);
+    const updated = db.getTransactionById(row.transaction_id);
+    assert.equal(updated.amount_refunded, 0);
+    assert.equal(updated.status, 'completed');
+    assert.equal(db.getRefunds([row.transaction_id])[0].square_status, 'REJECTED');
+});
+
+test('a dispute holds the transaction until it is won', async () => {
+    const { row, paymentId } = await cardSale();
+
+    processEvent(sample('dispute-created', paymentId));
+    assert.equal(db.getTransactionById(row.transaction_id).status, 'disputed');
+
+    processEvent(sample('dispute-state-updated-won', paymentId));
+    assert.equal(db.getTransactionById(row.transaction_id).status, 'completed');
+});
+
+test('events we don\'t act on are recorded and acknowledged', () => {
+    const event = sample('customer-created', 'none');
+
+    const result = processEvent(event);
+
+    assert.equal(result.handled, false);
+    assert.ok(db.getWebhookEvent(event.event_id));
+});
+
+test('Square\'s news of our own refund waits until the refund route has recorded it', async () => {
+    const { row, paymentId } = await cardSale();
+    const refund = mockProvider.refund;
+    let early;
+
+    // Square's refund.created arrives before the refund call returns
+    test.mock.method(mockProvider, 'refund', async (...args) => {
+        const result = await refund(...args);
+        const refundId = result.id;
+        early = sample('refund-created-dashboard', paymentId, { [`${paymentId}_9oTfTNdlPSOn5GDEx4sjDvBWbmJbsZbY6ZgR4hRq7R`]: refundId });
+        early.result = processEvent(early);
+        return result;
+    });
+
+    const { status, body } = await server.request('POST', `/api/checkout/transactions/${row.transaction_id}/refund`, {
+        amount: 25,
+        reason: 'Chipped on pickup'
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+
+    assert.equal(early.result.deferred, true);
+    assert.equal(db.getWebhookEvent(early.event_id), undefined);
+
+    // Square retries once the route is done
+    const { result, ...event } = early;
+    assert.equal(processEvent(event).handled, true);
+
+    const refunds = db.getRefunds([row.transaction_id]);
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].reason, 'Chipped on pickup');
+    assert.equal(db.getTransactionById(row.transaction_id).amount_refunded, 2500);
+});
+
+test('a Square refund can only be recorded once', async () => {
+    const { row, paymentId } = await cardSale();
+    const refund = {
+        refund_id: 'RF-TEST',
+        transaction_id: row.transaction_id,
+        kind: 'refund',
+        method: 'card',
+        amount: 100,
+        square_refund_id: `${paymentId}_REFUND`
+    };
+
+    db.addRefund(refund);
+    assert.throws(() => db.addRefund(refund), /UNIQUE/);
+});